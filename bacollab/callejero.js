@@ -0,0 +1,306 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { splitCsvLine } from './report-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Offline reverse geocoding for CABA: turns a WhatsApp location pin into
+// "Calle altura" using the city's callejero (street segments with their
+// number ranges). Download it from https://data.buenosaires.gob.ar/dataset/calles
+// as CSV (with a WKT geometry column) or GeoJSON and point CALLEJERO_FILE at it.
+// Expected fields per segment (case-insensitive): nomoficial (or nombre),
+// alt_izqini, alt_izqfin, alt_derini, alt_derfin.
+// Both settings are read when used: this module may be imported before .env is loaded.
+export function callejeroFile() {
+  return process.env.CALLEJERO_FILE || path.join(__dirname, 'callejero.csv');
+}
+// Pins farther than this from every segment are not resolved (e.g. outside CABA)
+const maxDistanceMeters = () => parseInt(process.env.CALLEJERO_MAX_DISTANCE_METERS) || 60;
+
+const GRID_SIZE_DEG = 0.005; // ~500m cells for the spatial index
+const METERS_PER_DEG_LAT = 111320;
+const CABA_LAT = -34.6; // Reference latitude for the local projection
+
+let segments = null;
+let grid = null;
+let streets = null; // street -> { min, max } door numbers, for gazetteer.js
+let streetVertices = null; // street -> Set of rounded "lng,lat", to find corners
+let loadedFile = null;
+let loadedMtime = 0;
+
+// "LINESTRING (lng lat, ...)" / "MULTILINESTRING ((...), (...))" -> [[[lng, lat], ...], ...]
+function parseWkt(wkt) {
+  const parts = (wkt || '').match(/\(([^()]+)\)/g) || [];
+  return parts.map(part => part.slice(1, -1).split(',').map(pair => pair.trim().split(/\s+/).map(Number)));
+}
+
+// Official names come as "CORRIENTES AV." or "URIBURU, JOSE EVARISTO, PRES.":
+// -> "Av. Corrientes", "Pres. Jose Evaristo Uriburu"
+function formatStreetName(name) {
+  let parts = name.trim().split(/\s*,\s*/).filter(Boolean);
+  if (parts.length > 1) {
+    parts = [...parts.slice(1).reverse(), parts[0]];
+  }
+  let formatted = parts.join(' ');
+  const trailingType = formatted.match(/^(.*)\s+(AV\.|AVDA\.|PJE\.|PJ\.|PASAJE|AUTOPISTA|BOULEVARD|BV\.)$/i);
+  if (trailingType) {
+    formatted = `${trailingType[2]} ${trailingType[1]}`;
+  }
+  return formatted.toLowerCase().replace(/(^|[\s.(])(\p{L})/gu, (m, sep, letter) => sep + letter.toUpperCase());
+}
+
+// Streets that cross share a vertex; ~1m rounding absorbs float noise
+function vertexKey([lng, lat]) {
+  return `${lng.toFixed(5)},${lat.toFixed(5)}`;
+}
+
+function buildVertexIndex(list) {
+  const index = new Map();
+  for (const segment of list) {
+    if (!index.has(segment.street)) index.set(segment.street, new Set());
+    const vertices = index.get(segment.street);
+    for (const point of segment.points) vertices.add(vertexKey(point));
+  }
+  return index;
+}
+
+function buildStreetIndex(list) {
+  const index = new Map();
+  for (const segment of list) {
+    const numbers = [...segment.ranges.left, ...segment.ranges.right].filter(Boolean);
+    const entry = index.get(segment.street) || { min: Infinity, max: 0 };
+    if (numbers.length > 0) {
+      entry.min = Math.min(entry.min, ...numbers);
+      entry.max = Math.max(entry.max, ...numbers);
+    }
+    index.set(segment.street, entry);
+  }
+  for (const entry of index.values()) {
+    if (entry.min === Infinity) entry.min = 0;
+  }
+  return index;
+}
+
+function toSegments(name, props, lines) {
+  const ranges = {
+    left: [parseInt(props.alt_izqini) || 0, parseInt(props.alt_izqfin) || 0],
+    right: [parseInt(props.alt_derini) || 0, parseInt(props.alt_derfin) || 0]
+  };
+  // The parts of a multi-line segment share one number range, so they are walked as one line
+  const points = lines.flat().filter(p => p.length >= 2 && !isNaN(p[0]) && !isNaN(p[1]));
+  return points.length >= 2 ? [{ street: formatStreetName(name), points, ranges }] : [];
+}
+
+function lowerKeys(obj) {
+  return Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k.toLowerCase(), v]));
+}
+
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(l => l.trim());
+  const header = splitCsvLine(lines[0] || '').map(h => h.trim().toLowerCase());
+  const wktIndex = header.findIndex(h => h === 'wkt' || h === 'geometry' || h === 'geom');
+  if (wktIndex === -1) {
+    throw new Error('CSV sin columna WKT');
+  }
+
+  const result = [];
+  for (const line of lines.slice(1)) {
+    const fields = splitCsvLine(line);
+    const props = Object.fromEntries(header.map((h, i) => [h, fields[i]]));
+    const name = props.nomoficial || props.nombre;
+    if (!name) continue;
+    result.push(...toSegments(name, props, parseWkt(fields[wktIndex])));
+  }
+  return result;
+}
+
+function parseGeoJson(content) {
+  const result = [];
+  for (const feature of JSON.parse(content).features || []) {
+    const props = lowerKeys(feature.properties);
+    const name = props.nomoficial || props.nombre;
+    const geometry = feature.geometry || {};
+    if (!name) continue;
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+    result.push(...toSegments(name, props, lines));
+  }
+  return result;
+}
+
+// Index each segment in every cell its bounding box touches
+function buildGrid(list) {
+  const index = new Map();
+  list.forEach((segment, i) => {
+    const lngs = segment.points.map(p => p[0]);
+    const lats = segment.points.map(p => p[1]);
+    for (let x = Math.floor(Math.min(...lngs) / GRID_SIZE_DEG); x <= Math.floor(Math.max(...lngs) / GRID_SIZE_DEG); x++) {
+      for (let y = Math.floor(Math.min(...lats) / GRID_SIZE_DEG); y <= Math.floor(Math.max(...lats) / GRID_SIZE_DEG); y++) {
+        const key = `${x}:${y}`;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(i);
+      }
+    }
+  });
+  return index;
+}
+
+// Reloaded whenever the file changes; returns false if there is no dataset
+function loadCallejero() {
+  const file = callejeroFile();
+  if (!fs.existsSync(file)) {
+    return false;
+  }
+
+  const mtime = fs.statSync(file).mtimeMs;
+  if (segments && file === loadedFile && mtime === loadedMtime) return true;
+
+  try {
+    const content = fs.readFileSync(file, 'utf-8');
+    const isGeoJson = /\.(geo)?json$/i.test(file);
+    segments = isGeoJson ? parseGeoJson(content) : parseCsv(content);
+    grid = buildGrid(segments);
+    streets = buildStreetIndex(segments);
+    streetVertices = buildVertexIndex(segments);
+    loadedFile = file;
+    loadedMtime = mtime;
+    console.log(`[Callejero] ${segments.length} tramos cargados de ${path.basename(file)}`);
+  } catch (e) {
+    console.error(`[Callejero] Error leyendo ${path.basename(file)}: ${e.message}`);
+    segments = null;
+    grid = null;
+    streets = null;
+    streetVertices = null;
+  }
+  return segments !== null;
+}
+
+// Flat projection in meters around CABA - plenty accurate at street scale
+function project(lng, lat) {
+  return [lng * METERS_PER_DEG_LAT * Math.cos(CABA_LAT * Math.PI / 180), lat * METERS_PER_DEG_LAT];
+}
+
+// Closest point of a polyline: distance, fraction along its length, and side
+function closestOnPolyline(points, target) {
+  const projected = points.map(p => project(p[0], p[1]));
+  const lengths = [];
+  let total = 0;
+  for (let i = 1; i < projected.length; i++) {
+    const len = Math.hypot(projected[i][0] - projected[i - 1][0], projected[i][1] - projected[i - 1][1]);
+    lengths.push(len);
+    total += len;
+  }
+
+  let best = { distance: Infinity, along: 0, side: 'left' };
+  let walked = 0;
+  for (let i = 1; i < projected.length; i++) {
+    const [ax, ay] = projected[i - 1];
+    const [bx, by] = projected[i];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const len = lengths[i - 1];
+    const t = len > 0 ? Math.max(0, Math.min(1, ((target[0] - ax) * dx + (target[1] - ay) * dy) / (len * len))) : 0;
+    const distance = Math.hypot(target[0] - (ax + t * dx), target[1] - (ay + t * dy));
+    if (distance < best.distance) {
+      const cross = dx * (target[1] - ay) - dy * (target[0] - ax);
+      best = { distance, along: walked + t * len, side: cross > 0 ? 'left' : 'right' };
+    }
+    walked += len;
+  }
+  best.fraction = total > 0 ? best.along / total : 0;
+  return best;
+}
+
+// Interpolate the door number on the pin's side, keeping that side's parity
+function interpolateNumber([start, end], fraction) {
+  if (!start && !end) return null;
+  let number = Math.round(start + (end - start) * fraction);
+  if (number % 2 !== start % 2) {
+    number += end >= start ? 1 : -1;
+  }
+  return Math.min(Math.max(number, Math.min(start, end)), Math.max(start, end));
+}
+
+// { address, street, number, distanceMeters } or null if the pin isn't near a known street
+export function reverseGeocode(latitude, longitude) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (isNaN(lat) || isNaN(lng) || !loadCallejero()) return null;
+
+  const candidates = new Set();
+  const cx = Math.floor(lng / GRID_SIZE_DEG);
+  const cy = Math.floor(lat / GRID_SIZE_DEG);
+  for (let x = cx - 1; x <= cx + 1; x++) {
+    for (let y = cy - 1; y <= cy + 1; y++) {
+      for (const i of grid.get(`${x}:${y}`) || []) candidates.add(i);
+    }
+  }
+
+  const target = project(lng, lat);
+  let best = null;
+  for (const i of candidates) {
+    const segment = segments[i];
+    const match = closestOnPolyline(segment.points, target);
+    if (!best || match.distance < best.match.distance) {
+      best = { segment, match };
+    }
+  }
+  if (!best || best.match.distance > maxDistanceMeters()) return null;
+
+  const { segment, match } = best;
+  // Fall back to the other side when this one has no numbers (e.g. a park)
+  const range = segment.ranges[match.side].some(Boolean) ? segment.ranges[match.side]
+    : segment.ranges[match.side === 'left' ? 'right' : 'left'];
+  const number = interpolateNumber(range, match.fraction);
+  if (!number) return null;
+
+  return {
+    address: `${segment.street} ${number}`,
+    street: segment.street,
+    number,
+    distanceMeters: Math.round(match.distance)
+  };
+}
+
+export function isCallejeroAvailable() {
+  return loadCallejero();
+}
+
+// Startup check of the bot and the API server: without the dataset, address
+// validation (gazetteer.js) lets every address through and pins aren't resolved
+export function warnIfCallejeroMissing() {
+  if (loadCallejero()) return true;
+  console.error([
+    '[Callejero] ⚠️ ==================================================',
+    `[Callejero] ⚠️ No hay callejero en ${callejeroFile()}`,
+    '[Callejero] ⚠️ Las direcciones NO se validan (quedan "unavailable" y pasan todas)',
+    '[Callejero] ⚠️ y las ubicaciones de WhatsApp no se convierten en direcciones.',
+    '[Callejero] ⚠️ Descargá "Calles" de https://data.buenosaires.gob.ar/dataset/calles',
+    '[Callejero] ⚠️ (CSV con geometría WKT o GeoJSON), guardalo como callejero.csv',
+    '[Callejero] ⚠️ junto al código o apuntá CALLEJERO_FILE a él.',
+    '[Callejero] ⚠️ =================================================='
+  ].join('\n'));
+  return false;
+}
+
+// Map of street name -> { min, max }, or null without a dataset
+export function getStreets() {
+  return loadCallejero() ? streets : null;
+}
+
+// Whether two streets (names as returned by getStreets) cross, or null without a dataset
+export function streetsMeet(streetA, streetB) {
+  if (!loadCallejero()) return null;
+  const a = streetVertices.get(streetA);
+  const b = streetVertices.get(streetB);
+  if (!a || !b) return false;
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  for (const key of smaller) {
+    if (larger.has(key)) return true;
+  }
+  return false;
+}
+
+export default { reverseGeocode, isCallejeroAvailable, getStreets, streetsMeet, callejeroFile };
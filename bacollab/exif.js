@@ -0,0 +1,146 @@
+import fs from 'fs';
+
+// Minimal EXIF reader for the photos the bot saves: capture time and GPS.
+// WhatsApp strips EXIF from photos sent as images, but keeps it for photos
+// sent as documents and for some forwarded media, so most photos return null.
+
+const MAX_HEADER_BYTES = 128 * 1024; // EXIF lives in the first APP1 segment
+
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATETIME = 0x0132;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_GPS_LAT_REF = 0x0001;
+const TAG_GPS_LAT = 0x0002;
+const TAG_GPS_LNG_REF = 0x0003;
+const TAG_GPS_LNG = 0x0004;
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Find the TIFF block inside a JPEG's APP1 "Exif" segment
+function findTiffOffset(buffer) {
+  if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xffd8) return -1;
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return -1;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      return offset + 10;
+    }
+    if (marker === 0xda) return -1; // Image data started without EXIF
+    offset += 2 + length;
+  }
+  return -1;
+}
+
+// tag -> raw value for one IFD ({ type, count, valueOffset })
+function readIfd(buffer, tiff, ifdOffset, little) {
+  const read16 = o => little ? buffer.readUInt16LE(o) : buffer.readUInt16BE(o);
+  const read32 = o => little ? buffer.readUInt32LE(o) : buffer.readUInt32BE(o);
+  const tags = new Map();
+  const start = tiff + ifdOffset;
+  if (start + 2 > buffer.length) return tags;
+
+  const count = read16(start);
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > buffer.length) break;
+    const type = read16(entry + 2);
+    const valueCount = read32(entry + 4);
+    const size = (TYPE_SIZES[type] || 1) * valueCount;
+    // Values up to 4 bytes are stored inline, bigger ones at an offset
+    const valueOffset = size <= 4 ? entry + 8 : tiff + read32(entry + 8);
+    tags.set(read16(entry), { type, count: valueCount, valueOffset });
+  }
+  return tags;
+}
+
+function readValue(buffer, tag, little) {
+  if (!tag || tag.valueOffset >= buffer.length) return null;
+  const read32 = o => little ? buffer.readUInt32LE(o) : buffer.readUInt32BE(o);
+  if (tag.type === 2) {
+    return buffer.toString('latin1', tag.valueOffset, Math.min(tag.valueOffset + tag.count, buffer.length)).replace(/\0+$/, '');
+  }
+  if (tag.type === 5) {
+    const values = [];
+    for (let i = 0; i < tag.count && tag.valueOffset + i * 8 + 8 <= buffer.length; i++) {
+      const denominator = read32(tag.valueOffset + i * 8 + 4);
+      values.push(denominator ? read32(tag.valueOffset + i * 8) / denominator : 0);
+    }
+    return values;
+  }
+  if (tag.type === 4) return read32(tag.valueOffset);
+  return null;
+}
+
+// "2025:03:14 09:26:53" (+ optional "-03:00") -> Date. Without an offset the
+// time is the phone's local time, which we take to be the bot's timezone.
+function parseExifDate(value, offset) {
+  const match = (value || '').match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s] = match;
+  const date = offset && /^[+-]\d{2}:\d{2}$/.test(offset)
+    ? new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`)
+    : new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function toDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return (ref === 'S' || ref === 'W') ? -degrees : degrees;
+}
+
+// { takenAt: Date|null, latitude, longitude } or null if the image has no EXIF
+export function parseExif(buffer) {
+  try {
+    const tiff = findTiffOffset(buffer);
+    if (tiff === -1) return null;
+
+    const byteOrder = buffer.toString('latin1', tiff, tiff + 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+    const little = byteOrder === 'II';
+    const read32 = o => little ? buffer.readUInt32LE(o) : buffer.readUInt32BE(o);
+
+    const ifd0 = readIfd(buffer, tiff, read32(tiff + 4), little);
+    const exifPointer = readValue(buffer, ifd0.get(TAG_EXIF_IFD), little);
+    const gpsPointer = readValue(buffer, ifd0.get(TAG_GPS_IFD), little);
+    const exifIfd = exifPointer ? readIfd(buffer, tiff, exifPointer, little) : new Map();
+    const gpsIfd = gpsPointer ? readIfd(buffer, tiff, gpsPointer, little) : new Map();
+
+    const takenAt = parseExifDate(
+      readValue(buffer, exifIfd.get(TAG_DATETIME_ORIGINAL), little) || readValue(buffer, ifd0.get(TAG_DATETIME), little),
+      readValue(buffer, exifIfd.get(TAG_OFFSET_TIME_ORIGINAL), little)
+    );
+    const latitude = toDegrees(readValue(buffer, gpsIfd.get(TAG_GPS_LAT), little), readValue(buffer, gpsIfd.get(TAG_GPS_LAT_REF), little));
+    const longitude = toDegrees(readValue(buffer, gpsIfd.get(TAG_GPS_LNG), little), readValue(buffer, gpsIfd.get(TAG_GPS_LNG_REF), little));
+
+    // 0,0 is what some phones write when they had no fix
+    const hasGps = latitude !== null && longitude !== null && (latitude !== 0 || longitude !== 0);
+    return {
+      takenAt,
+      latitude: hasGps ? latitude : null,
+      longitude: hasGps ? longitude : null
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+export function readPhotoExif(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(MAX_HEADER_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return parseExif(buffer.subarray(0, bytesRead));
+  } catch (e) {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+export default { parseExif, readPhotoExif };
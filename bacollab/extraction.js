@@ -0,0 +1,189 @@
+import { REPORT_TYPES, fieldValues, typesWithField } from './report-types.js';
+
+// Structured output for the report extraction call. Claude answers by calling
+// the report_extraction tool, whose input_schema is the format documented in
+// system-prompt.txt ("FORMATO JSON"). Tool inputs are normalized, validated
+// against the same schema, and sent back once with the errors when they fail.
+// Report types and the values of their fields come from report-types.json.
+
+export const EXTRACTION_TOOL_NAME = 'report_extraction';
+
+const AWAITING_FIELDS = ['schedule', 'reportType', 'address', 'photo', 'photos', 'situationType', 'patente', 'infractionTime'];
+const PATENTE_PATTERN = '^([A-Z]{3}[0-9]{3}|[A-Z]{2}[0-9]{3}[A-Z]{2})$'; // ABC123 or AB123CD
+const TIME_PATTERN = '^([01][0-9]|2[0-3]):[0-5][0-9]$';
+const PATTERN_HINTS = { [PATENTE_PATTERN]: 'ABC123 o AB123CD', [TIME_PATTERN]: 'HH:MM, ej: 14:30' };
+
+// "manteros" / "puesto_diarios y puesto_flores", for the "solo para ..." descriptions
+function typesOf(field) {
+  return typesWithField(field).join(' y ');
+}
+
+const requestProperties = {
+  address: { type: 'string', minLength: 3, description: 'Dirección limpia: "Calle número", "Calle1 y Calle2" o "Calle número entre Calle2 y Calle3"' },
+  reportType: { type: 'string', enum: REPORT_TYPES },
+  containerType: { type: ['string', 'null'], enum: [...fieldValues('containerType'), null], description: `Solo para ${typesOf('containerType')}` },
+  schedule: { type: ['string', 'null'], description: `Días y horarios, solo para ${typesOf('schedule')}` },
+  situationType: { type: ['string', 'null'], enum: [...fieldValues('situationType'), null], description: `Solo para ${typesOf('situationType')}` },
+  patente: { type: ['string', 'null'], pattern: PATENTE_PATTERN, description: `Solo para ${typesOf('patente')}` },
+  infractionTime: { type: ['string', 'null'], pattern: TIME_PATTERN, description: `HH:MM, solo para ${typesOf('infractionTime')}` },
+  postToX: { type: 'boolean' },
+  msgIndex: { type: 'integer', minimum: 1, description: 'Número del mensaje (Msg1, Msg2...) al que corresponde' }
+};
+
+export const EXTRACTION_TOOL = {
+  name: EXTRACTION_TOOL_NAME,
+  description: 'Devuelve el análisis de los mensajes nuevos: los reportes a crear y, si falta información, la pregunta para el vecino.',
+  input_schema: {
+    type: 'object',
+    required: ['shouldRespond', 'requests'],
+    properties: {
+      shouldRespond: { type: 'boolean' },
+      requests: {
+        type: 'array',
+        items: { type: 'object', required: ['address', 'reportType'], properties: requestProperties }
+      },
+      response: { type: ['string', 'null'], description: 'Solo si shouldRespond es true' },
+      awaitingField: { type: ['string', 'null'], enum: [...AWAITING_FIELDS, null] },
+      partialRequest: { type: ['object', 'null'], properties: requestProperties },
+      photoValid: { type: ['boolean', 'null'] },
+      isCorrection: { type: ['boolean', 'null'] },
+      correctedAddress: { type: ['string', 'null'] }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Just the JSON Schema keywords EXTRACTION_TOOL uses
+function validateValue(value, schema, where, errors) {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    errors.push(`${where}: se esperaba ${types.join(' o ')}, llegó ${actual}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: "${value}" no es válido (opciones: ${schema.enum.filter(v => v !== null).join(', ')})`);
+  }
+  if (actual === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: "${value}" no tiene el formato correcto (${PATTERN_HINTS[schema.pattern] || schema.pattern})`);
+    }
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${where}: "${value}" es demasiado corto`);
+    }
+  }
+  if (actual === 'integer' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${where}: debe ser al menos ${schema.minimum}`);
+  }
+  if (actual === 'object' && schema.properties) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null) {
+        errors.push(`${where}.${field}: falta`);
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+      if (value[field] !== undefined) {
+        validateValue(value[field], fieldSchema, `${where}.${field}`, errors);
+      }
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => validateValue(item, schema.items, `${where}[${i}]`, errors));
+  }
+}
+
+// Errors (in Spanish, they go back to Claude) - empty when the input is usable.
+// messageCount bounds msgIndex to the messages that were actually sent.
+export function validateExtraction(input, { messageCount = null } = {}) {
+  if (!input || typeof input !== 'object') {
+    return ['No llegó el resultado de la herramienta'];
+  }
+  const errors = [];
+  validateValue(input, EXTRACTION_TOOL.input_schema, 'resultado', errors);
+
+  (Array.isArray(input.requests) ? input.requests : []).forEach((req, i) => {
+    if (messageCount && Number.isInteger(req?.msgIndex) && req.msgIndex > messageCount) {
+      errors.push(`resultado.requests[${i}].msgIndex: hay solo ${messageCount} mensaje(s)`);
+    }
+  });
+  if (input.shouldRespond === true && !input.response) {
+    errors.push('resultado.response: shouldRespond es true pero no hay respuesta para el vecino');
+  }
+  return errors;
+}
+
+// "14.30" / "9:5" / "14hs" -> "14:30" / "09:05" / "14:00"
+function normalizeTime(time) {
+  if (typeof time !== 'string') return time;
+  const match = time.trim().match(/^(\d{1,2})(?:[:.h]\s*(\d{1,2}))?\s*(?:hs?|horas?)?$/i);
+  if (!match) return time.trim();
+  return `${match[1].padStart(2, '0')}:${(match[2] || '0').padStart(2, '0')}`;
+}
+
+function normalizeRequestFields(req) {
+  if (!req || typeof req !== 'object') return;
+  if (typeof req.patente === 'string') {
+    req.patente = req.patente.toUpperCase().replace(/[\s.-]/g, '') || null;
+  }
+  if (req.infractionTime) {
+    req.infractionTime = normalizeTime(req.infractionTime);
+  }
+  if (typeof req.msgIndex === 'string' && /^\d+$/.test(req.msgIndex.trim())) {
+    req.msgIndex = parseInt(req.msgIndex);
+  }
+  if (typeof req.address === 'string') {
+    req.address = req.address.trim();
+  }
+}
+
+// Fix formatting slips in place so they don't cost a repair round-trip
+export function normalizeExtraction(input) {
+  if (!input || typeof input !== 'object') return input;
+  if (input.requests === undefined || input.requests === null) input.requests = [];
+  if (Array.isArray(input.requests)) input.requests.forEach(normalizeRequestFields);
+  if (input.partialRequest && typeof input.partialRequest === 'object') normalizeRequestFields(input.partialRequest);
+  return input;
+}
+
+// The report_extraction tool_use block of a response, or null
+export function findToolUse(response) {
+  return (response?.content || []).find(block => block.type === 'tool_use' && block.name === EXTRACTION_TOOL_NAME) || null;
+}
+
+// Follow-up turn asking Claude to fix exactly the fields that failed
+export function repairMessages(content, response, toolUse, errors) {
+  const truncated = response.stop_reason === 'max_tokens';
+  const text = [
+    truncated ? 'La respuesta se cortó por largo. Volvé a llamar a la herramienta con una respuesta más corta.' : 'El resultado tiene errores de formato:',
+    ...errors.map(e => `- ${e}`),
+    'Llamá de nuevo a report_extraction corrigiendo SOLO esos campos (si un dato no se puede corregir, dejalo en null o sacá ese request).'
+  ].join('\n');
+
+  return [
+    { role: 'user', content },
+    { role: 'assistant', content: response.content },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: text }] }
+  ];
+}
+
+// Last resort after a failed repair: keep the requests that validate on their own
+export function dropInvalidRequests(input, options = {}) {
+  if (!input || !Array.isArray(input.requests)) return input;
+  const kept = input.requests.filter(req => {
+    const errors = [];
+    validateValue(req, EXTRACTION_TOOL.input_schema.properties.requests.items, 'request', errors);
+    if (options.messageCount && Number.isInteger(req?.msgIndex) && req.msgIndex > options.messageCount) {
+      errors.push('msgIndex');
+    }
+    return errors.length === 0;
+  });
+  return { ...input, requests: kept };
+}
+
+export default { EXTRACTION_TOOL, validateExtraction, normalizeExtraction, findToolUse, repairMessages, dropInvalidRequests };
@@ -0,0 +1,284 @@
+import { getStreets, streetsMeet } from './callejero.js';
+
+// Address validation against the official CABA street list (the callejero
+// loaded by callejero.js): canonicalizes common aliases, fixes small typos and
+// checks that the door number exists on that street. Used by the bot before
+// queueing and by index.js before opening the browser. Without a callejero
+// file only the aliases are applied and every address passes as unverified
+// (both processes warn at startup; /health reports addressValidation).
+
+// Names people use -> official name. Keys are compared with streetKey().
+const STREET_ALIASES = {
+  'uriburu': 'Pres. José Evaristo Uriburu',
+  'jose e uriburu': 'Pres. José Evaristo Uriburu',
+  'peron': 'Tte. Gral. Juan Domingo Perón',
+  'juan d peron': 'Tte. Gral. Juan Domingo Perón',
+  'mitre': 'Bartolomé Mitre',
+  'corrientes': 'Av. Corrientes',
+  'callao': 'Av. Callao',
+  'irigoyen': 'Hipólito Yrigoyen',
+  'hipolito irigoyen': 'Hipólito Yrigoyen',
+  'yrigoyen': 'Hipólito Yrigoyen'
+};
+
+// Titles and street types that people drop or abbreviate differently
+const IGNORED_WORDS = new Set([
+  'av', 'avda', 'avenida', 'calle', 'pje', 'pasaje', 'bv', 'boulevard', 'autopista',
+  'pres', 'presidente', 'tte', 'teniente', 'gral', 'general', 'dr', 'doctor', 'ing',
+  'ingeniero', 'cnel', 'coronel', 'alte', 'almirante', 'cap', 'capitan', 'gdor', 'gobernador',
+  'mcal', 'mariscal', 'pte', 'sto', 'santo', 'sta', 'santa', 'de', 'del', 'la', 'los', 'las', 'y'
+]);
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// "Pres. José Evaristo Uriburu" -> "jose evaristo uriburu"
+function streetKey(name) {
+  return normalizeText(name)
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w && !IGNORED_WORDS.has(w))
+    .join(' ');
+}
+
+// Edit distance where swapping two adjacent letters ("Pastuer") counts as one typo
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Three shapes of address:
+//   "Es en Corrientes al 1500"           -> { type: 'street', street: 'Corrientes', number: 1500 }
+//   "Corrientes esq. Callao"             -> { type: 'intersection', street: 'Corrientes', crossStreet: 'Callao' }
+//   "Corrientes 1500 entre Paraná y Uruguay" (number optional)
+//                                        -> { type: 'between', street, number, from: 'Paraná', to: 'Uruguay' }
+export function parseAddress(address) {
+  const cleaned = (address || '').trim()
+    .replace(/^(es en |es |esta en |está en |en )/i, '')
+    .replace(/\s+al\s+(\d)/i, ' $1')
+    .replace(/\s+/g, ' ');
+  const trim = text => text.replace(/^[\s,.-]+|[\s,.-]+$/g, '').trim();
+
+  const between = cleaned.match(/^(.+?)(?:\s+(\d{1,5}))?,?\s+entre\s+(.+?)\s+(?:y|e)\s+(.+)$/i);
+  if (between) {
+    const [, street, number, from, to] = between;
+    return { type: 'between', street: trim(street), number: number ? parseInt(number) : null, from: trim(from), to: trim(to) };
+  }
+
+  // A trailing number means "street number", even for names with digits ("9 de Julio y Corrientes" has none)
+  const corner = !/\d\s*$/.test(cleaned) && cleaned.match(/^(.+?)\s+(?:y|e|esq\.?|esquina(?: con)?|&)\s+(.+)$/i);
+  if (corner) {
+    return { type: 'intersection', street: trim(corner[1]), crossStreet: trim(corner[2]) };
+  }
+
+  const match = cleaned.match(/^(.*?\D)\s*(\d{1,5})\s*$/);
+  if (!match) return null;
+  const street = trim(match[1]);
+  return street ? { type: 'street', street, number: parseInt(match[2]) } : null;
+}
+
+function aliasFor(street) {
+  return STREET_ALIASES[streetKey(street)] || null;
+}
+
+// Official street names matching what the user wrote, best first
+function findStreetCandidates(street, streets) {
+  const key = streetKey(street);
+  if (!key) return [];
+  const entries = [...streets.keys()].map(name => ({ name, key: streetKey(name) }));
+
+  const exact = entries.filter(e => e.key === key);
+  if (exact.length > 0) return exact.map(e => e.name);
+
+  // Partial names: "Uriburu" for "Pres. José Evaristo Uriburu"
+  const words = key.split(' ');
+  const partial = entries.filter(e => words.every(w => e.key.split(' ').includes(w)));
+  if (partial.length > 0) return partial.map(e => e.name);
+
+  // Typos: compare against the full name and against its last word (the surname)
+  const maxDistance = Math.max(1, Math.floor(key.length / 5));
+  return entries
+    .map(e => ({ name: e.name, distance: Math.min(editDistance(key, e.key), editDistance(key, e.key.split(' ').pop())) }))
+    .filter(e => e.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .filter((e, i, list) => e.distance === list[0].distance)
+    .map(e => e.name);
+}
+
+// One street name -> { status, street, suggestions, range }. With a number,
+// streets that share a name ("Mitre") are narrowed to those where it exists.
+function resolveStreet(name, streets, number = null) {
+  const alias = aliasFor(name);
+  if (!streets) {
+    return { status: 'unavailable', street: alias || name, suggestions: [] };
+  }
+
+  const candidates = findStreetCandidates(alias || name, streets);
+  if (candidates.length === 0) {
+    return { status: 'unknown-street', street: name, suggestions: [] };
+  }
+  if (number === null) {
+    return candidates.length === 1
+      ? { status: 'ok', street: candidates[0], suggestions: [] }
+      : { status: 'unknown-street', street: name, suggestions: candidates.slice(0, 3), candidates };
+  }
+
+  const inRange = candidates.filter(candidate => {
+    const { min, max } = streets.get(candidate);
+    return number >= min && number <= max;
+  });
+  if (inRange.length === 1) {
+    return { status: 'ok', street: inRange[0], suggestions: [] };
+  }
+  if (inRange.length > 1) {
+    return { status: 'unknown-street', street: name, suggestions: inRange.slice(0, 3).map(c => `${c} ${number}`) };
+  }
+  return { status: 'out-of-range', street: candidates[0], range: streets.get(candidates[0]), suggestions: [] };
+}
+
+// "Mitre y Perón": of the streets each name could be, the pair that actually crosses
+function resolveCorner(nameA, nameB, streets) {
+  const a = resolveStreet(nameA, streets);
+  const b = resolveStreet(nameB, streets);
+  if (a.status === 'unavailable') return { status: 'unavailable', street: a.street, crossStreet: b.street };
+
+  const optionsA = a.status === 'ok' ? [a.street] : (a.candidates || []);
+  const optionsB = b.status === 'ok' ? [b.street] : (b.candidates || []);
+  if (optionsA.length === 0) return { ...a, crossStreet: nameB };
+  if (optionsB.length === 0) return b;
+
+  for (const streetA of optionsA) {
+    const streetB = optionsB.find(candidate => streetsMeet(streetA, candidate));
+    if (streetB) return { status: 'ok', street: streetA, crossStreet: streetB };
+  }
+  return { status: 'no-intersection', street: optionsA[0], crossStreet: optionsB[0] };
+}
+
+// Returns { status, type, address, street, number, crossStreet, from, to, suggestions, range }:
+//   ok              - address is canonical ("Pres. José Evaristo Uriburu 577", "Av. Corrientes y Av. Callao")
+//   unavailable     - no callejero loaded; address only has aliases applied
+//   unparsed        - not a "street number", corner or "entre" address (left for the caller to handle)
+//   unknown-street  - a name matches no official street (street); suggestions may have close ones
+//   out-of-range    - the street exists but not with that number; range = { min, max }
+//   no-intersection - the corner (or an "entre" street) doesn't cross the street
+export function resolveAddress(address) {
+  const parsed = parseAddress(address);
+  if (!parsed) {
+    return { status: 'unparsed', address, suggestions: [] };
+  }
+  const streets = getStreets();
+
+  if (parsed.type === 'intersection') {
+    const corner = resolveCorner(parsed.street, parsed.crossStreet, streets);
+    const usable = corner.status === 'ok' || corner.status === 'unavailable';
+    return {
+      suggestions: [],
+      ...corner,
+      type: 'intersection',
+      address: usable ? `${corner.street} y ${corner.crossStreet}` : address
+    };
+  }
+
+  const main = resolveStreet(parsed.street, streets, parsed.number);
+  if (main.status !== 'ok' && main.status !== 'unavailable') {
+    return { ...main, type: parsed.type, address, number: parsed.number };
+  }
+  const number = parsed.number ? ` ${parsed.number}` : '';
+
+  if (parsed.type === 'between') {
+    const from = resolveCorner(main.street, parsed.from, streets);
+    const to = resolveCorner(main.street, parsed.to, streets);
+    const problem = [from, to].find(c => c.status !== 'ok' && c.status !== 'unavailable');
+    if (problem) {
+      return { ...problem, type: 'between', address, number: parsed.number };
+    }
+    return {
+      status: main.status,
+      type: 'between',
+      address: `${main.street}${number} entre ${from.crossStreet} y ${to.crossStreet}`,
+      street: main.street,
+      number: parsed.number,
+      from: from.crossStreet,
+      to: to.crossStreet,
+      suggestions: []
+    };
+  }
+
+  return { status: main.status, type: 'street', address: `${main.street}${number}`, street: main.street, number: parsed.number, suggestions: [] };
+}
+
+// Comparable form of an address for dedup: accents, titles and aliases don't
+// matter, and "Callao y Corrientes" is the same corner as "Corrientes y Callao"
+export function addressKey(address) {
+  const parsed = parseAddress(address);
+  if (!parsed) return streetKey(address);
+  const key = name => streetKey(aliasFor(name) || name);
+
+  if (parsed.type === 'intersection') {
+    return [key(parsed.street), key(parsed.crossStreet)].sort().join(' y ');
+  }
+  if (parsed.type === 'between' && !parsed.number) {
+    return `${key(parsed.street)} entre ${[key(parsed.from), key(parsed.to)].sort().join(' y ')}`;
+  }
+  return `${key(parsed.street)} ${parsed.number}`;
+}
+
+// What to type in BA Colaborativa's address autocomplete: it knows
+// "street number" and corners, but not "entre" ranges
+export function autocompleteQuery(address) {
+  const parsed = parseAddress(address);
+  if (!parsed) return address;
+  if (parsed.type === 'intersection') return `${parsed.street} y ${parsed.crossStreet}`;
+  if (parsed.type === 'between' && !parsed.number) return `${parsed.street} y ${parsed.from}`;
+  return `${parsed.street} ${parsed.number}`;
+}
+
+// Index of the autocomplete suggestion that best matches the address: every
+// street of a corner must appear (the first suggestion is often another corner
+// of the same avenue), plus the door number for plain addresses
+export function pickSuggestion(address, suggestions) {
+  const parsed = parseAddress(autocompleteQuery(address));
+  if (!parsed || suggestions.length === 0) return 0;
+  const names = parsed.type === 'intersection' ? [parsed.street, parsed.crossStreet] : [parsed.street];
+
+  const scores = suggestions.map(text => {
+    const words = new Set(streetKey(text).split(' '));
+    let score = names.reduce((sum, name) => {
+      const nameWords = streetKey(aliasFor(name) || name).split(' ').filter(Boolean);
+      return sum + nameWords.filter(w => words.has(w)).length / Math.max(nameWords.length, 1);
+    }, 0);
+    if (parsed.type !== 'intersection' && words.has(String(parsed.number))) score += 1;
+    return score;
+  });
+  return scores.indexOf(Math.max(...scores));
+}
+
+// One-line explanation for users (Spanish), or null if the address is usable
+export function describeAddressProblem(resolution) {
+  if (resolution.status === 'unknown-street') {
+    return resolution.suggestions.length > 0
+      ? `No sé bien cuál calle es "${resolution.street}". ¿Es ${resolution.suggestions.join(' o ')}?`
+      : `No encuentro la calle "${resolution.street}" en CABA. ¿Me pasás la dirección de nuevo (calle y altura)?`;
+  }
+  if (resolution.status === 'out-of-range') {
+    const { min, max } = resolution.range;
+    return `${resolution.street} no tiene la altura ${resolution.number} (va del ${min} al ${max}). ¿Me confirmás la altura?`;
+  }
+  if (resolution.status === 'no-intersection') {
+    return `${resolution.street} y ${resolution.crossStreet} no se cruzan. ¿Me pasás la esquina de nuevo, o calle y altura?`;
+  }
+  return null;
+}
+
+export default { resolveAddress, parseAddress, addressKey, autocompleteQuery, pickSuggestion, describeAddressProblem };
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { REPORT_TYPES, isReportType } from './report-types.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Per-group configuration (see groups.example.json). Groups are matched by
+// chat id, since members can rename a group. Without a groups file the bot
+// falls back to the single group named WHATSAPP_GROUP_NAME.
+// The file is either an array of groups or { "groups": [...], "directMessages": {...},
+// "reporterAccounts": {...} }. reporterAccounts maps the phone of a reporter who
+// opted in to file under their own miBA account to that account's name.
+const GROUPS_FILE = process.env.GROUPS_FILE || path.join(__dirname, 'groups.json');
+// Read when used rather than at import, so they don't depend on .env being
+// loaded before this module
+const legacyGroupName = () => process.env.WHATSAPP_GROUP_NAME || 'Trash';
+// 1:1 chats are only handled when ALLOW_DIRECT_MESSAGES=true
+const directMessagesAllowed = () => process.env.ALLOW_DIRECT_MESSAGES === 'true';
+
+const GROUP_DEFAULTS = {
+  reportTypes: REPORT_TYPES,
+  xMentions: ['@ibaistrocchi', '@jorgemacri'],
+  account: 'default', // BA Colaborativa account (see EMAIL_<ACCOUNT> in index.js), or "round-robin" to spread reports over several
+  tone: null, // Extra instruction for Claude's replies, e.g. "tuteo, breve y cordial"
+  promptNote: null, // Extra context for Claude about the conversation
+  promptVersion: null, // Pin to a saved prompt version (e.g. "v3", see prompts.js); null follows system-prompt.txt
+  dedupWindowHours: 12,
+  dryRun: false, // Fill the forms but stop before "Confirmar" (index.js) - for trying out a group
+  channel: 'group'
+};
+
+// Settings for private chats; "directMessages" in the groups file overrides them
+const DIRECT_MESSAGE_DEFAULTS = {
+  ...GROUP_DEFAULTS,
+  id: 'dm',
+  name: 'Mensajes directos',
+  channel: 'dm',
+  tone: 'Guiado y amable, como una conversación de a dos.',
+  promptNote: 'Esta es una conversación privada (1 a 1), no un grupo. Respondé siempre (shouldRespond true) salvo que ya hayas armado una solicitud completa. Si falta información, preguntá de a UNA cosa por mensaje, en este orden: qué problema es, la dirección exacta (calle y altura) y por último la foto.'
+};
+
+let directMessageConfig = DIRECT_MESSAGE_DEFAULTS;
+
+let cachedGroups = null;
+let cachedMtime = 0;
+let reporterAccounts = {}; // phone -> account
+
+function normalizeGroup(raw) {
+  const group = { ...GROUP_DEFAULTS, ...raw };
+  const unknown = group.reportTypes.filter(t => !isReportType(t));
+  if (unknown.length > 0) {
+    console.error(`[Groups] "${group.name || group.id}": unknown report types ${unknown.join(', ')}`);
+    group.reportTypes = group.reportTypes.filter(t => isReportType(t));
+  }
+  return group;
+}
+
+// Reloaded whenever the file changes, like system-prompt.txt
+export function loadGroups() {
+  if (!fs.existsSync(GROUPS_FILE)) {
+    cachedGroups = null;
+    reporterAccounts = {};
+    return null;
+  }
+
+  try {
+    const mtime = fs.statSync(GROUPS_FILE).mtimeMs;
+    if (cachedGroups && mtime === cachedMtime) return cachedGroups;
+
+    const parsed = JSON.parse(fs.readFileSync(GROUPS_FILE, 'utf-8'));
+    const list = Array.isArray(parsed) ? parsed : parsed.groups;
+    cachedGroups = (list || []).filter(g => g.id).map(g => normalizeGroup({ ...g, channel: 'group' }));
+    directMessageConfig = normalizeGroup({ ...DIRECT_MESSAGE_DEFAULTS, ...(parsed.directMessages || {}), id: 'dm', channel: 'dm' });
+    reporterAccounts = Object.fromEntries(Object.entries(parsed.reporterAccounts || {}).map(([phone, account]) => [phone.replace(/\D/g, ''), account]));
+    cachedMtime = mtime;
+    console.log(`[Groups] ${cachedGroups.length} grupo(s) configurado(s) en ${path.basename(GROUPS_FILE)}`);
+  } catch (e) {
+    console.error(`[Groups] Error leyendo ${path.basename(GROUPS_FILE)}: ${e.message}`);
+  }
+  return cachedGroups;
+}
+
+// Config for a chat, or null if the bot doesn't watch it
+export function findGroupConfig(chat) {
+  if (!chat) return null;
+  const chatId = chat.id?._serialized;
+  if (!chat.isGroup) {
+    return findDirectMessageConfig(chatId);
+  }
+
+  const groups = loadGroups();
+  if (groups) {
+    return groups.find(g => g.id === chatId) || null;
+  }
+  return chat.name === legacyGroupName() ? normalizeGroup({ id: chatId, name: chat.name }) : null;
+}
+
+// Same lookup when only the chat id is known (e.g. a request restored from the journal)
+export function findGroupConfigById(chatId) {
+  if (chatId && !chatId.endsWith('@g.us')) {
+    return findDirectMessageConfig(chatId);
+  }
+  const groups = loadGroups();
+  if (groups) {
+    return groups.find(g => g.id === chatId) || null;
+  }
+  return null;
+}
+
+function findDirectMessageConfig(chatId) {
+  if (!directMessagesAllowed() || !chatId || chatId.endsWith('@broadcast')) return null;
+  loadGroups(); // Picks up "directMessages" overrides
+  return directMessageConfig;
+}
+
+// Account a reporter opted in to file under, or null
+export function accountForReporter(phone) {
+  loadGroups();
+  return (phone && reporterAccounts[phone.replace(/\D/g, '')]) || null;
+}
+
+// 'dm' for private chats, 'group' otherwise
+export function channelForChatId(chatId) {
+  return chatId && !chatId.endsWith('@g.us') ? 'dm' : 'group';
+}
+
+export function isReportTypeAllowed(group, reportType) {
+  return !group || group.reportTypes.includes(reportType || 'recoleccion');
+}
+
+export function describeMonitoredGroups() {
+  const groups = loadGroups();
+  const described = groups ? groups.map(g => `"${g.name || g.id}"`).join(', ') : `"${legacyGroupName()}" (WHATSAPP_GROUP_NAME)`;
+  return directMessagesAllowed() ? `${described} + mensajes directos` : described;
+}
+
+export { GROUP_DEFAULTS };
@@ -1,23 +1,24 @@
+// Loaded first: modules read their settings from process.env when imported
+import 'dotenv/config';
 import puppeteer from 'puppeteer';
 import express from 'express';
-import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
-import Anthropic from '@anthropic-ai/sdk';
-
-dotenv.config();
-
-// Initialize Anthropic client for intelligent form filling
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+import llm from './llm.js';
+import { dailyUsage, usageForRef, spentToday, dailyBudgetUsd } from './usage.js';
+import { JournalStore } from './store.js';
+import { ReportStore } from './report-store.js';
+import { prestacionesFromJson, questionsFromJson, formShapeHash, saveCapture } from './prestaciones.js';
+import { resolveAddress, describeAddressProblem, addressKey, autocompleteQuery, pickSuggestion } from './gazetteer.js';
+import { isCallejeroAvailable, warnIfCallejeroMissing } from './callejero.js';
+import { REPORT_TYPES, isReportType, getReportType, reportTypeLabel, prestacionUrl, confirmationUrl, reportTypeForCode, requiresField, questionnaireFor, fieldDefault, DEFAULT_REPORT_TYPE, BA_COLABORATIVA_URL } from './report-types.js';
 
 // Setup file logging
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const LOG_FILE = path.join(__dirname, 'index.log');
+const LOG_FILE = process.env.LOG_FILE || path.join(__dirname, 'index.log');
 
 // Override console.log and console.error to also write to file
 const originalLog = console.log;
@@ -45,10 +46,111 @@ const PORT = process.env.PORT || 3000;
 const EMAIL = process.env.EMAIL;
 const PASSWORD = process.env.PASSWORD;
 
-// Store browser instance for reuse
+// BA Colaborativa accounts: "default" uses EMAIL/PASSWORD, any other name uses
+// EMAIL_<NAME>/PASSWORD_<NAME> (e.g. account "palermo" -> EMAIL_PALERMO).
+// A request for account "round-robin" is filed under the next account of
+// ROUND_ROBIN_ACCOUNTS (comma-separated names; every configured account if unset),
+// so reports aren't all concentrated on one citizen's account.
+const ROUND_ROBIN = 'round-robin';
+const ROUND_ROBIN_ACCOUNTS = (process.env.ROUND_ROBIN_ACCOUNTS || '').split(',').map(a => a.trim()).filter(Boolean).map(a => accountKey(a));
+let roundRobinNext = 0;
+
+// The name an account goes by in jobs, sessions and the pool: its env suffix,
+// lowercased ("Zona-Norte" -> "zona_norte", read from EMAIL_ZONA_NORTE)
+function accountKey(account = 'default') {
+  return account === 'default' ? account : account.toUpperCase().replace(/[^A-Z0-9]/g, '_').toLowerCase();
+}
+
+function getAccountCredentials(account = 'default') {
+  if (account === 'default') {
+    return { email: EMAIL, password: PASSWORD };
+  }
+  const suffix = accountKey(account).toUpperCase();
+  const email = process.env[`EMAIL_${suffix}`];
+  const password = process.env[`PASSWORD_${suffix}`];
+  if (!email || !password) {
+    throw new Error(`Unknown BA Colaborativa account "${account}" (set EMAIL_${suffix} and PASSWORD_${suffix})`);
+  }
+  return { email, password };
+}
+
+// Whether `account` has credentials, under any spelling getAccountCredentials accepts
+function hasAccountCredentials(account) {
+  try {
+    const { email, password } = getAccountCredentials(account);
+    return Boolean(email && password);
+  } catch {
+    return false;
+  }
+}
+
+// Names of the accounts with credentials in the environment
+function configuredAccounts() {
+  const accounts = EMAIL && PASSWORD ? ['default'] : [];
+  for (const key of Object.keys(process.env)) {
+    const suffix = key.match(/^EMAIL_([A-Z0-9_]+)$/)?.[1];
+    if (suffix && process.env[`PASSWORD_${suffix}`]) {
+      accounts.push(suffix.toLowerCase());
+    }
+  }
+  return accounts;
+}
+
+function roundRobinAccounts() {
+  return ROUND_ROBIN_ACCOUNTS.length > 0 ? ROUND_ROBIN_ACCOUNTS : configuredAccounts();
+}
+
+// The account a new job is filed under. Round-robin skips accounts whose logins
+// are throttled, unless all of them are.
+function resolveAccount(account) {
+  if (account !== ROUND_ROBIN) return accountKey(account || 'default');
+  const pool = roundRobinAccounts();
+  if (pool.length === 0) {
+    throw new Error('No BA Colaborativa accounts configured for round-robin');
+  }
+  const start = roundRobinNext;
+  for (let i = 0; i < pool.length; i++) {
+    const candidate = pool[(start + i) % pool.length];
+    if (recentLoginFailures(candidate).length < LOGIN_MAX_FAILURES || i === pool.length - 1) {
+      roundRobinNext = (start + i + 1) % pool.length;
+      return candidate;
+    }
+  }
+}
+
+// Browser pool: one Chrome process, each worker an isolated browser context
+// (its own cookies, so its own miBA session) with one page. runBrowserTask()
+// hands tasks a free worker: at most BROWSER_POOL_SIZE run at once, and at most
+// ACCOUNT_CONCURRENCY of them for the same BA Colaborativa account.
+const BROWSER_POOL_SIZE = Math.max(1, parseInt(process.env.BROWSER_POOL_SIZE) || 1);
+const ACCOUNT_CONCURRENCY = Math.max(1, parseInt(process.env.ACCOUNT_CONCURRENCY) || 2);
 let browser = null;
-let page = null;
-let isLoggedIn = false;
+let browserLaunch = null;
+// taskAccount: account of the task running on it; loggedInAccount: session the context holds;
+// dryRun: the solicitud on it is a dry run (see guardReviewPage)
+const workers = Array.from({ length: BROWSER_POOL_SIZE }, (_, i) => ({
+  id: i + 1,
+  context: null,
+  page: null,
+  busy: false,
+  taskAccount: null,
+  isLoggedIn: false,
+  loggedInAccount: null,
+  sessionCheckedAt: 0,
+  dryRun: false
+}));
+const waitingTasks = []; // { account, resolve }, in arrival order
+
+// miBA sessions survive closeWorker(): each account's cookies are saved after
+// logging in and when a context closes, and restored into the next one, so a
+// job only types the password when the saved session has expired.
+const SESSIONS_FILE = process.env.MIBA_SESSIONS_FILE || path.join(__dirname, 'miba-sessions.jsonl');
+const sessionStore = new JournalStore(SESSIONS_FILE);
+const SESSION_CHECK_MS = 15 * 60 * 1000; // Re-check a session the browser has held for this long
+// miBA locks accounts after repeated failed logins: once an account has
+// LOGIN_MAX_FAILURES within LOGIN_FAILURE_WINDOW_MS, password logins wait
+const LOGIN_MAX_FAILURES = 3;
+const LOGIN_FAILURE_WINDOW_MS = 30 * 60 * 1000;
 
 // Deduplication: prevent submitting same address twice within time window
 const recentSubmissions = new Map(); // address -> { timestamp, solicitudNumber }
@@ -57,31 +159,38 @@ const SUBMISSION_DEDUP_MS = 5 * 60 * 1000; // 5 minutes
 // Per-address locks to prevent concurrent submissions
 const submissionLocks = new Map(); // address -> Promise
 
+// Solicitud jobs - POST /solicitud queues one and returns its id immediately.
+// States: queued -> logging-in -> filling-form -> done | needs-info | failed
+const JOBS_FILE = process.env.JOBS_FILE || path.join(__dirname, 'jobs.jsonl');
+const jobStore = new JournalStore(JOBS_FILE);
+const FINAL_JOB_STATES = ['done', 'needs-info', 'failed'];
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000; // Keep finished jobs for a day
+const JOB_CALLBACK_TIMEOUT_MS = 10000;
+
+// Dry runs fill the whole form but stop before the final "Confirmar", saving a
+// screenshot and the filled values instead of filing the solicitud. DRY_RUN=true
+// makes every job a dry run; otherwise a request asks for one with "dryRun": true.
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const DRY_RUN_DIR = process.env.DRY_RUN_DIR || path.join(__dirname, 'dry-runs');
+
+// Submitted reports - written by the bot, read here for GET /reports
+const reportStore = new ReportStore({ readOnly: true });
+
+// Status of submitted solicitudes, scraped from their detalleSolicitud pages.
+// The list of solicitudes to track comes from the report store.
+const STATUS_FILE = process.env.STATUS_FILE || path.join(__dirname, 'solicitud-status.jsonl');
+const statusStore = new JournalStore(STATUS_FILE);
+const CLOSED_STATES = ['resuelta', 'cerrada']; // No need to check these again
+// How often each open solicitud is re-checked (0 disables the poller)
+const STATUS_POLL_INTERVAL_MS = parseInt(process.env.STATUS_POLL_INTERVAL_MS ?? 2 * 60 * 60 * 1000);
+const STATUS_POLL_TICK_MS = 10 * 60 * 1000;
+
+// Confirmation page of each report type: prestacionUrl() (report-types.json).
+// BA_COLABORATIVA_URL points them all at another site (the replica of test-e2e.js).
 const URLS = {
-  prestaciones: 'https://bacolaborativa.buenosaires.gob.ar/prestaciones',
-  recoleccion: 'https://bacolaborativa.buenosaires.gob.ar/confirmacion/1462821007742',
-  barrido: 'https://bacolaborativa.buenosaires.gob.ar/confirmacion/096059',
-  obstruccion: 'https://bacolaborativa.buenosaires.gob.ar/confirmacion/118020',
-  ocupacion_comercial: 'https://bacolaborativa.buenosaires.gob.ar/confirmacion/118001',
-  ocupacion_gastronomica: 'https://bacolaborativa.buenosaires.gob.ar/confirmacion/1604407880652',
-  manteros: 'https://bacolaborativa.buenosaires.gob.ar/confirmacion/1334597891562',
-  puesto_diarios: 'https://bacolaborativa.buenosaires.gob.ar/confirmacion/1408631404212',
-  puesto_flores: 'https://bacolaborativa.buenosaires.gob.ar/confirmacion/118002',
-  vehiculo_mal_estacionado: 'https://bacolaborativa.buenosaires.gob.ar/confirmacion/1476814313550',
-  ubicacion: 'https://bacolaborativa.buenosaires.gob.ar/ubicacion'
-};
-
-// Report type labels for logging
-const REPORT_TYPE_LABELS = {
-  recoleccion: 'Recolección de residuos',
-  barrido: 'Mejora de barrido',
-  obstruccion: 'Obstrucción de calle/vereda',
-  ocupacion_comercial: 'Ocupación por local comercial',
-  ocupacion_gastronomica: 'Ocupación por área gastronómica',
-  manteros: 'Manteros/vendedores ambulantes',
-  puesto_diarios: 'Irregularidades en puesto de diarios',
-  puesto_flores: 'Irregularidades en puesto de flores',
-  vehiculo_mal_estacionado: 'Vehículo mal estacionado'
+  prestaciones: `${BA_COLABORATIVA_URL}/prestaciones`,
+  ubicacion: `${BA_COLABORATIVA_URL}/ubicacion`,
+  detalleSolicitud: `${BA_COLABORATIVA_URL}/detalleSolicitud/`
 };
 
 const SELECTORS = {
@@ -276,9 +385,55 @@ async function inspectAllAccordions(page) {
   });
 }
 
+// The step of the report type's questionnaire (report-types.json) that answers
+// what's on screen: a radio/textarea step whose "match" keywords appear in the
+// question or its options (no "match" = any), or the time picker
+function matchingStep(steps, formContext) {
+  const text = [formContext.questionLabel, ...formContext.allLabels, formContext.fullText].join('\n').toLowerCase();
+  return steps.find(step => {
+    if (step.control === 'time') {
+      return formContext.hasTimePicker && (!formContext.hourInputValue || !formContext.minuteInputValue);
+    }
+    if (step.control === 'radio' && !(formContext.hasRadio && !formContext.radioSelected)) return false;
+    if (step.control === 'textarea' && !(formContext.hasTextarea && formContext.textareaEmpty)) return false;
+    return !step.match || step.match.some(keyword => text.includes(keyword.toLowerCase()));
+  }) || null;
+}
+
+// Action for a questionnaire step, or null if there's nothing to answer it with
+function answerStep(step, availableData, then) {
+  const value = availableData[step.field] || step.default || null;
+
+  if (step.control === 'radio') {
+    const label = step.answers[value];
+    if (!label) return null;
+    console.log(`[Form AI] DECISION: ${step.field} question detected, selecting "${label}" (${value})`);
+    return { action: 'click_radio_by_text', value: label, then };
+  }
+
+  if (step.control === 'textarea') {
+    if (!value) {
+      console.log(`[Form AI] ERROR: ${step.field} question detected but ${step.field} not provided, aborting`);
+      return { action: 'error', message: step.error || `${step.field} no proporcionado - el formulario lo requiere` };
+    }
+    console.log(`[Form AI] DECISION: ${step.field} question detected, filling with "${value}"`);
+    return { action: 'fill_textarea', value, then };
+  }
+
+  if (step.control === 'time') {
+    if (!value) return null;
+    // "HH:MM"
+    const [hours, minutes] = value.split(':');
+    console.log(`[Form AI] DECISION: Time picker detected, filling with ${hours}:${minutes}`);
+    return { action: 'fill_time', hours: hours || '12', minutes: minutes || '00', then };
+  }
+
+  return null;
+}
+
 // Intelligent form filling - THINK about what's on screen and act
 async function analyzeAndFillForm(page, availableData) {
-  const { reportType, address, schedule, containerType, hasPhoto, situationType, patente, infractionTime } = availableData;
+  const { reportType } = availableData;
 
   // THINK: What's currently visible on the page?
   const formContext = await page.evaluate(() => {
@@ -313,28 +468,13 @@ async function analyzeAndFillForm(page, availableData) {
     // What's the question being asked?
     const questionLabel = questionnaireAccordion.querySelector('label')?.textContent?.trim() || '';
 
-    // Check if this is a container type question
-    const isContainerTypeQuestion = questionLabel.toLowerCase().includes('tipo de contenedor') ||
-                                     questionLabel.toLowerCase().includes('qué tipo') ||
-                                     allLabels.some(l => l.toLowerCase().includes('reciclables') || l.toLowerCase().includes('húmedos'));
-
-    // Get all radio label texts for container type selection
-    const radioLabelTexts = allLabels.filter(l =>
-      l.toLowerCase().includes('verde') ||
-      l.toLowerCase().includes('negro') ||
-      l.toLowerCase().includes('gris') ||
-      l.toLowerCase().includes('reciclables') ||
-      l.toLowerCase().includes('húmedos')
-    );
-
     return {
       hasTextarea: !!textarea,
       textareaValue: textarea?.value || '',
       textareaEmpty: textarea && (!textarea.value || textarea.value.length < 3),
       hasRadio: radioInputs.length > 0,
       radioLabels: allLabels.filter(l => l === 'Sí' || l === 'No'),
-      radioLabelTexts, // All container type related labels
-      isContainerTypeQuestion,
+      allLabels,
       radioSelected: !!questionnaireAccordion.querySelector('input[type="radio"]:checked'),
       questionLabel,
       hasSiguiente: !!siguienteBtn,
@@ -358,66 +498,12 @@ async function analyzeAndFillForm(page, availableData) {
 
   // THINK: What needs to be done based on what we see?
 
-  // Case 0: Container type question - select based on containerType parameter
-  if (formContext.isContainerTypeQuestion && formContext.hasRadio && !formContext.radioSelected) {
-    console.log(`[Form AI] DECISION: Container type question detected, selecting "${containerType}"`);
-    // Map containerType to the correct label text
-    const isVerde = containerType === 'verde';
-    const targetLabel = isVerde ? 'reciclables' : 'húmedos'; // Match partial text
-    return {
-      action: 'click_radio_by_text',
-      value: targetLabel,
-      then: 'click_siguiente'
-    };
-  }
+  // Case 0: A question the report type declares (container type, situation, patente, time...)
+  const step = matchingStep(questionnaireFor(reportType), formContext);
+  const stepAction = step && answerStep(step, availableData, formContext.siguienteDisabled ? 'wait' : 'click_siguiente');
+  if (stepAction) return stepAction;
 
-  // Case 0b: Puesto diarios/flores situation type question
-  const isSituationQuestion = formContext.questionLabel.toLowerCase().includes('situación') ||
-                              formContext.questionLabel.toLowerCase().includes('detectaste');
-  if (isSituationQuestion && formContext.hasRadio && !formContext.radioSelected && situationType) {
-    console.log(`[Form AI] DECISION: Situation type question detected, selecting "${situationType}"`);
-    // Map situationType to the correct label text
-    let targetLabel;
-    switch (situationType) {
-      case 'obstruccion':
-        targetLabel = 'Obstrucción';
-        break;
-      case 'abandono':
-        targetLabel = 'abandono';
-        break;
-      case 'deterioro':
-        targetLabel = 'Deterioro';
-        break;
-      default:
-        targetLabel = 'Obstrucción'; // Default
-    }
-    return {
-      action: 'click_radio_by_text',
-      value: targetLabel,
-      then: 'click_siguiente'
-    };
-  }
-
-  // Case 0c: Vehicle patente question - textarea asking for license plate
-  const isPatenteQuestion = formContext.questionLabel.toLowerCase().includes('patente') ||
-                            formContext.questionLabel.toLowerCase().includes('chapa') ||
-                            formContext.fullText.toLowerCase().includes('patente del vehículo');
-  if (isPatenteQuestion && formContext.hasTextarea && formContext.textareaEmpty) {
-    if (patente) {
-      console.log(`[Form AI] DECISION: Patente question detected, filling with "${patente}"`);
-      return {
-        action: 'fill_textarea',
-        value: patente,
-        then: 'click_siguiente'
-      };
-    } else {
-      // Patente question but no patente provided - abort form submission
-      console.log('[Form AI] ERROR: Patente question detected but patente not provided, aborting');
-      return { action: 'error', message: 'Patente no proporcionada - el formulario requiere la patente del vehículo' };
-    }
-  }
-
-  // Case 0d: Vehicle date input question
+  // Case 0d: Date input question
   if (formContext.hasDateInput && !formContext.dateInputValue) {
     // Use today's date in YYYY-MM-DD format for the input
     const today = new Date();
@@ -430,26 +516,13 @@ async function analyzeAndFillForm(page, availableData) {
     };
   }
 
-  // Case 0e: Vehicle time picker question
-  if (formContext.hasTimePicker && (!formContext.hourInputValue || !formContext.minuteInputValue) && infractionTime) {
-    // Parse time from infractionTime (format: "HH:MM")
-    const [hours, minutes] = infractionTime.split(':');
-    console.log(`[Form AI] DECISION: Time picker detected, filling with ${hours}:${minutes}`);
-    return {
-      action: 'fill_time',
-      hours: hours || '12',
-      minutes: minutes || '00',
-      then: 'click_siguiente'
-    };
-  }
-
-  // Case 1: There's an empty textarea asking for days/hours (for manteros schedule, not patente)
-  if (formContext.hasTextarea && formContext.textareaEmpty && !isPatenteQuestion) {
-    console.log('[Form AI] DECISION: Fill textarea with schedule');
+  // Case 1: An empty textarea no step answers
+  if (formContext.hasTextarea && formContext.textareaEmpty) {
+    console.log('[Form AI] DECISION: Fill textarea with "No especificado"');
     return {
       action: 'fill_textarea',
-      value: schedule || 'No especificado',
-      then: 'click_siguiente'
+      value: 'No especificado',
+      then: formContext.siguienteDisabled ? 'wait' : 'click_siguiente'
     };
   }
 
@@ -485,25 +558,7 @@ async function analyzeAndFillForm(page, availableData) {
   // Case 5: Siguiente button exists but is disabled - something not filled
   if (formContext.siguienteDisabled) {
     console.log('[Form AI] WARNING: Siguiente disabled, checking what needs to be filled...');
-    // Try to fill whatever is empty
-    if (formContext.hasTextarea && formContext.textareaEmpty) {
-      // Check if this is a patente question - don't fill with "No especificado"
-      if (isPatenteQuestion) {
-        if (patente) {
-          return { action: 'fill_textarea', value: patente, then: 'wait' };
-        } else {
-          console.log('[Form AI] ERROR: Patente question detected but patente not provided');
-          return { action: 'error', message: 'Patente no proporcionada - el formulario requiere la patente del vehículo' };
-        }
-      }
-      return { action: 'fill_textarea', value: schedule || 'No especificado', then: 'wait' };
-    }
     if (formContext.hasRadio && !formContext.radioSelected) {
-      // If it's container type, select based on containerType
-      if (formContext.isContainerTypeQuestion) {
-        const isVerde = containerType === 'verde';
-        return { action: 'click_radio_by_text', value: isVerde ? 'reciclables' : 'húmedos', then: 'wait' };
-      }
       return { action: 'click_radio', value: 'No', then: 'wait' };
     }
   }
@@ -651,29 +706,53 @@ async function executeFormAction(page, action) {
   return action;
 }
 
-async function initBrowser() {
-  if (!browser) {
-    console.log('Launching browser...');
-    browser = await puppeteer.launch({
-      headless: process.platform === 'linux' ? 'new' : false,  // Headless on Linux, visible on Mac
-      slowMo: 30,
-      defaultViewport: { width: 1280, height: 800 },
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu'
-      ]
-    });
-    page = await browser.newPage();
+// Workers starting together share one launch
+async function launchBrowser() {
+  if (!browser?.connected) {
+    if (!browserLaunch) {
+      console.log('Launching browser...');
+      browserLaunch = puppeteer.launch({
+        headless: process.platform === 'linux' ? 'new' : false,  // Headless on Linux, visible on Mac
+        slowMo: 30,
+        defaultViewport: { width: 1280, height: 800 },
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-gpu'
+        ]
+      }).finally(() => { browserLaunch = null; });
+    }
+    browser = await browserLaunch;
+  }
+  return browser;
+}
+
+// The worker's page, opening a new browser context for it if it has none
+// (or the browser went away with it)
+async function initBrowser(worker) {
+  if (!worker.page || worker.page.isClosed() || !browser?.connected) {
+    await launchBrowser();
+    console.log(`[Pool] Opening browser context for worker ${worker.id}`);
+    worker.context = await browser.createBrowserContext();
+    worker.page = await worker.context.newPage();
+    worker.isLoggedIn = false;
+    worker.loggedInAccount = null;
+    const page = worker.page;
     await page.setUserAgent(
       'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
     );
 
-    // Enable request interception to log API calls
+    // Enable request interception to log API calls, and to keep dry runs from
+    // sending the review page's confirmation, however it is triggered
     await page.setRequestInterception(true);
     page.on('request', request => {
       const url = request.url();
+      if (worker.dryRun && request.method() !== 'GET' && isConfirmationRequest(url)) {
+        console.warn(`[DryRun] Blocked ${request.method()} ${url}`);
+        request.abort('blockedbyclient');
+        return;
+      }
       if (url.includes('/api/') || url.includes('solicitud')) {
         console.log('[API Request]', request.method(), url);
         if (request.postData()) {
@@ -709,24 +788,94 @@ async function initBrowser() {
       console.log('[Browser PAGE ERROR]', error.message);
     });
   }
-  return { browser, page };
+  return { browser, page: worker.page };
 }
 
-async function login() {
-  const { page } = await initBrowser();
+// Save the worker's cookies as the session of the account it's logged in as
+async function saveSession(worker) {
+  const account = worker.loggedInAccount;
+  const cookies = await worker.context.cookies();
+  sessionStore.put('sessions', account, { cookies, savedAt: new Date().toISOString() });
+  console.log(`[Session] Saved ${cookies.length} cookie(s) for account ${account}`);
+}
 
-  console.log('Starting login process...');
+// Load `account`'s saved cookies into a worker's context that doesn't hold them yet
+async function restoreSession(worker, account) {
+  const saved = sessionStore.get('sessions', account);
+  if (!saved) return false;
+  await worker.context.setCookie(...saved.cookies);
+  console.log(`[Session] Restored ${saved.cookies.length} cookie(s) for account ${account} (saved ${saved.savedAt})`);
+  return true;
+}
+
+// Throws if `account` has failed too many password logins lately
+function recentLoginFailures(account) {
+  const now = Date.now();
+  return (sessionStore.get('loginFailures', account)?.attempts || []).filter(t => now - t < LOGIN_FAILURE_WINDOW_MS);
+}
+
+function checkLoginThrottle(account) {
+  const failures = recentLoginFailures(account);
+  if (failures.length >= LOGIN_MAX_FAILURES) {
+    const retryAt = new Date(failures[0] + LOGIN_FAILURE_WINDOW_MS);
+    throw new Error(`miBA login throttled for account "${account}": ${failures.length} failed attempts in the last ${LOGIN_FAILURE_WINDOW_MS / 60000} min, next try after ${retryAt.toISOString()}`);
+  }
+}
+
+function recordLoginResult(account, success) {
+  if (success) {
+    sessionStore.remove('loginFailures', account);
+    return;
+  }
+  const attempts = recentLoginFailures(account);
+  sessionStore.put('loginFailures', account, { attempts: [...attempts, Date.now()] });
+  console.log(`[Session] Login failed for account ${account} (${attempts.length + 1}/${LOGIN_MAX_FAILURES} in the window)`);
+}
+
+async function login(worker, account = 'default') {
+  const { email, password } = getAccountCredentials(account);
+  const { page } = await initBrowser(worker);
+
+  console.log(`Starting login process (account: ${account}, worker ${worker.id})...`);
+  if (worker.loggedInAccount !== account) {
+    await restoreSession(worker, account);
+  }
   await page.goto(URLS.prestaciones, { waitUntil: 'networkidle2', timeout: 60000 });
   await delay(2000);
 
-  // Check if already logged in
+  // Check if already logged in (a restored or still open session)
   const userName = await page.$eval(SELECTORS.userNameDropdown, el => el.textContent).catch(() => null);
   if (userName) {
     console.log(`Already logged in as: ${userName}`);
-    isLoggedIn = true;
+    worker.isLoggedIn = true;
+    worker.loggedInAccount = account;
+    worker.sessionCheckedAt = Date.now();
     return true;
   }
 
+  // The session expired (or there was none): log in with the password
+  worker.isLoggedIn = false;
+  worker.loggedInAccount = null;
+  sessionStore.remove('sessions', account);
+  checkLoginThrottle(account);
+
+  let success = false;
+  try {
+    success = await loginWithPassword(page, email, password);
+  } finally {
+    recordLoginResult(account, success);
+  }
+  if (success) {
+    worker.isLoggedIn = true;
+    worker.loggedInAccount = account;
+    worker.sessionCheckedAt = Date.now();
+    await saveSession(worker);
+  }
+  return success;
+}
+
+// The miBA form: "Ingreso con miBA" -> "CUIL o email" -> email and password
+async function loginWithPassword(page, email, password) {
   // Click "Ingreso con miBA" button
   const clicked = await page.evaluate(() => {
     const elements = document.querySelectorAll('a, button');
@@ -766,7 +915,7 @@ async function login() {
   const emailField = await page.$('input[name="email"]') || await page.$('input[type="email"]') || await page.$('input[type="text"]');
   if (emailField) {
     await emailField.click({ clickCount: 3 });
-    await emailField.type(EMAIL, { delay: 30 });
+    await emailField.type(email, { delay: 30 });
   }
 
   await delay(500);
@@ -775,7 +924,7 @@ async function login() {
   const passwordField = await page.$('input[type="password"]');
   if (passwordField) {
     await passwordField.click();
-    await passwordField.type(PASSWORD, { delay: 30 });
+    await passwordField.type(password, { delay: 30 });
   }
 
   // Click login button
@@ -787,47 +936,73 @@ async function login() {
   await delay(3000);
   await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }).catch(() => {});
 
-  // Verify login
+  // Verify login: miBA sends us back to the site
   const postLoginUrl = page.url();
-  if (postLoginUrl.includes('bacolaborativa.buenosaires.gob.ar')) {
+  if (postLoginUrl.startsWith(BA_COLABORATIVA_URL)) {
     console.log('Login successful!');
-    isLoggedIn = true;
     return true;
   }
 
   return false;
 }
 
-async function submitSolicitud(data) {
-  const { address, containerType = 'negro', description = '', reportType = 'recoleccion', schedule = null, situationType = null, patente = null, infractionTime = null } = data;
+// Make sure the worker's session belongs to `account`, switching if needed.
+// A session held longer than SESSION_CHECK_MS is checked again (login() logs
+// in anew if it expired).
+function hasFreshSession(worker, account) {
+  return worker.isLoggedIn && worker.loggedInAccount === account && Date.now() - worker.sessionCheckedAt < SESSION_CHECK_MS;
+}
 
-  if (!isLoggedIn) {
-    const loginSuccess = await login();
-    if (!loginSuccess) {
-      throw new Error('Login failed');
-    }
+async function ensureLoggedIn(worker, account = 'default') {
+  if (hasFreshSession(worker, account)) return;
+
+  if (worker.isLoggedIn && worker.loggedInAccount !== account) {
+    console.log(`Switching account on worker ${worker.id}: ${worker.loggedInAccount} -> ${account}`);
+    await closeWorker(worker);
+  }
+  const loginSuccess = await login(worker, account);
+  if (!loginSuccess) {
+    throw new Error('Login failed');
   }
+}
+
+// onProgress(state, step) is called as the run advances so job status can be reported
+async function submitSolicitud(worker, data, onProgress = () => {}) {
+  const { address, containerType = null, description = '', reportType = DEFAULT_REPORT_TYPE, schedule = null, situationType = null, patente = null, infractionTime = null, account = 'default', usageRef = null, dryRun = false } = data;
 
-  const { page } = await initBrowser();
+  if (!hasFreshSession(worker, account)) {
+    onProgress('logging-in', 'login');
+    await ensureLoggedIn(worker, account);
+  }
+
+  worker.dryRun = dryRun;
+  const { page } = await initBrowser(worker);
+  if (dryRun) {
+    await guardReviewPage(page);
+  }
 
   // Determine which URL to use based on report type
-  const targetUrl = URLS[reportType] || URLS.recoleccion;
-  const reportTypeName = REPORT_TYPE_LABELS[reportType] || 'Recolección de residuos';
+  const targetUrl = prestacionUrl(reportType);
+  const reportTypeName = reportTypeLabel(reportType);
+  // What went into the form, returned by dry runs
+  const filled = { prestacion: reportTypeName, address: null, answers: [], photos: 0, contact: null };
 
-  console.log(`Submitting solicitud for address: ${address}`);
+  console.log(`Submitting solicitud for address: ${address}${dryRun ? ' (dry run)' : ''} (worker ${worker.id})`);
   console.log(`Report type: ${reportTypeName}`);
-  if (reportType === 'vehiculo_mal_estacionado') {
+  if (requiresField(reportType, 'patente')) {
     console.log(`Patente: ${patente || 'not provided'}`);
     console.log(`Infraction time: ${infractionTime || 'not provided'}`);
   }
 
   // Step 1: Go to confirmation page for the appropriate report type
+  onProgress('filling-form', 'navigate');
   console.log(`Step 1: Navigating to ${reportTypeName} page...`);
   await page.goto(targetUrl, { waitUntil: 'networkidle2', timeout: 60000 });
   await delay(2000);
   console.log('Current URL after Step 1:', page.url());
 
   // Step 2: Click "Confirmar" button (if present)
+  onProgress('filling-form', 'confirm-type');
   console.log('Step 2: Looking for Confirmar button...');
   const confirmarClicked = await page.evaluate(() => {
     const buttons = document.querySelectorAll('button');
@@ -862,6 +1037,7 @@ async function submitSolicitud(data) {
   console.log('Current URL after Step 2:', page.url());
 
   // Step 3: Enter address
+  onProgress('filling-form', 'address');
   console.log('Step 3: Entering address...');
   console.log('Current URL:', page.url());
 
@@ -869,7 +1045,7 @@ async function submitSolicitud(data) {
   const currentUrl = page.url();
   if (!currentUrl.includes('/ubicacion')) {
     console.log('Wrong page detected, navigating to /ubicacion...');
-    await page.goto('https://bacolaborativa.buenosaires.gob.ar/ubicacion', { waitUntil: 'networkidle0', timeout: 30000 });
+    await page.goto(URLS.ubicacion, { waitUntil: 'networkidle0', timeout: 30000 });
     console.log('Navigated to:', page.url());
     await delay(2000);
   }
@@ -939,11 +1115,14 @@ async function submitSolicitud(data) {
   await page.keyboard.press('Backspace');
   await delay(500);
 
-  // Type the address slowly to allow autocomplete to respond
-  console.log(`Typing address: ${address}`);
-  await addressInput.type(address, { delay: 100 }); // Slower typing
+  // Type the address slowly to allow autocomplete to respond. "Entre calles"
+  // addresses are typed as a number or a corner, which is what it understands.
+  const addressQuery = autocompleteQuery(address);
+  console.log(`Typing address: ${addressQuery}`);
+  await addressInput.type(addressQuery, { delay: 100 }); // Slower typing
 
   // Wait for suggestions to appear
+  onProgress('filling-form', 'address-suggestions');
   console.log('Step 4: Waiting for suggestions to appear...');
   await delay(1500); // Initial delay for API response
 
@@ -975,7 +1154,7 @@ async function submitSolicitud(data) {
       console.log(`Retry ${retry + 1}: Backspace and retype last character`);
       await page.keyboard.press('Backspace');
       await delay(300);
-      await page.keyboard.type(address.slice(-1), { delay: 100 });
+      await page.keyboard.type(addressQuery.slice(-1), { delay: 100 });
       await delay(2000);
 
       // Check if suggestions appeared
@@ -1008,47 +1187,60 @@ async function submitSolicitud(data) {
 
   await page.screenshot({ path: 'debug-suggestions-visible.png', fullPage: true });
 
-  // Click the first suggestion - need to click the li.item element
-  console.log('Selecting address from suggestions...');
-  const suggestionClicked = await page.evaluate(() => {
-    // Try various selectors for the suggestion item
-    const selectors = [
-      '#suggestions ul li.item',
-      '#suggestions li.item',
-      '.suggestions-container.is-visible li.item',
-      '#suggestions ul li',
-      '.suggestions-container li'
-    ];
+  // Click the suggestion that matches the address - need to click the li.item element.
+  // For corners the first suggestion is often another corner of the same street.
+  const suggestionItemSelectors = [
+    '#suggestions ul li.item',
+    '#suggestions li.item',
+    '.suggestions-container.is-visible li.item',
+    '#suggestions ul li',
+    '.suggestions-container li'
+  ];
+  const suggestionTexts = await page.evaluate((selectors) => {
+    for (const sel of selectors) {
+      const suggestions = document.querySelectorAll(sel);
+      if (suggestions.length > 0) {
+        return Array.from(suggestions).map(li => (li.textContent || '').trim());
+      }
+    }
+    return [];
+  }, suggestionItemSelectors);
+  const suggestionIndex = pickSuggestion(address, suggestionTexts);
+  if (suggestionTexts.length > 1) {
+    console.log(`Suggestions: ${JSON.stringify(suggestionTexts)} -> picking #${suggestionIndex + 1}`);
+  }
 
+  console.log('Selecting address from suggestions...');
+  const suggestionClicked = await page.evaluate((selectors, index) => {
     for (const sel of selectors) {
       const suggestions = document.querySelectorAll(sel);
       if (suggestions.length > 0) {
-        // Try clicking the first item
-        const firstItem = suggestions[0];
-        const text = firstItem.textContent || '';
+        // Try clicking the chosen item
+        const item = suggestions[Math.min(index, suggestions.length - 1)];
+        const text = item.textContent || '';
         console.log('Found suggestion:', text);
 
         // Try clicking the anchor inside first
-        const anchor = firstItem.querySelector('a.titulo-sugerencia');
+        const anchor = item.querySelector('a.titulo-sugerencia');
         if (anchor) {
           anchor.click();
           return { success: true, method: 'anchor click', text };
         }
 
         // Try clicking the div inside
-        const div = firstItem.querySelector('div');
+        const div = item.querySelector('div');
         if (div) {
           div.click();
           return { success: true, method: 'div click', text };
         }
 
         // Click the li itself
-        firstItem.click();
+        item.click();
         return { success: true, method: 'li click', text };
       }
     }
     return { success: false, selectors: selectors.map(s => ({s, count: document.querySelectorAll(s).length})) };
-  });
+  }, suggestionItemSelectors, suggestionIndex);
 
   console.log('Suggestion click result:', suggestionClicked);
 
@@ -1056,6 +1248,7 @@ async function submitSolicitud(data) {
     await page.screenshot({ path: 'debug-no-suggestions.png', fullPage: true });
     throw new Error('No address suggestions found');
   }
+  filled.address = suggestionClicked.text.trim();
 
   // Wait for the popup/panel to appear after selecting address
   console.log('Waiting for address selection to process...');
@@ -1064,6 +1257,7 @@ async function submitSolicitud(data) {
   await page.screenshot({ path: 'debug-after-suggestion-click.png', fullPage: true });
 
   // Step 5: Wait for popup panel and click "Nueva Solicitud" button
+  onProgress('filling-form', 'nueva-solicitud');
   console.log('Step 5: Waiting for popup panel...');
 
   // Wait for the popup to appear (it has id="popupubicacion")
@@ -1121,6 +1315,7 @@ async function submitSolicitud(data) {
   await page.screenshot({ path: 'debug-after-nueva-solicitud.png', fullPage: true });
 
   // Step 6 & 7: Intelligent form filling using Claude AI
+  onProgress('filling-form', 'questionnaire');
   console.log('Step 6: Intelligent form filling...');
   await page.screenshot({ path: 'debug-questionnaire.png', fullPage: true });
 
@@ -1128,8 +1323,8 @@ async function submitSolicitud(data) {
   const availableData = {
     reportType,
     address,
-    schedule: schedule || 'No especificado',
-    containerType: containerType || 'negro',
+    schedule: schedule || null,
+    containerType: containerType || fieldDefault(reportType, 'containerType'),
     hasPhoto: data.photos && data.photos.length > 0,
     situationType: situationType || null,
     patente: patente || null,
@@ -1175,6 +1370,11 @@ async function submitSolicitud(data) {
     }
 
     // Execute the action
+    const answer = describeFormAnswer(action);
+    if (answer) {
+      const question = await page.$eval('#collapseCuestionario.show .accordion-body label', el => el.textContent.trim()).catch(() => null);
+      filled.answers.push({ question, answer });
+    }
     await executeFormAction(page, action);
     await page.screenshot({ path: `debug-form-step-${step + 1}.png`, fullPage: true });
   }
@@ -1184,6 +1384,7 @@ async function submitSolicitud(data) {
   await page.screenshot({ path: 'debug-accordions.png', fullPage: true });
 
   // Step A: Handle Description accordion
+  onProgress('filling-form', 'description');
   console.log('Step A: Description accordion...');
   const descResult = await clickAccordionButton(page, '#collapseDescribirSituacion');
   console.log(`Description accordion: ${JSON.stringify(descResult)}`);
@@ -1192,6 +1393,7 @@ async function submitSolicitud(data) {
   }
 
   // Step B: Handle Photos accordion (upload photos when it becomes visible)
+  onProgress('filling-form', 'photos');
   console.log('Step B: Photos accordion...');
   await page.waitForSelector('#collapseFotos.show', { timeout: 10000 }).catch(() => {
     console.log('Photos accordion not visible, may not be required');
@@ -1222,6 +1424,7 @@ async function submitSolicitud(data) {
           const fileInputs = await page.$$('input[type="file"]#file-upload');
           if (fileInputs.length > i) {
             await fileInputs[i].uploadFile(photoPath);
+            filled.photos++;
             console.log(`  Photo ${i + 1} uploaded`);
             await delay(2000);
           }
@@ -1244,6 +1447,7 @@ async function submitSolicitud(data) {
   }
 
   // Step C: Handle Contact accordion (may need radio selection)
+  onProgress('filling-form', 'contact');
   console.log('Step C: Contact accordion...');
 
   // Wait a bit for the accordion to open
@@ -1340,6 +1544,9 @@ async function submitSolicitud(data) {
       throw new Error(`Formulario de contacto incompleto: falta ${contactInteraction.field}`);
     }
 
+    if (contactInteraction.text) {
+      filled.contact = contactInteraction.text;
+    }
     if (contactInteraction.action !== 'none') {
       await delay(1000); // Wait for any selection to register
     }
@@ -1456,6 +1663,7 @@ async function submitSolicitud(data) {
   await page.screenshot({ path: 'debug-after-form.png', fullPage: true });
 
   // Step 11: Intelligent final step - analyze page and decide what to do
+  onProgress('filling-form', 'final-confirmation');
   console.log('Step 11: Analyzing page for final action...');
   await page.screenshot({ path: 'debug-before-confirm.png', fullPage: true });
 
@@ -1510,6 +1718,12 @@ async function submitSolicitud(data) {
     console.log(`[Final Step] Form actions: ${pageContext.formActionsText}`);
     console.log(`[Final Step] Body text preview: ${pageContext.bodyText.substring(0, 500)}...`);
 
+    // Dry run: the review page is as far as it goes (guardReviewPage keeps its Confirmar from being clicked
+    // should a step below miss it)
+    if (dryRun && await page.evaluate(isReviewPage)) {
+      return finishDryRun(page, filled);
+    }
+
     // Check if page is stuck (same content as before)
     const isStuck = previousMainText && pageContext.mainText.substring(0, 500) === previousMainText.substring(0, 500);
     if (isStuck) {
@@ -1716,7 +1930,7 @@ async function submitSolicitud(data) {
       console.log('[Final Step] Using Claude VISION to analyze screenshot...');
 
       // Take a fresh screenshot
-      const screenshotPath = path.join(__dirname, 'debug-vision-analysis.png');
+      const screenshotPath = 'debug-vision-analysis.png';
       await page.screenshot({ path: screenshotPath, fullPage: true });
 
       // Read screenshot as base64
@@ -1793,8 +2007,7 @@ Respondé SOLO con JSON:
 {"action": "error", "message": "descripción"} - SOLO si es un error IRRECUPERABLE (ej: sesión expirada)`;
 
       try {
-        const response = await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
+        const response = await llm.complete('vision', {
           max_tokens: 300,
           messages: [{
             role: 'user',
@@ -1813,7 +2026,7 @@ Respondé SOLO con JSON:
               }
             ]
           }]
-        });
+        }, { ref: usageRef });
 
         const responseText = response.content[0].text;
         console.log('[Final Step] Claude VISION response:', responseText);
@@ -2083,6 +2296,9 @@ Respondé SOLO con JSON:
 
           if (instruction.action === 'click' && instruction.buttonText) {
             console.log(`[Final Step] Claude Vision says click: "${instruction.buttonText}" at ${instruction.location}`);
+            if (dryRun && isFinalConfirmation(instruction.buttonText)) {
+              return finishDryRun(page, filled);
+            }
 
             // Enhanced button clicking with multiple methods
             const clicked = await page.evaluate((btnText) => {
@@ -2356,6 +2572,10 @@ Respondé SOLO con JSON:
       console.log('[Final Step] Available buttons:', JSON.stringify(confirmationCheck.allButtons, null, 2));
     }
 
+    if (confirmationCheck.hasConfirmation && dryRun) {
+      return finishDryRun(page, filled);
+    }
+
     if (confirmationCheck.hasConfirmation) {
       console.log(`[Final Step] Found confirmation button: "${confirmationCheck.buttonText}" (${confirmationCheck.source}) - clicking it!`);
 
@@ -2421,11 +2641,10 @@ IMPORTANTE: Si ves el mismo contenido que antes, NO sigas clickeando el mismo bo
 Solo el JSON, nada más.`;
 
     try {
-      const response = await anthropic.messages.create({
-        model: 'claude-haiku-4-5-20251001',
+      const response = await llm.complete('formAnalysis', {
         max_tokens: 150,
         messages: [{ role: 'user', content: prompt }]
-      });
+      }, { ref: usageRef });
 
       const responseText = response.content[0].text;
       console.log('[Final Step] Claude response:', responseText);
@@ -2439,6 +2658,10 @@ Solo el JSON, nada más.`;
           break;
         }
 
+        if (action.action === 'click_button' && dryRun && isFinalConfirmation(action.text)) {
+          return finishDryRun(page, filled);
+        }
+
         if (action.action === 'click_button') {
           const clicked = await page.evaluate((buttonText) => {
             const buttons = document.querySelectorAll('button');
@@ -2487,6 +2710,11 @@ Solo el JSON, nada más.`;
     await delay(2000);
   }
 
+  if (dryRun) {
+    await page.screenshot({ path: 'debug-dry-run-stuck.png', fullPage: true });
+    throw new Error(`Dry run: the form never reached the confirmation page (${page.url()})`);
+  }
+
   await page.screenshot({ path: 'debug-after-confirm.png', fullPage: true });
 
   // Check for success and extract solicitud number
@@ -2568,6 +2796,87 @@ Solo el JSON, nada más.`;
   };
 }
 
+// The answer a questionnaire action gives, as shown in a dry run's fields (null for plain Siguiente)
+function describeFormAnswer(action) {
+  if (action.action === 'fill_time') return `${action.hours}:${action.minutes}`;
+  if (['fill_textarea', 'click_radio', 'click_radio_by_text', 'fill_date'].includes(action.action)) return action.value ?? null;
+  return null;
+}
+
+// Whether the page is the review page, whose Confirmar files the solicitud (runs in the page)
+function isReviewPage() {
+  const bodyText = document.body ? document.body.innerText : '';
+  return window.location.href.includes('confirmacionSolicitud') ||
+         bodyText.includes('Revisá y confirmá') ||
+         (bodyText.includes('Confirmar') && bodyText.includes('Cancelar') && bodyText.includes('Modificar'));
+}
+
+// Requests that file the solicitud: the review page posts to its own URL
+function isConfirmationRequest(url) {
+  return /\/confirm(acion|ar)Solicitud/i.test(url);
+}
+
+// Buttons that file the solicitud on the review page
+function isFinalConfirmation(text) {
+  return /^\s*(confirmar|s[ií])\s*$/i.test(text || '');
+}
+
+// Dry runs: swallow every click and form submit on the review page, and clicks on a
+// Confirmar/Sí button on any page, in this document and the ones the page navigates
+// to, whichever step or fallback tries to confirm. The checks before each click in
+// submitSolicitud end the run on the review page; this and the request filter of
+// initBrowser (worker.dryRun) are what keep a run that misses it from filing.
+// The script goes away with the worker's context, which is closed after each solicitud.
+async function guardReviewPage(page) {
+  const script = `(() => {
+    const isReviewPage = ${isReviewPage};
+    const isFinalConfirmation = ${isFinalConfirmation};
+    const block = event => {
+      const button = event.target instanceof Element ? event.target.closest('button, input[type="submit"]') : null;
+      if (event.type === 'click') {
+        if (!button) return;
+        if (!isReviewPage() && !isFinalConfirmation(button.textContent || button.value)) return;
+      } else if (!isReviewPage()) {
+        return;
+      }
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      console.warn('[DryRun] Blocked ' + event.type + ' of a confirmation');
+    };
+    window.addEventListener('click', block, true);
+    window.addEventListener('submit', block, true);
+  })()`;
+  await page.evaluateOnNewDocument(script);
+  await page.evaluate(script);
+}
+
+// End of a dry run, on the review page: screenshot and page text instead of the
+// Confirmar click. The result is successful but has no solicitud number.
+async function finishDryRun(page, filled) {
+  if (!fs.existsSync(DRY_RUN_DIR)) {
+    fs.mkdirSync(DRY_RUN_DIR, { recursive: true });
+  }
+  const screenshot = path.join(DRY_RUN_DIR, `dry-run-${new Date().toISOString().replace(/[:.]/g, '-')}.png`);
+  await page.screenshot({ path: screenshot, fullPage: true });
+  const review = await page.evaluate(() => {
+    const main = document.querySelector('main, .main-container, [role="main"]') || document.body;
+    return main.innerText.substring(0, 3000);
+  });
+  console.log(`[DryRun] Stopped before Confirmar at ${page.url()} - screenshot ${screenshot}`);
+  console.log(`[DryRun] Filled: ${JSON.stringify(filled)}`);
+
+  return {
+    success: true,
+    dryRun: true,
+    solicitudNumber: null,
+    message: 'Dry run: form filled up to the confirmation page, not submitted',
+    screenshot,
+    fields: filled,
+    review,
+    url: page.url()
+  };
+}
+
 async function clickSiguiente(page) {
   return page.evaluate(() => {
     const buttons = document.querySelectorAll('button');
@@ -2582,8 +2891,28 @@ async function clickSiguiente(page) {
   });
 }
 
-async function closeBrowser() {
-  if (browser) {
+// Close a worker's browser context; its next task opens a fresh one. Chrome itself
+// closes once no worker has a context and nothing is running or waiting.
+async function closeWorker(worker) {
+  if (worker.context) {
+    // Keep the session (the site may have refreshed its cookies) for the next context
+    if (worker.isLoggedIn) {
+      await saveSession(worker).catch(e => console.log(`[Session] Could not save session: ${e.message}`));
+    }
+    try {
+      await worker.context.close();
+    } catch (e) {
+      console.log(`Error closing browser context of worker ${worker.id}:`, e.message);
+    }
+    worker.context = null;
+    worker.page = null;
+    worker.isLoggedIn = false;
+    worker.loggedInAccount = null;
+    worker.dryRun = false;
+  }
+
+  const idle = workers.every(w => !w.context && (!w.busy || w === worker)) && waitingTasks.length === 0;
+  if (browser && idle) {
     console.log('Closing browser...');
     try {
       await browser.close();
@@ -2591,12 +2920,17 @@ async function closeBrowser() {
       console.log('Error closing browser:', e.message);
     }
     browser = null;
-    page = null;
-    isLoggedIn = false;
     console.log('Browser closed');
   }
 }
 
+// Close the contexts of the workers that aren't running anything (after a batch of checks, /cleanup)
+async function closeIdleWorkers() {
+  for (const worker of workers.filter(w => !w.busy)) {
+    await closeWorker(worker);
+  }
+}
+
 // Helper function to click accordion button (handles both btn-primary and btn-default)
 async function clickAccordionButton(page, accordionSelector) {
   const result = await page.evaluate((selector) => {
@@ -2678,13 +3012,20 @@ async function clickAccordionSiguiente(page, accordionSelector) {
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', loggedIn: isLoggedIn });
+  res.json({
+    status: 'ok',
+    loggedIn: workers.some(w => w.isLoggedIn),
+    addressValidation: isCallejeroAvailable(),
+    workers: workers.map(w => ({ id: w.id, busy: w.busy, account: w.loggedInAccount })),
+    waitingTasks: waitingTasks.length
+  });
 });
 
 // Login endpoint
 app.post('/login', async (req, res) => {
   try {
-    const success = await login();
+    const account = req.body?.account || 'default';
+    const success = await runBrowserTask(worker => login(worker, account), { account });
     res.json({ success, message: success ? 'Logged in successfully' : 'Login failed' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -2693,50 +3034,40 @@ app.post('/login', async (req, res) => {
 
 // Normalize address for deduplication
 function normalizeAddressForDedup(address) {
-  return address
-    .toLowerCase()
-    .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // Remove accents
-    .replace(/[^a-z0-9]/g, '') // Remove non-alphanumeric
-    .trim();
+  // Same key as the bot's dedup, so corners match in either order
+  return addressKey(address);
 }
 
 // Create dedup key combining address, report type, and patente (for vehicles)
 function createDedupKey(address, reportType, patente = null) {
   const normalizedAddr = normalizeAddressForDedup(address);
-  const type = reportType || 'recoleccion';
+  const type = reportType || DEFAULT_REPORT_TYPE;
   // For vehicle reports, include patente so different vehicles at same address aren't blocked
-  if (type === 'vehiculo_mal_estacionado' && patente) {
+  if (requiresField(type, 'patente') && patente) {
     return `${normalizedAddr}|${type}|${patente.toUpperCase()}`;
   }
   return `${normalizedAddr}|${type}`;
 }
 
-// Submit solicitud endpoint
-app.post('/solicitud', async (req, res) => {
-  const { address, containerType, description, photos, reportType, schedule, situationType, patente, infractionTime } = req.body;
+// Run one solicitud on a worker (with dedup, per-address locking and a
+// fresh-session retry). Returns the result object, or throws with the final error.
+async function processSolicitud(worker, data, onProgress = () => {}) {
+  const { address, reportType, patente } = data;
 
-  if (!address) {
-    return res.status(400).json({ success: false, error: 'Address is required' });
-  }
-
-  let logMsg = `API received: address="${address}", reportType="${reportType || 'recoleccion'}"`;
-  if (schedule) logMsg += `, schedule="${schedule}"`;
-  if (patente) logMsg += `, patente="${patente}"`;
-  if (infractionTime) logMsg += `, infractionTime="${infractionTime}"`;
-  console.log(logMsg);
-
-  // Deduplication check - prevent submitting same address+reportType+patente twice
-  const dedupKey = createDedupKey(address, reportType, patente);
+  // Deduplication check - prevent submitting same address+reportType+patente twice.
+  // Dry runs get their own key: a real submission doesn't answer them, nor they it.
+  const dedupKey = createDedupKey(address, reportType, patente) + (data.dryRun ? '|dry-run' : '');
   const recent = recentSubmissions.get(dedupKey);
   if (recent && (Date.now() - recent.timestamp) < SUBMISSION_DEDUP_MS) {
     const patenteInfo = patente ? ` patente=${patente}` : '';
     console.log(`[DEDUP] Blocking duplicate submission for "${address}" [${reportType || 'recoleccion'}]${patenteInfo} (submitted ${Math.round((Date.now() - recent.timestamp) / 1000)}s ago as #${recent.solicitudNumber})`);
-    return res.json({
+    return {
       success: true,
       solicitudNumber: recent.solicitudNumber,
+      account: recent.account,
       message: `Ya se envió esta solicitud hace menos de 5 minutos (#${recent.solicitudNumber})`,
       duplicate: true
-    });
+    };
   }
 
   // Per-address+type locking - wait if another submission for same address+type is in progress
@@ -2746,7 +3077,7 @@ app.post('/solicitud', async (req, res) => {
       const existingResult = await submissionLocks.get(dedupKey);
       if (existingResult && existingResult.success) {
         console.log(`[LOCK] Returning result from concurrent submission: #${existingResult.solicitudNumber}`);
-        return res.json({ ...existingResult, duplicate: true });
+        return { ...existingResult, duplicate: true };
       }
     } catch (e) {
       console.log(`[LOCK] Previous submission failed, proceeding with new one`);
@@ -2758,7 +3089,7 @@ app.post('/solicitud', async (req, res) => {
   const submissionPromise = new Promise(resolve => { resolveSubmission = resolve; });
   submissionLocks.set(dedupKey, submissionPromise);
 
-  // Retry logic: if first attempt fails, close browser and try once more with fresh session
+  // Retry logic: if first attempt fails, close the context and try once more with a fresh session
   const maxAttempts = 2;
   let lastError = null;
 
@@ -2768,16 +3099,18 @@ app.post('/solicitud', async (req, res) => {
         console.log(`\n=== RETRY ATTEMPT ${attempt}/${maxAttempts} with fresh browser session ===\n`);
       }
 
-      const result = await submitSolicitud({ address, containerType, description, photos, reportType, schedule, situationType, patente, infractionTime });
+      // The account that filed it travels with the result (the bot records it with the report)
+      const result = { ...await submitSolicitud(worker, data, onProgress), account: data.account };
 
-      // Close browser after successful submission
-      await closeBrowser();
+      // Close the context after successful submission (the session is saved)
+      await closeWorker(worker);
 
       // Record successful submission for deduplication
       if (result.success && result.solicitudNumber) {
         recentSubmissions.set(dedupKey, {
           timestamp: Date.now(),
-          solicitudNumber: result.solicitudNumber
+          solicitudNumber: result.solicitudNumber,
+          account: data.account
         });
         console.log(`[DEDUP] Recorded submission for "${address}" [${reportType || 'recoleccion'}] -> #${result.solicitudNumber}`);
       }
@@ -2786,13 +3119,13 @@ app.post('/solicitud', async (req, res) => {
       resolveSubmission(result);
       submissionLocks.delete(dedupKey);
 
-      return res.json(result);
+      return result;
     } catch (error) {
       console.error(`Error on attempt ${attempt}:`, error.message);
       lastError = error;
 
-      // Close browser before retry or final failure
-      await closeBrowser();
+      // Close the context before retry or final failure
+      await closeWorker(worker);
 
       // Retry for errors that might be fixed by a fresh session
       const isAddressError = error.message.includes('No address suggestions found') ||
@@ -2822,12 +3155,724 @@ app.post('/solicitud', async (req, res) => {
   resolveSubmission(null);
   submissionLocks.delete(dedupKey);
 
-  res.status(500).json({ success: false, error: lastError.message });
+  throw lastError;
+}
+
+// Hand waiting tasks the workers they can have, in arrival order. A task whose
+// account is at ACCOUNT_CONCURRENCY waits without holding back the ones behind it.
+function dispatchBrowserTasks() {
+  for (let i = 0; i < waitingTasks.length; i++) {
+    const { account, resolve } = waitingTasks[i];
+    if (account && workers.filter(w => w.busy && w.taskAccount === account).length >= ACCOUNT_CONCURRENCY) continue;
+
+    // Prefer a worker already logged in as the account, then one with no context to close
+    const idle = workers.filter(w => !w.busy);
+    const worker = idle.find(w => account && w.loggedInAccount === account) || idle.find(w => !w.context) || idle[0];
+    if (!worker) return;
+
+    waitingTasks.splice(i--, 1);
+    worker.busy = true;
+    worker.taskAccount = account;
+    resolve(worker);
+  }
+}
+
+// Run task(worker) on a pool worker once one is free. `account` is the BA
+// Colaborativa account the task logs in as (null for pages that need no session).
+async function runBrowserTask(task, { account = null } = {}) {
+  const worker = await new Promise(resolve => {
+    waitingTasks.push({ account, resolve });
+    dispatchBrowserTasks();
+  });
+  try {
+    return await task(worker);
+  } finally {
+    worker.busy = false;
+    worker.taskAccount = null;
+    dispatchBrowserTasks();
+  }
+}
+
+function updateJob(id, changes) {
+  const job = { ...jobStore.get('jobs', id), ...changes, updatedAt: new Date().toISOString() };
+  jobStore.put('jobs', id, job);
+  return job;
+}
+
+// Public view of a job (drops the photo paths and callback URL)
+function describeJob(job) {
+  const { data, callbackUrl, ...rest } = job;
+  return {
+    ...rest,
+    address: data.address,
+    reportType: data.reportType || 'recoleccion',
+    account: data.account
+  };
+}
+
+async function notifyJobCallback(job) {
+  if (!job.callbackUrl) return;
+  try {
+    const response = await fetch(job.callbackUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(describeJob(job)),
+      signal: AbortSignal.timeout(JOB_CALLBACK_TIMEOUT_MS)
+    });
+    console.log(`[Jobs] Callback for ${job.id} -> ${response.status}`);
+  } catch (e) {
+    console.error(`[Jobs] Callback for ${job.id} failed: ${e.message}`);
+  }
+}
+
+async function runJob(worker, id) {
+  const job = jobStore.get('jobs', id);
+  if (!job) return null;
+
+  let finished;
+  try {
+    const result = await processSolicitud(worker, job.data, (state, step) => {
+      const current = jobStore.get('jobs', id);
+      if (current.state !== state || current.step !== step) {
+        updateJob(id, { state, step });
+      }
+    });
+
+    if (result.needsInfo) {
+      finished = updateJob(id, { state: 'needs-info', question: result.question, field: result.field, result });
+    } else if (result.success) {
+      finished = updateJob(id, { state: 'done', solicitudNumber: result.solicitudNumber || null, result });
+    } else {
+      finished = updateJob(id, { state: 'failed', error: result.message || 'Submission not confirmed', result });
+    }
+  } catch (error) {
+    finished = updateJob(id, { state: 'failed', error: error.message, result: { success: false, error: error.message } });
+  }
+
+  console.log(`[Jobs] ${id} finished: ${finished.state}${finished.solicitudNumber ? ` #${finished.solicitudNumber}` : ''}`);
+  await notifyJobCallback(finished);
+  return finished;
+}
+
+// Drop finished jobs older than JOB_RETENTION_MS
+function pruneJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobStore.entries('jobs')) {
+    if (FINAL_JOB_STATES.includes(job.state) && now - new Date(job.updatedAt).getTime() > JOB_RETENTION_MS) {
+      jobStore.remove('jobs', id);
+    }
+  }
+}
+
+// After a restart: queued jobs run again, and jobs cut off mid-run are failed
+// with interrupted: true (the form may or may not have been sent, so the bot
+// doesn't retry them on its own)
+function recoverJobs() {
+  pruneJobs();
+  for (const [id, job] of jobStore.entries('jobs')) {
+    if (FINAL_JOB_STATES.includes(job.state)) continue;
+    if (job.state === 'queued') {
+      console.log(`[Jobs] Re-queueing ${id} (${job.data.address})`);
+      runBrowserTask(worker => runJob(worker, id), { account: job.data.account || 'default' });
+    } else {
+      const error = 'Interrupted by API server restart';
+      const failed = updateJob(id, { state: 'failed', error, result: { success: false, error, interrupted: true } });
+      console.log(`[Jobs] ${id} was ${job.state} at shutdown - marked failed`);
+      notifyJobCallback(failed);
+    }
+  }
+}
+
+// Submit solicitud endpoint - queues a job and returns its id right away.
+// Send "wait": true to hold the connection until the job finishes instead.
+app.post('/solicitud', async (req, res) => {
+  const { address, containerType, description, photos, reportType, schedule, situationType, patente, infractionTime, account, usageRef, callbackUrl, wait, dryRun } = req.body;
+
+  if (!address) {
+    return res.status(400).json({ success: false, error: 'Address is required' });
+  }
+  if (reportType && !isReportType(reportType)) {
+    return res.status(400).json({ success: false, error: `Unknown reportType "${reportType}"`, reportTypes: REPORT_TYPES });
+  }
+  if (account && account !== ROUND_ROBIN && !hasAccountCredentials(account)) {
+    return res.status(400).json({ success: false, error: `Unknown account "${account}"`, accounts: configuredAccounts() });
+  }
+
+  // Reject streets/numbers the callejero doesn't know before spending a browser run on them
+  const resolution = resolveAddress(address);
+  const addressProblem = describeAddressProblem(resolution);
+  if (addressProblem) {
+    console.log(`[Callejero] Rejected "${address}": ${resolution.status}`);
+    return res.status(422).json({ success: false, error: `Dirección no válida: ${addressProblem}`, addressStatus: resolution.status, suggestions: resolution.suggestions });
+  }
+  const canonicalAddress = resolution.status === 'unparsed' ? address : resolution.address;
+
+  let logMsg = `API received: address="${canonicalAddress}", reportType="${reportType || 'recoleccion'}"`;
+  if (schedule) logMsg += `, schedule="${schedule}"`;
+  if (patente) logMsg += `, patente="${patente}"`;
+  if (infractionTime) logMsg += `, infractionTime="${infractionTime}"`;
+  // A request can ask for a dry run, but can't opt out of a server-wide DRY_RUN
+  const isDryRun = DRY_RUN || dryRun === true;
+  if (isDryRun) logMsg += ', dry run';
+  console.log(logMsg);
+
+  let jobAccount;
+  try {
+    jobAccount = resolveAccount(account);
+  } catch (e) {
+    return res.status(503).json({ success: false, error: e.message });
+  }
+  if (account === ROUND_ROBIN) {
+    console.log(`[Accounts] Round-robin -> ${jobAccount}`);
+  }
+
+  const id = `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const now = new Date().toISOString();
+  jobStore.put('jobs', id, {
+    id,
+    state: 'queued',
+    step: null,
+    solicitudNumber: null,
+    dryRun: isDryRun,
+    // Claude calls of the run are billed to the caller's usageRef (the bot's batch), else to the job
+    data: { address: canonicalAddress, containerType, description, photos, reportType, schedule, situationType, patente, infractionTime, account: jobAccount, usageRef: usageRef || id, dryRun: isDryRun },
+    callbackUrl: callbackUrl || null,
+    createdAt: now,
+    updatedAt: now
+  });
+  console.log(`[Jobs] Queued ${id}`);
+
+  const run = runBrowserTask(worker => runJob(worker, id), { account: jobAccount });
+
+  if (wait) {
+    const job = await run;
+    return res.status(job.state === 'failed' ? 500 : 200).json({ ...job.result, jobId: id });
+  }
+
+  res.status(202).json({ success: true, jobId: id, state: 'queued', statusUrl: `/solicitud/jobs/${id}` });
+});
+
+// Job status
+app.get('/solicitud/jobs/:id', (req, res) => {
+  const job = jobStore.get('jobs', req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json(describeJob(job));
+});
+
+// Solicitud status tracking
+
+function normalizeSolicitudNumber(raw) {
+  // Accept 01377880/25, 01377880&25 (URL form) and 01377880-25
+  return String(raw).trim().replace(/[&-]/g, '/');
+}
+
+function solicitudDetailUrl(number) {
+  return `${URLS.detalleSolicitud}${number.replace(/\//g, '&')}?vieneDeMisSolicitudes=false`;
+}
+
+// Map the text shown on the detail page to one of our states
+function normalizeSolicitudState(text) {
+  if (!text) return null;
+  const t = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (t.includes('resuelt') || t.includes('solucionad')) return 'resuelta';
+  if (t.includes('cerrad') || t.includes('finalizad') || t.includes('anulad') || t.includes('rechazad')) return 'cerrada';
+  if (t.includes('proceso') || t.includes('curso') || t.includes('asignad') || t.includes('derivad')) return 'en proceso';
+  if (t.includes('abiert') || t.includes('ingresad') || t.includes('pendiente') || t.includes('recibid')) return 'abierta';
+  return null;
+}
+
+// Solicitudes the bot has submitted that have a number we can look up
+function readReportedSolicitudes() {
+  return reportStore.all()
+    .filter(r => /^\d{6,}\/\d{2}$/.test(r.solicitudNumber || ''))
+    .map(r => ({ number: r.solicitudNumber, address: r.address, reportType: r.reportType, reportedAt: r.timestamp, account: r.account || 'default' }));
+}
+
+// Scrape state and history from the detalleSolicitud page (needs a session
+// for the account that submitted it)
+async function scrapeSolicitudStatus(worker, number, account = 'default') {
+  await ensureLoggedIn(worker, account);
+
+  const { page } = await initBrowser(worker);
+  await page.goto(solicitudDetailUrl(number), { waitUntil: 'networkidle2', timeout: 60000 });
+  await delay(2000);
+
+  return page.evaluate(() => {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const datePattern = /\d{2}\/\d{2}\/\d{4}/;
+
+    // Current state: a label "Estado" followed by its value, or "Estado: X" in the text
+    let rawState = null;
+    for (const el of document.querySelectorAll('span, label, b, strong, dt, th, td, p, div')) {
+      if (el.children.length > 0) continue;
+      const text = clean(el.textContent);
+      const inline = text.match(/^Estado( actual)?:\s*(.+)$/i);
+      if (inline) {
+        rawState = inline[2];
+        break;
+      }
+      if (/^Estado( actual)?:?$/i.test(text)) {
+        const value = el.nextElementSibling || el.parentElement?.nextElementSibling;
+        if (value && clean(value.textContent)) {
+          rawState = clean(value.textContent);
+          break;
+        }
+      }
+    }
+    if (!rawState) {
+      const bodyMatch = (document.body.innerText || '').match(/Estado( actual)?:?\s*\n?\s*([^\n]+)/i);
+      if (bodyMatch) rawState = clean(bodyMatch[2]);
+    }
+
+    // History: table rows or list items that start with a date
+    const history = [];
+    for (const row of document.querySelectorAll('tr, li, .timeline-item, [class*="historial"] > *')) {
+      const text = clean(row.innerText || row.textContent);
+      const dateMatch = text.match(datePattern);
+      if (!dateMatch || text.length > 500) continue;
+      const entry = { date: dateMatch[0], text: clean(text.replace(dateMatch[0], '')) };
+      if (!history.some(h => h.date === entry.date && h.text === entry.text)) {
+        history.push(entry);
+      }
+    }
+
+    return { rawState, history, url: window.location.href };
+  });
+}
+
+// Check one solicitud and store the result. Returns the stored record.
+async function checkSolicitudStatus(worker, number, meta = {}) {
+  const previous = statusStore.get('status', number) || {};
+  const now = new Date().toISOString();
+  const record = {
+    number,
+    address: meta.address || previous.address || null,
+    reportType: meta.reportType || previous.reportType || null,
+    reportedAt: meta.reportedAt || previous.reportedAt || null,
+    account: meta.account || previous.account || 'default',
+    url: solicitudDetailUrl(number),
+    state: previous.state || null,
+    rawState: previous.rawState || null,
+    history: previous.history || [],
+    stateChangedAt: previous.stateChangedAt || null,
+    lastCheckedAt: now,
+    lastError: null
+  };
+
+  try {
+    const scraped = await scrapeSolicitudStatus(worker, number, record.account);
+    const state = normalizeSolicitudState(scraped.rawState);
+    if (!state) {
+      record.lastError = `Could not read state (found: ${scraped.rawState || 'nothing'})`;
+      console.log(`[Status] #${number}: ${record.lastError}`);
+    } else {
+      if (state !== previous.state) {
+        console.log(`[Status] #${number}: ${previous.state || 'unknown'} -> ${state}`);
+        record.stateChangedAt = now;
+      }
+      record.state = state;
+      record.rawState = scraped.rawState;
+    }
+    if (scraped.history.length > 0) {
+      record.history = scraped.history;
+    }
+  } catch (e) {
+    record.lastError = e.message;
+    console.error(`[Status] #${number}: check failed - ${e.message}`);
+  }
+
+  statusStore.put('status', number, record);
+  return record;
+}
+
+let isPollingStatus = false;
+
+// Visit every open solicitud whose last check is older than STATUS_POLL_INTERVAL_MS
+async function pollSolicitudStatuses() {
+  if (isPollingStatus) return;
+  isPollingStatus = true;
+
+  try {
+    const now = Date.now();
+    const due = readReportedSolicitudes().filter(s => {
+      const stored = statusStore.get('status', s.number);
+      if (!stored) return true;
+      if (CLOSED_STATES.includes(stored.state)) return false;
+      return now - new Date(stored.lastCheckedAt).getTime() >= STATUS_POLL_INTERVAL_MS;
+    });
+    if (due.length === 0) return;
+
+    console.log(`[Status] Checking ${due.length} open solicitud(es)...`);
+    for (const solicitud of due) {
+      // Shares the pool with submissions, so each check waits for a worker
+      await runBrowserTask(worker => checkSolicitudStatus(worker, solicitud.number, solicitud), { account: solicitud.account });
+    }
+    await closeIdleWorkers();
+  } catch (e) {
+    console.error('[Status] Poll failed:', e.message);
+  } finally {
+    isPollingStatus = false;
+  }
+}
+
+// Solicitud status (add ?refresh=true to check the page now)
+app.get('/solicitud/:number/status', async (req, res) => {
+  const number = normalizeSolicitudNumber(req.params.number);
+  let record = statusStore.get('status', number);
+
+  if (req.query.refresh === 'true' || req.query.refresh === '1') {
+    const meta = readReportedSolicitudes().find(s => s.number === number) || {};
+    record = await runBrowserTask(worker => checkSolicitudStatus(worker, number, meta), { account: meta.account || record?.account || 'default' });
+    await closeIdleWorkers();
+  }
+
+  if (!record) {
+    return res.status(404).json({ success: false, error: `No status recorded for #${number} yet (use ?refresh=true to check now)` });
+  }
+  res.json(record);
+});
+
+// Catalog of the prestaciones BA Colaborativa offers (GET /prestaciones), to
+// decide which ones to add to report-types.json. The sync reads the /prestaciones
+// page, then opens the confirmation page of our configured codes (or of every
+// code with "all") to record the shape of its form. A configured code that
+// disappears or whose form changes is flagged, since the bot would start
+// failing on it. A form whose questionnaire isn't found has an unknown shape
+// (see prestaciones.js for capturing the payloads the parsers read).
+const PRESTACIONES_FILE = process.env.PRESTACIONES_FILE || path.join(__dirname, 'prestaciones.jsonl');
+const PRESTACIONES_CAPTURE_DIR = process.env.PRESTACIONES_CAPTURE_DIR || null;
+const prestacionesStore = new JournalStore(PRESTACIONES_FILE);
+// How often the catalog is synced (0 disables the automatic sync)
+const PRESTACIONES_SYNC_INTERVAL_MS = parseInt(process.env.PRESTACIONES_SYNC_INTERVAL_MS ?? 24 * 60 * 60 * 1000);
+const PRESTACIONES_SYNC_TICK_MS = 60 * 60 * 1000;
+const MAX_JSON_BODY = 2 * 1024 * 1024;
+
+// JSON bodies the page loads while `action` runs (the Angular app fetches its data)
+async function captureJsonResponses(page, action) {
+  const bodies = [];
+  const pending = [];
+  const handler = response => {
+    if (!(response.headers()['content-type'] || '').includes('json')) return;
+    pending.push(response.text().then(text => {
+      if (text.length <= MAX_JSON_BODY) bodies.push(JSON.parse(text));
+    }).catch(() => {}));
+  };
+  page.on('response', handler);
+  try {
+    await action();
+  } finally {
+    page.off('response', handler);
+  }
+  await Promise.all(pending);
+  return bodies;
+}
+
+// Code, name and category of every prestación linked from the /prestaciones page
+async function scrapePrestacionesPage(worker) {
+  const { page } = await initBrowser(worker);
+  const bodies = await captureJsonResponses(page, () => page.goto(URLS.prestaciones, { waitUntil: 'networkidle2', timeout: 60000 }));
+  if (PRESTACIONES_CAPTURE_DIR) saveCapture(PRESTACIONES_CAPTURE_DIR, 'prestaciones', { url: URLS.prestaciones, bodies });
+  await delay(2000);
+
+  const fromPage = await page.evaluate(() => {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, .accordion-button, .card-header, [class*="categoria"]'));
+
+    // Closest heading above the item that isn't the item itself
+    const categoryOf = el => {
+      const before = headings.filter(h => !h.contains(el) && !el.contains(h) &&
+        (h.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING));
+      return before.length > 0 ? clean(before[before.length - 1].textContent) : null;
+    };
+
+    const items = [];
+    for (const el of document.querySelectorAll('a[href*="confirmacion/"], [ng-reflect-router-link*="confirmacion/"], [routerlink*="confirmacion/"]')) {
+      const target = el.getAttribute('href') || el.getAttribute('ng-reflect-router-link') || el.getAttribute('routerlink');
+      const code = target.match(/confirmacion\/(\d+)/)?.[1];
+      const name = clean(el.textContent) || clean(el.getAttribute('title'));
+      if (code && name) items.push({ code, name, category: categoryOf(el) });
+    }
+    return items;
+  });
+
+  const found = new Map();
+  for (const body of bodies) prestacionesFromJson(body, found);
+  for (const item of fromPage) {
+    // The page's own text wins over names guessed from JSON
+    found.set(item.code, { ...found.get(item.code), ...item, category: item.category || found.get(item.code)?.category || null });
+  }
+  return [...found.values()];
+}
+
+// What the confirmation page of a code shows: title, description, visible form
+// fields and, when the app loads it, the questionnaire
+async function scrapePrestacionForm(worker, code) {
+  const { page } = await initBrowser(worker);
+  const url = confirmationUrl(code);
+  const bodies = await captureJsonResponses(page, () => page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 }));
+  if (PRESTACIONES_CAPTURE_DIR) saveCapture(PRESTACIONES_CAPTURE_DIR, code, { url, bodies });
+  await delay(1000);
+
+  const form = await page.evaluate(() => {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const fields = Array.from(document.querySelectorAll('input, textarea, select, ngb-timepicker'))
+      .filter(el => el.type !== 'hidden')
+      .map(el => ({
+        type: el.tagName === 'INPUT' ? el.type : el.tagName.toLowerCase(),
+        label: clean(document.querySelector(`label[for="${el.id}"]`)?.textContent || el.closest('label')?.textContent || el.getAttribute('placeholder'))
+      }));
+    return {
+      title: clean(document.querySelector('h1, h2')?.textContent) || null,
+      description: clean(document.querySelector('main p, .card-body p, p')?.textContent).substring(0, 500) || null,
+      fields,
+      exists: !/no (se )?encontr|no existe/i.test(document.body.innerText.substring(0, 2000))
+    };
+  });
+
+  const questions = [];
+  for (const body of bodies) questionsFromJson(body, questions);
+  return { ...form, questions, url: page.url() };
+}
+
+let isSyncingPrestaciones = false;
+
+// Sync the catalog and return the sync record ({ alerts, added, ... }).
+// all=true also records the form of every prestación, not just the configured ones.
+async function syncPrestaciones({ all = false } = {}) {
+  if (isSyncingPrestaciones) {
+    throw new Error('A prestaciones sync is already running');
+  }
+  isSyncingPrestaciones = true;
+  const startedAt = new Date().toISOString();
+  const sync = { startedAt, finishedAt: null, all, count: 0, added: [], removed: [], alerts: [], error: null };
+
+  try {
+    const listed = await runBrowserTask(scrapePrestacionesPage);
+    if (listed.length === 0) {
+      // An empty page is a scraping problem, not every prestación disappearing
+      throw new Error('No prestaciones found on the page');
+    }
+    sync.count = listed.length;
+    const listedCodes = new Set(listed.map(p => p.code));
+
+    for (const item of listed) {
+      const previous = prestacionesStore.get('prestaciones', item.code);
+      if (!previous) sync.added.push(item.code);
+      prestacionesStore.put('prestaciones', item.code, {
+        ...previous,
+        ...item,
+        url: confirmationUrl(item.code),
+        reportType: reportTypeForCode(item.code),
+        firstSeenAt: previous?.firstSeenAt || startedAt,
+        lastSeenAt: startedAt,
+        missingSince: null
+      });
+    }
+    for (const previous of prestacionesStore.values('prestaciones')) {
+      if (listedCodes.has(previous.code) || previous.missingSince) continue;
+      sync.removed.push(previous.code);
+      prestacionesStore.put('prestaciones', previous.code, { ...previous, missingSince: startedAt });
+    }
+
+    // Configured codes that aren't listed anymore
+    for (const type of REPORT_TYPES) {
+      const code = getReportType(type).code;
+      if (!listedCodes.has(code)) {
+        sync.alerts.push({ kind: 'missing', reportType: type, code, message: `${type} (${code}) no longer appears in /prestaciones` });
+      }
+    }
+
+    const configuredCodes = REPORT_TYPES.map(type => getReportType(type).code);
+    const formCodes = all ? [...new Set([...configuredCodes, ...listedCodes])] : configuredCodes;
+    for (const code of formCodes) {
+      const previous = prestacionesStore.get('prestaciones', code) || { code, name: null, category: null, url: confirmationUrl(code), reportType: reportTypeForCode(code), firstSeenAt: startedAt };
+      let form;
+      try {
+        form = await runBrowserTask(worker => scrapePrestacionForm(worker, code));
+      } catch (e) {
+        console.error(`[Prestaciones] ${code}: form check failed - ${e.message}`);
+        prestacionesStore.put('prestaciones', code, { ...previous, formError: e.message, formCheckedAt: new Date().toISOString() });
+        continue;
+      }
+
+      const shapeHash = formShapeHash(form);
+      const record = { ...previous, form, shape: shapeHash ? 'known' : 'unknown', formError: null, formCheckedAt: new Date().toISOString() };
+      if (!shapeHash) {
+        // Keeps the last known hash, so a later reading is compared against a real shape
+        console.log(`[Prestaciones] ${code}: no questionnaire found in the page's JSON - form shape unknown`);
+        if (previous.shape === 'known' && previous.reportType) {
+          sync.alerts.push({ kind: 'form-unknown', reportType: previous.reportType, code, message: `The questionnaire of ${previous.reportType} (${code}) can no longer be read` });
+        }
+      } else {
+        record.shapeHash = shapeHash;
+        if (previous.shapeHash && previous.shapeHash !== shapeHash) {
+          record.formChangedAt = record.formCheckedAt;
+          if (previous.reportType) {
+            sync.alerts.push({ kind: 'form-changed', reportType: previous.reportType, code, message: `The form of ${previous.reportType} (${code}) changed since ${previous.formCheckedAt}` });
+          }
+        }
+      }
+      if (previous.reportType && !form.exists) {
+        sync.alerts.push({ kind: 'missing', reportType: previous.reportType, code, message: `The confirmation page of ${previous.reportType} (${code}) is gone` });
+      }
+      prestacionesStore.put('prestaciones', code, record);
+    }
+  } catch (e) {
+    sync.error = e.message;
+    console.error(`[Prestaciones] Sync failed: ${e.message}`);
+  } finally {
+    await closeIdleWorkers();
+    sync.finishedAt = new Date().toISOString();
+    prestacionesStore.put('sync', 'last', sync);
+    isSyncingPrestaciones = false;
+  }
+
+  if (!sync.error) {
+    console.log(`[Prestaciones] ${sync.count} prestaciones, ${sync.added.length} new, ${sync.removed.length} gone`);
+  }
+  for (const alert of sync.alerts) {
+    console.log(`[Prestaciones] ⚠️ ${alert.message}`);
+  }
+  return sync;
+}
+
+// Automatic sync, once per PRESTACIONES_SYNC_INTERVAL_MS
+async function syncPrestacionesIfDue() {
+  const last = prestacionesStore.get('sync', 'last');
+  if (last && Date.now() - new Date(last.startedAt).getTime() < PRESTACIONES_SYNC_INTERVAL_MS) return;
+  try {
+    await syncPrestaciones();
+  } catch (e) {
+    console.error('[Prestaciones] Sync skipped:', e.message);
+  }
+}
+
+// Catalog of prestaciones. Filters: category, q (name contains), configured (true/false)
+app.get('/prestaciones', (req, res) => {
+  const { category, q, configured } = req.query;
+  const normalize = text => (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+  const prestaciones = prestacionesStore.values('prestaciones')
+    .filter(p => !category || normalize(p.category).includes(normalize(category)))
+    .filter(p => !q || normalize(p.name).includes(normalize(q)))
+    .filter(p => configured === undefined || Boolean(p.reportType) === (configured === 'true' || configured === '1'))
+    .sort((a, b) => (a.category || '').localeCompare(b.category || '') || (a.name || '').localeCompare(b.name || ''))
+    .map(({ form, ...p }) => ({ ...p, questions: form?.questions || [], fields: form?.fields || [] }));
+
+  res.json({ lastSync: prestacionesStore.get('sync', 'last') || null, count: prestaciones.length, prestaciones });
+});
+
+// Sync the catalog now (body: {"all": true} to record every form, slow)
+app.post('/prestaciones/sync', async (req, res) => {
+  try {
+    const sync = await syncPrestaciones({ all: req.body?.all === true });
+    res.json({ success: !sync.error, ...sync });
+  } catch (e) {
+    res.status(409).json({ success: false, error: e.message });
+  }
+});
+
+// Submitted reports, newest first. Filters: from, to (YYYY-MM-DD), reportType,
+// address, patente, reporter, channel (group/dm), account; plus limit (default 100)
+app.get('/reports', (req, res) => {
+  const { from, to, reportType, address, patente, reporter, channel, account } = req.query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return res.status(400).json({ success: false, error: 'from/to must be YYYY-MM-DD' });
+  }
+
+  const limit = Math.max(1, parseInt(req.query.limit) || 100);
+  const reports = reportStore.query({ from, to, reportType, address, patente, reporter, channel, account }).reverse();
+  res.json({ total: reports.length, reports: reports.slice(0, limit) });
+});
+
+// Configured BA Colaborativa accounts: how many solicitudes each has filed, and
+// its session and login-throttle state
+app.get('/accounts', (req, res) => {
+  const reports = reportStore.all();
+  const rotation = roundRobinAccounts();
+  res.json({
+    roundRobin: rotation,
+    accounts: configuredAccounts().map(name => ({
+      name,
+      email: getAccountCredentials(name).email,
+      reports: reports.filter(r => (r.account || 'default') === name).length,
+      inRoundRobin: rotation.includes(name),
+      loggedIn: workers.some(w => w.isLoggedIn && w.loggedInAccount === name),
+      savedSession: sessionStore.get('sessions', name)?.savedAt || null,
+      recentLoginFailures: recentLoginFailures(name).length
+    }))
+  });
+});
+
+// Claude usage per day (tokens, images, latency, USD) plus today's spend against
+// LLM_DAILY_BUDGET_USD. Filters: from, to (YYYY-MM-DD)
+app.get('/usage', (req, res) => {
+  const { from, to } = req.query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return res.status(400).json({ success: false, error: 'from/to must be YYYY-MM-DD' });
+  }
+
+  const spent = spentToday();
+  const budget = dailyBudgetUsd();
+  res.json({
+    budget: {
+      dailyUsd: budget || null,
+      spentTodayUsd: Math.round(spent * 10000) / 10000,
+      exceeded: budget > 0 && spent >= budget
+    },
+    days: dailyUsage({ from, to }).reverse()
+  });
+});
+
+// Claude usage per submitted report, newest first. Calls of one message batch
+// that produced several reports are split evenly between them.
+// Same filters as /reports plus limit (default 100)
+app.get('/usage/reports', (req, res) => {
+  const { from, to, reportType, address, patente, reporter, channel, account } = req.query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return res.status(400).json({ success: false, error: 'from/to must be YYYY-MM-DD' });
+  }
+
+  const all = reportStore.all();
+  const reportsPerRef = new Map();
+  for (const r of all) {
+    if (r.usageRef) reportsPerRef.set(r.usageRef, (reportsPerRef.get(r.usageRef) || 0) + 1);
+  }
+
+  const limit = Math.max(1, parseInt(req.query.limit) || 100);
+  const reports = reportStore.query({ from, to, reportType, address, patente, reporter, channel, account })
+    .filter(r => r.usageRef)
+    .reverse()
+    .slice(0, limit)
+    .map(r => {
+      const totals = usageForRef(r.usageRef);
+      const share = reportsPerRef.get(r.usageRef) || 1;
+      return {
+        solicitudNumber: r.solicitudNumber,
+        date: r.date,
+        address: r.address,
+        reportType: r.reportType,
+        account: r.account || 'default',
+        usageRef: r.usageRef,
+        sharedWith: share - 1,
+        calls: totals?.calls || 0,
+        inputTokens: Math.round((totals?.inputTokens || 0) / share),
+        outputTokens: Math.round((totals?.outputTokens || 0) / share),
+        images: Math.round((totals?.images || 0) / share),
+        costUsd: Math.round((totals?.costUsd || 0) / share * 10000) / 10000
+      };
+    });
+  res.json({ total: reports.length, reports });
 });
 
 // Cleanup endpoint
 app.post('/cleanup', async (req, res) => {
-  await closeBrowser();
+  await closeIdleWorkers();
   res.json({ success: true, message: 'Browser closed' });
 });
 
@@ -2855,20 +3900,45 @@ function killExistingProcess(port) {
 // Kill any existing process before starting
 killExistingProcess(PORT);
 
+recoverJobs();
+setInterval(pruneJobs, 60 * 60 * 1000).unref(); // Hourly cleanup of finished jobs
+
+if (STATUS_POLL_INTERVAL_MS > 0) {
+  setTimeout(pollSolicitudStatuses, 60 * 1000); // First pass shortly after startup
+  setInterval(pollSolicitudStatuses, STATUS_POLL_TICK_MS);
+}
+
+if (PRESTACIONES_SYNC_INTERVAL_MS > 0) {
+  setTimeout(syncPrestacionesIfDue, 5 * 60 * 1000);
+  setInterval(syncPrestacionesIfDue, PRESTACIONES_SYNC_TICK_MS);
+}
+
 // Start server
 app.listen(PORT, () => {
+  warnIfCallejeroMissing();
   console.log(`
 ==============================================
   BA Colaborativa Solicitud API Server
 ==============================================
 
 Server running on http://localhost:${PORT}
+BA Colaborativa: ${BA_COLABORATIVA_URL}
+Browser pool: ${BROWSER_POOL_SIZE} worker(s), up to ${ACCOUNT_CONCURRENCY} per account${DRY_RUN ? '\nDRY RUN: solicitudes are filled but never confirmed' : ''}
 
 Available endpoints:
 
   GET  /health     - Check server status
   POST /login      - Login to BA Colaborativa
-  POST /solicitud  - Submit a solicitud
+  POST /solicitud  - Queue a solicitud (returns a job id; "dryRun": true stops before Confirmar,
+                     "account": a name or "round-robin")
+  GET  /solicitud/jobs/:id - Job state, step and solicitud number
+  GET  /solicitud/:number/status - Tracked state of a submitted solicitud
+  GET  /reports    - Submitted reports (filters: from, to, reportType, address, patente, reporter, channel, account)
+  GET  /accounts   - BA Colaborativa accounts, reports filed by each and round-robin order
+  GET  /usage      - Claude usage per day and today's spend against the budget (filters: from, to)
+  GET  /usage/reports - Claude usage per report (same filters as /reports, plus limit)
+  GET  /prestaciones - BA Colaborativa catalog (filters: category, q, configured)
+  POST /prestaciones/sync - Sync the catalog now ({"all": true} checks every form)
   POST /cleanup    - Close browser instance
 
 Example usage:
@@ -2881,6 +3951,9 @@ Example usage:
     -H "Content-Type: application/json" \\
     -d '{"address": "Pasteur 415", "containerType": "negro"}'
 
+  # Check job status
+  curl http://localhost:${PORT}/solicitud/jobs/<jobId>
+
   # Cleanup
   curl -X POST http://localhost:${PORT}/cleanup
 
@@ -0,0 +1,183 @@
+// Loaded before usage.js, which picks its file from LLM_PROVIDER too
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import Anthropic from '@anthropic-ai/sdk';
+import { recordUsage, countImages, isOverBudget, spentToday, dailyBudgetUsd } from './usage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Every Claude call of the bot and the API server goes through complete(task, params).
+// The task picks the model (overridable per task with LLM_MODEL_<TASK>), and
+// retries/timeouts live here instead of at each call site. Every call is
+// recorded in usage.js; past LLM_DAILY_BUDGET_USD, tasks with a fallback
+// switch to it (LLM_FALLBACK_MODEL_<TASK>) until the day ends.
+//
+// LLM_PROVIDER=fake replays recorded responses from LLM_FIXTURES_FILE instead of
+// calling the API, so the whole pipeline can run offline (llm-fixtures.jsonl has
+// the answers for prompt-corpus/). Recordings are made by running with the real
+// provider and LLM_RECORD_FILE set; fixtures can also be written by hand (see
+// fakeResponse for the shorthand fields). Fake calls are billed to their own
+// usage file (see usage.js).
+export const TASKS = {
+  // Report extraction: Sonnet 4 for better image analysis (3x cost of Haiku but much better vision)
+  extraction: { model: 'claude-sonnet-4-20250514', fallback: 'claude-3-5-haiku-20241022', env: 'EXTRACTION' },
+  reportType: { model: 'claude-3-5-haiku-20241022', fallback: null, env: 'REPORT_TYPE' },
+  address: { model: 'claude-3-5-haiku-20241022', fallback: null, env: 'ADDRESS' },
+  formAnalysis: { model: 'claude-haiku-4-5-20251001', fallback: 'claude-3-5-haiku-20241022', env: 'FORM_ANALYSIS' },
+  vision: { model: 'claude-sonnet-4-20250514', fallback: 'claude-haiku-4-5-20251001', env: 'VISION' }
+};
+
+const PROVIDER = process.env.LLM_PROVIDER || 'anthropic';
+const MAX_ATTEMPTS = parseInt(process.env.LLM_MAX_ATTEMPTS) || 3;
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+const RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS) || 5000; // 5s, 10s, 15s
+const FIXTURES_FILE = process.env.LLM_FIXTURES_FILE || path.join(__dirname, 'llm-fixtures.jsonl');
+const RECORD_FILE = process.env.LLM_RECORD_FILE || null;
+
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 529];
+
+let client = null;
+let fixtures = null;
+let degradedDay = null; // Day the budget was exceeded, to log the switch once
+
+export function modelFor(task, { degraded = false } = {}) {
+  const config = TASKS[task];
+  if (!config) throw new Error(`[LLM] Tarea desconocida: ${task}`);
+  const fallback = process.env[`LLM_FALLBACK_MODEL_${config.env}`] || config.fallback;
+  if (degraded && fallback) return fallback;
+  return process.env[`LLM_MODEL_${config.env}`] || config.model;
+}
+
+function budgetExceeded() {
+  if (!isOverBudget()) return false;
+  const today = new Date().toDateString();
+  if (degradedDay !== today) {
+    degradedDay = today;
+    console.log(`[LLM] Presupuesto diario superado ($${spentToday().toFixed(2)} de $${dailyBudgetUsd()}) - usando modelos de respaldo`);
+  }
+  return true;
+}
+
+// Identifies a request independently of the model, so replays survive a model change
+function requestKey(task, params) {
+  const { model, max_tokens, ...rest } = params;
+  return crypto.createHash('sha256').update(JSON.stringify({ task, ...rest })).digest('hex').slice(0, 16);
+}
+
+function isRetryable(error) {
+  if (error.name === 'APIConnectionTimeoutError' || error.name === 'APIConnectionError') return true;
+  return RETRYABLE_STATUS.includes(error.status) || /overloaded/i.test(error.message || '');
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function anthropicClient() {
+  if (!client) {
+    // Retries are ours (same policy for every task), not the SDK's
+    client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 });
+  }
+  return client;
+}
+
+function loadFixtures() {
+  if (fixtures) return fixtures;
+  if (!fs.existsSync(FIXTURES_FILE)) {
+    throw new Error(`[LLM] LLM_PROVIDER=fake pero no existe ${FIXTURES_FILE}`);
+  }
+  fixtures = fs.readFileSync(FIXTURES_FILE, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => ({ ...JSON.parse(line), used: false }));
+  console.log(`[LLM] Proveedor fake: ${fixtures.length} respuesta(s) de ${path.basename(FIXTURES_FILE)}`);
+  return fixtures;
+}
+
+// A fixture is { task, key?, response } as recorded, or a hand-written shorthand:
+// { task, text: "..." } for plain answers, { task, toolInput: {...} } for tool calls.
+// A hand-written one with "match" only answers requests whose messages contain that text.
+function fakeResponse(fixture, params) {
+  if (fixture.response) return fixture.response;
+  const tool = params.tools?.[0];
+  const content = fixture.toolInput !== undefined
+    ? [{ type: 'tool_use', id: `toolu_fake_${loadFixtures().indexOf(fixture)}`, name: tool?.name, input: fixture.toolInput }]
+    : [{ type: 'text', text: fixture.text || '' }];
+  return {
+    id: 'msg_fake',
+    type: 'message',
+    role: 'assistant',
+    model: params.model,
+    content,
+    stop_reason: fixture.toolInput !== undefined ? 'tool_use' : 'end_turn',
+    usage: { input_tokens: 0, output_tokens: 0 }
+  };
+}
+
+// Same request as recorded first, then one whose "match" the messages contain;
+// otherwise the task's remaining fixtures in file order
+function replay(task, params, key) {
+  const unused = loadFixtures().filter(f => !f.used && f.task === task);
+  const messages = JSON.stringify(params.messages || []);
+  const fixture = unused.find(f => f.key === key) ||
+                  unused.find(f => !f.key && f.match && messages.includes(f.match)) ||
+                  unused.find(f => !f.key && !f.match);
+  if (!fixture) {
+    throw new Error(`[LLM] Sin respuesta grabada para ${task} (${key})`);
+  }
+  fixture.used = true;
+  return fakeResponse(fixture, params);
+}
+
+function record(task, key, response) {
+  try {
+    fs.appendFileSync(RECORD_FILE, JSON.stringify({ task, key, response }) + '\n');
+  } catch (e) {
+    console.error(`[LLM] No se pudo grabar la respuesta: ${e.message}`);
+  }
+}
+
+// messages.create for a task. ref is the usageRef the call is billed to.
+// onAttemptError(error, attempt, maxAttempts) is called for every failed
+// attempt; the last error is thrown.
+export async function complete(task, params, { ref = null, onAttemptError = null, maxAttempts = MAX_ATTEMPTS } = {}) {
+  const degraded = budgetExceeded();
+  const request = { model: modelFor(task, { degraded }), ...params };
+  const key = requestKey(task, request);
+  const images = countImages(request.messages);
+
+  if (PROVIDER === 'fake') {
+    const response = replay(task, request, key);
+    recordUsage({ task, model: request.model, usage: response.usage, images, ref, degraded });
+    return response;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const response = await anthropicClient().messages.create(request, { timeout: TIMEOUT_MS });
+      recordUsage({ task, model: request.model, usage: response.usage, images, latencyMs: Date.now() - startedAt, ref, degraded });
+      if (RECORD_FILE) record(task, key, response);
+      return response;
+    } catch (error) {
+      if (onAttemptError) onAttemptError(error, attempt, maxAttempts);
+      if (!isRetryable(error) || attempt >= maxAttempts) throw error;
+      const waitTime = attempt * RETRY_BASE_MS;
+      console.log(`[LLM] ${task}: ${error.status || error.name} ${error.message} - reintento en ${waitTime / 1000}s`);
+      await delay(waitTime);
+    }
+  }
+}
+
+// Forget which fixtures were replayed (e.g. between test runs in one process)
+export function resetFakeProvider() {
+  fixtures = null;
+}
+
+export const LLM_PROVIDER = PROVIDER;
+
+export default { complete, modelFor, resetFakeProvider, TASKS, LLM_PROVIDER };
@@ -0,0 +1,700 @@
+import express from 'express';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const IS_MAIN = process.argv[1] ? path.resolve(process.argv[1]) === __filename : false;
+
+// Local replica of the BA Colaborativa pages the API server drives (index.js):
+// miBA login, confirmacion/<code>, ubicacion with address suggestions, the
+// questionnaire/description/photos/contact accordions, the review page and the
+// confirmation page with the solicitud number, plus detalleSolicitud. Only the
+// markup and texts index.js looks for are reproduced, not the Angular app, so
+// the whole Puppeteer flow runs offline without filing real solicitudes (test-e2e.js).
+//
+//   node mock-bacolaborativa.js      # then BA_COLABORATIVA_URL=http://127.0.0.1:4100 node index.js
+//
+// The site and miBA are different hosts (127.0.0.1 and localhost), like the real
+// cross-domain login. POSTs answer after latencyMs: index.js clicks, waits a few
+// seconds and then waits for the navigation, which on the real site is still pending.
+
+export const DEFAULT_USER = { email: 'vecino@example.com', password: 'clave-de-prueba', name: 'Vecino de Prueba' };
+
+const MORE_INFO = { text: '¿Querés sumar información adicional?', type: 'radio', options: [{ id: 50001, text: 'Sí' }, { id: 50002, text: 'No' }] };
+const SITUATION = {
+  text: '¿Qué situación detectaste?',
+  type: 'radio',
+  options: [{ id: 29113, text: 'Obstrucción de la vía pública' }, { id: 29114, text: 'Puesto en estado de abandono' }, { id: 29115, text: 'Deterioro del puesto' }]
+};
+
+// The catalog as the site shows it. Luminarias isn't in report-types.json (catalog sync).
+const PRESTACIONES = [
+  {
+    code: '1462821007742', name: 'Recolección de residuos', category: 'Higiene urbana',
+    questions: [{ text: '¿Qué tipo de contenedor es?', type: 'radio', options: [{ id: 45731, text: 'Contenedor verde (reciclables)' }, { id: 45732, text: 'Contenedor negro (húmedos)' }] }, MORE_INFO]
+  },
+  { code: '096059', name: 'Mejora de barrido', category: 'Higiene urbana', questions: [MORE_INFO] },
+  { code: '118020', name: 'Obstrucción de calle/vereda', category: 'Espacio público', questions: [MORE_INFO] },
+  { code: '118001', name: 'Ocupación por local comercial', category: 'Espacio público', questions: [MORE_INFO] },
+  { code: '1604407880652', name: 'Ocupación por área gastronómica', category: 'Espacio público', questions: [MORE_INFO] },
+  { code: '1334597891562', name: 'Manteros/vendedores ambulantes', category: 'Espacio público', questions: [{ text: 'Días y horarios en que se observa la situación', type: 'textarea' }, MORE_INFO] },
+  { code: '1408631404212', name: 'Irregularidades en puesto de diarios', category: 'Espacio público', minPhotos: 1, questions: [SITUATION, MORE_INFO] },
+  { code: '118002', name: 'Irregularidades en puesto de flores', category: 'Espacio público', minPhotos: 1, questions: [SITUATION, MORE_INFO] },
+  {
+    code: '1476814313550', name: 'Vehículo mal estacionado', category: 'Tránsito', minPhotos: 2,
+    questions: [{ text: 'Patente del vehículo', type: 'textarea' }, { text: 'Fecha y hora de la infracción', type: 'datetime' }]
+  },
+  { code: '1462821007751', name: 'Reparación de luminaria', category: 'Alumbrado', questions: [MORE_INFO] }
+];
+
+const FIRST_SOLICITUD_NUMBER = 1377880;
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// JSON that can go inside a <script>
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function cookiesOf(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return cookies;
+}
+
+function today() {
+  const d = new Date();
+  return `${d.getDate().toString().padStart(2, '0')}/${(d.getMonth() + 1).toString().padStart(2, '0')}/${d.getFullYear()}`;
+}
+
+// What the address autocomplete offers: the typed address plus a neighbour on the
+// same street first, which index.js must skip (pickSuggestion)
+function suggestionsFor(query) {
+  const text = query.trim().replace(/\s+/g, ' ').toUpperCase();
+  if (text.length < 3) return [];
+  const corner = text.match(/^(.+?) Y (.+)$/);
+  if (corner) return [`${corner[1]} Y ${corner[2]}, CABA`];
+  const street = text.match(/^(.+?) (\d+)$/);
+  if (street) {
+    const number = parseInt(street[2]);
+    return [`${street[1]} ${number + 100}, CABA`, `${street[1]} ${number}, CABA`];
+  }
+  return [`${text}, CABA`];
+}
+
+function layout(title, body, { user = null, script = '' } = {}) {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - BA Colaborativa</title>
+<style>
+  .accordion-collapse { display: none; }
+  .accordion-collapse.show { display: block; }
+  #suggestions { display: none; }
+  #suggestions.is-visible { display: block; }
+</style>
+</head>
+<body>
+<nav class="navbar">
+  <a class="navbar-brand" href="/prestaciones">BA Colaborativa</a>
+  ${user
+    ? `<div class="navbar-user"><button type="button" class="btn btn-dropdown"><span class="btn-dropdown-text">${escapeHtml(user.name)}</span></button></div>`
+    : ''}
+</nav>
+<main class="main-container">
+${body}
+</main>
+${script ? `<script>${script}</script>` : ''}
+</body>
+</html>`;
+}
+
+function loginLink(siteUrl, mibaUrl) {
+  return `${mibaUrl}/login?redirect_uri=${encodeURIComponent(`${siteUrl}/auth/callback`)}`;
+}
+
+function prestacionesPage(user, siteUrl, mibaUrl) {
+  const categories = [...new Set(PRESTACIONES.map(p => p.category))];
+  return layout('Prestaciones', `
+<h1>¿Qué querés solicitar?</h1>
+${user ? '' : `<p><a class="btn btn-primary" href="${escapeHtml(loginLink(siteUrl, mibaUrl))}">Ingreso con miBA</a></p>`}
+${categories.map(category => `
+<h3 class="categoria">${escapeHtml(category)}</h3>
+<ul>
+${PRESTACIONES.filter(p => p.category === category).map(p => `  <li><a href="/confirmacion/${p.code}">${escapeHtml(p.name)}</a></li>`).join('\n')}
+</ul>`).join('\n')}`, { user });
+}
+
+function confirmacionPage(user, prestacion) {
+  // The Angular app loads the prestación (with its questionnaire) as JSON
+  const script = `fetch('/api/prestaciones/${prestacion.code}').then(function (r) { return r.json(); });`;
+  return layout(prestacion.name, `
+<h1>${escapeHtml(prestacion.name)}</h1>
+<p>Solicitá ${escapeHtml(prestacion.name.toLowerCase())} en la ubicación que indiques.</p>
+<form method="post" action="/confirmacion/${prestacion.code}">
+  <div class="form-actions"><button type="submit" class="btn btn-primary">Confirmar</button></div>
+</form>`, { user, script });
+}
+
+const UBICACION_SCRIPT = `
+(function () {
+  var input = document.querySelector('ng-autocomplete input');
+  var container = document.getElementById('suggestions');
+  var list = container.querySelector('ul');
+  var popup = document.getElementById('popupubicacion');
+  var timer = null;
+  var sequence = 0;
+
+  function show(items) {
+    list.innerHTML = '';
+    items.forEach(function (text) {
+      var li = document.createElement('li');
+      li.className = 'item';
+      var div = document.createElement('div');
+      var a = document.createElement('a');
+      a.className = 'titulo-sugerencia';
+      a.href = 'javascript:void(0)';
+      a.textContent = text;
+      a.addEventListener('click', function () { select(text); });
+      div.appendChild(a);
+      li.appendChild(div);
+      list.appendChild(li);
+    });
+    container.classList.toggle('is-visible', items.length > 0);
+  }
+
+  function select(text) {
+    container.classList.remove('is-visible');
+    input.value = text;
+    popup.querySelector('.direccion').textContent = text;
+    popup.querySelector('input[name=address]').value = text;
+    popup.style.display = 'block';
+  }
+
+  input.addEventListener('input', function () {
+    clearTimeout(timer);
+    popup.style.display = 'none';
+    timer = setTimeout(function () {
+      var current = ++sequence;
+      fetch('/api/sugerencias?q=' + encodeURIComponent(input.value))
+        .then(function (r) { return r.json(); })
+        .then(function (items) { if (current === sequence) show(items); });
+    }, 250);
+  });
+})();`;
+
+function ubicacionPage(user) {
+  return layout('Ubicación', `
+<h1>¿Dónde es?</h1>
+<div class="autocomplete-container">
+  <ng-autocomplete><input type="text" role="combobox" autocomplete="off" placeholder="Lugar de tu solicitud (ej: Uspallata 3160)"></ng-autocomplete>
+  <div id="suggestions" class="suggestions-container"><ul></ul></div>
+</div>
+<div id="popupubicacion" style="display: none">
+  <p class="direccion"></p>
+  <form method="post" action="/ubicacion">
+    <input type="hidden" name="address">
+    <button type="submit" id="popupButton" class="btn btn-primary">Nueva Solicitud</button>
+  </form>
+</div>`, { user, script: UBICACION_SCRIPT });
+}
+
+// The four accordions: each "Siguiente" completes its section and opens the next
+// one; the bottom button is enabled once all are complete and saves the draft
+const SOLICITUD_SCRIPT = `
+(function () {
+  var FORM = window.FORM;
+  var SECTIONS = ['collapseCuestionario', 'collapseDescribirSituacion', 'collapseFotos', 'collapseSolicitudContacto'];
+  var state = { question: 0, answers: [], description: '', photos: [], contact: null, reached: 0 };
+  var submit = document.getElementById('enviar');
+
+  function escape(text) {
+    var div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function open(index) {
+    SECTIONS.forEach(function (id, i) {
+      document.getElementById(id).classList.toggle('show', i === index);
+      var header = document.querySelector('[data-bs-target="#' + id + '"]');
+      header.classList.toggle('collapsed', i !== index);
+      header.setAttribute('aria-expanded', String(i === index));
+    });
+    if (index > state.reached) state.reached = index;
+  }
+
+  function complete(index) {
+    document.getElementById(SECTIONS[index]).closest('.accordion-item').classList.add('completed');
+    if (index + 1 < SECTIONS.length) {
+      open(index + 1);
+    } else {
+      open(-1);
+      submit.disabled = false;
+    }
+  }
+
+  SECTIONS.forEach(function (id, i) {
+    document.querySelector('[data-bs-target="#' + id + '"]').addEventListener('click', function () {
+      if (i <= state.reached) open(i);
+    });
+  });
+
+  // Questionnaire: one question at a time
+  var questionnaire = document.querySelector('#collapseCuestionario .accordion-body');
+
+  function answer() {
+    var question = FORM.questions[state.question];
+    if (question.type === 'radio') {
+      var checked = questionnaire.querySelector('input[type=radio]:checked');
+      return checked ? questionnaire.querySelector('label[for="' + checked.id + '"]').textContent.trim() : null;
+    }
+    if (question.type === 'textarea') {
+      return questionnaire.querySelector('textarea').value.trim() || null;
+    }
+    var date = questionnaire.querySelector('input[type=date]').value;
+    var hours = parseInt(questionnaire.querySelector('.ngb-tp-hour input').value, 10);
+    var minutes = parseInt(questionnaire.querySelector('.ngb-tp-minute input').value, 10);
+    if (!date || !(hours >= 0 && hours <= 23) || !(minutes >= 0 && minutes <= 59)) return null;
+    return date + ' ' + String(hours).padStart(2, '0') + ':' + String(minutes).padStart(2, '0');
+  }
+
+  function renderQuestion() {
+    var question = FORM.questions[state.question];
+    var html = '';
+    if (question.type === 'radio') {
+      html += '<label class="form-label pregunta">' + escape(question.text) + '</label>';
+      question.options.forEach(function (option) {
+        html += '<div class="form-radio"><input type="radio" class="form-radio-input" name="respuesta" id="respuesta' + option.id + '">' +
+          '<label class="form-radio-label" for="respuesta' + option.id + '">' + escape(option.text) + '</label></div>';
+      });
+    } else if (question.type === 'textarea') {
+      html += '<label class="form-label pregunta" for="respuesta-texto">' + escape(question.text) + '</label>' +
+        '<textarea id="respuesta-texto" class="form-control" rows="3" maxlength="500"></textarea>';
+    } else {
+      html += '<label class="form-label pregunta" for="respuesta-fecha">' + escape(question.text) + '</label>' +
+        '<input type="date" id="respuesta-fecha" class="form-control">' +
+        '<ngb-timepicker><fieldset class="ngb-tp">' +
+        '<div class="ngb-tp-input-container ngb-tp-hour"><input type="text" class="ngb-tp-input form-control" maxlength="2" placeholder="HH" aria-label="Horas"></div>' +
+        '<div class="ngb-tp-spacer">:</div>' +
+        '<div class="ngb-tp-input-container ngb-tp-minute"><input type="text" class="ngb-tp-input form-control" maxlength="2" placeholder="MM" aria-label="Minutos"></div>' +
+        '</fieldset></ngb-timepicker>';
+    }
+    html += '<div class="form-actions"><button type="button" class="btn btn-primary" disabled>Siguiente</button></div>';
+    questionnaire.innerHTML = html;
+
+    var next = questionnaire.querySelector('.form-actions button');
+    var update = function () { next.disabled = !answer(); };
+    questionnaire.oninput = update;
+    questionnaire.onchange = update;
+    next.addEventListener('click', function () {
+      var value = answer();
+      if (!value) return;
+      state.answers.push({ question: question.text, answer: value });
+      state.question++;
+      if (state.question < FORM.questions.length) {
+        renderQuestion();
+      } else {
+        questionnaire.innerHTML = '<p>Cuestionario completo.</p>';
+        complete(0);
+      }
+    });
+  }
+
+  // Description (optional)
+  document.querySelector('#collapseDescribirSituacion .form-actions button').addEventListener('click', function () {
+    state.description = document.getElementById('descripcion').value.trim();
+    complete(1);
+  });
+
+  // Photos: every upload adds another #file-upload input, up to 3
+  var photoList = document.querySelector('#collapseFotos .fotos');
+  var photoInputs = document.querySelector('#collapseFotos .inputs-foto');
+  var photosNext = document.querySelector('#collapseFotos .form-actions button');
+
+  function addFileInput() {
+    var input = document.createElement('input');
+    input.type = 'file';
+    input.id = 'file-upload';
+    input.accept = 'image/*';
+    input.addEventListener('change', function () {
+      var file = input.files[0];
+      if (!file) return;
+      state.photos.push({ name: file.name, size: file.size });
+      input.style.display = 'none';
+      var li = document.createElement('li');
+      li.textContent = file.name;
+      photoList.appendChild(li);
+      if (state.photos.length < 3) addFileInput();
+      photosNext.disabled = state.photos.length < FORM.minPhotos;
+    });
+    photoInputs.appendChild(input);
+  }
+
+  addFileInput();
+  photosNext.disabled = FORM.minPhotos > 0;
+  photosNext.addEventListener('click', function () { complete(2); });
+
+  // Contact
+  var contact = document.getElementById('collapseSolicitudContacto');
+  var contactNext = contact.querySelector('.form-actions button');
+  contact.addEventListener('change', function () { contactNext.disabled = !contact.querySelector('input[type=radio]:checked'); });
+  contactNext.addEventListener('click', function () {
+    var checked = contact.querySelector('input[type=radio]:checked');
+    state.contact = contact.querySelector('label[for="' + checked.id + '"]').textContent.trim();
+    complete(3);
+  });
+
+  // Save the draft and go to the review page
+  submit.addEventListener('click', function () {
+    submit.disabled = true;
+    document.querySelector('.errores').innerHTML = '';
+    fetch('/api/solicitudes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ answers: state.answers, description: state.description, photos: state.photos, contact: state.contact })
+    })
+      .then(function (r) { return r.json().then(function (body) { return { ok: r.ok, body: body }; }); })
+      .then(function (response) {
+        if (response.ok) {
+          window.location.href = '/confirmacionSolicitud/' + response.body.id;
+          return;
+        }
+        document.querySelector('.errores').innerHTML = '<div class="alert alert-danger">' + escape(response.body.error) + '</div>';
+        submit.disabled = false;
+      });
+  });
+
+  if (FORM.questions.length > 0) {
+    renderQuestion();
+    open(0);
+  } else {
+    complete(0);
+  }
+})();`;
+
+function accordionItem(id, heading, body) {
+  return `
+  <div class="accordion-item">
+    <h2 class="accordion-header" id="heading${id}">
+      <button type="button" class="accordion-button collapsed" data-bs-toggle="collapse" data-bs-target="#collapse${id}" aria-expanded="false">${heading}</button>
+    </h2>
+    <div id="collapse${id}" class="accordion-collapse collapse">
+      <div class="accordion-body">${body}</div>
+    </div>
+  </div>`;
+}
+
+function solicitudPage(user, prestacion, address) {
+  const minPhotos = prestacion.minPhotos || 0;
+  const form = { questions: prestacion.questions || [], minPhotos };
+  return layout('Nueva solicitud', `
+<app-solicitud-crear>
+<h1>${escapeHtml(prestacion.name)}</h1>
+<p class="ubicacion">${escapeHtml(address)}</p>
+<div class="accordion" id="accordionSolicitud">
+${accordionItem('Cuestionario', '1. Cuestionario', '')}
+${accordionItem('DescribirSituacion', '2. Describí la situación', `
+        <label for="descripcion">Contanos qué pasa (opcional)</label>
+        <textarea id="descripcion" class="form-control" rows="3" maxlength="1000"></textarea>
+        <div class="form-actions"><button type="button" class="btn btn-primary">Siguiente</button></div>`)}
+${accordionItem('Fotos', '3. Fotos', `
+        <p>Podés adjuntar hasta 3 fotos.${minPhotos > 0 ? ` Adjuntá al menos ${minPhotos}.` : ''}</p>
+        <ul class="fotos"></ul>
+        <div class="inputs-foto"></div>
+        <div class="form-actions"><button type="button" class="btn btn-default">Siguiente</button></div>`)}
+${accordionItem('SolicitudContacto', '4. Contacto', `
+        <p>¿Cómo querés recibir las novedades?</p>
+        <div class="form-radio"><input type="radio" class="form-radio-input" name="contacto" id="contacto-email"><label class="form-radio-label" for="contacto-email">Correo electrónico</label></div>
+        <div class="form-radio"><input type="radio" class="form-radio-input" name="contacto" id="contacto-telefono"><label class="form-radio-label" for="contacto-telefono">Teléfono</label></div>
+        <div class="form-actions"><button type="button" class="btn btn-primary" disabled>Siguiente</button></div>`)}
+</div>
+<div class="errores"></div>
+<div class="form-actions mt-50"><button type="button" id="enviar" class="btn btn-primary" disabled>Siguiente</button></div>
+</app-solicitud-crear>`, { user, script: `window.FORM = ${scriptJson(form)};\n${SOLICITUD_SCRIPT}` });
+}
+
+function reviewPage(user, draft) {
+  return layout('Revisá tu solicitud', `
+<h1>Revisá y confirmá tu solicitud</h1>
+<dl class="resumen">
+  <dt>Prestación</dt><dd>${escapeHtml(draft.prestacion)}</dd>
+  <dt>Ubicación</dt><dd>${escapeHtml(draft.address)}</dd>
+${draft.answers.map(a => `  <dt>${escapeHtml(a.question)}</dt><dd>${escapeHtml(a.answer)}</dd>`).join('\n')}
+  <dt>Fotos</dt><dd>${draft.photos.length}</dd>
+  <dt>Contacto</dt><dd>${escapeHtml(draft.contact)}</dd>
+</dl>
+<form method="post" action="/confirmacionSolicitud/${draft.id}">
+  <div class="grupo-botones">
+    <a class="btn btn-secondary" href="/solicitud/nueva">Modificar</a>
+    <a class="btn btn-link" href="/prestaciones">Cancelar</a>
+    <button type="submit" class="btn btn-primary">Confirmar</button>
+  </div>
+</form>`, { user });
+}
+
+function successPage(user, solicitud) {
+  return layout('Solicitud ingresada', `
+<h1>¡Listo!</h1>
+<p>Tu solicitud fue ingresada con éxito.</p>
+<p>Nro de solicitud: <span class="numeroSolicitud">${escapeHtml(solicitud.number)}</span></p>
+<p><a href="/detalleSolicitud/${solicitud.number.replace('/', '&')}?vieneDeMisSolicitudes=false">Ver el detalle</a></p>`, { user });
+}
+
+function detailPage(user, solicitud) {
+  return layout(`Solicitud ${solicitud.number}`, `
+<h1>Solicitud ${escapeHtml(solicitud.number)}</h1>
+<p>${escapeHtml(solicitud.prestacion)} - ${escapeHtml(solicitud.address)}</p>
+<dl><dt>Estado:</dt><dd>${escapeHtml(solicitud.state)}</dd></dl>
+<h3>Historial</h3>
+<table class="historial">
+${solicitud.history.map(h => `  <tr><td>${escapeHtml(h.date)}</td><td>${escapeHtml(h.text)}</td></tr>`).join('\n')}
+</table>`, { user });
+}
+
+function messagePage(user, title, text, status = 200) {
+  return { status, html: layout(title, `<h1>${escapeHtml(title)}</h1>\n<p>${escapeHtml(text)}</p>`, { user }) };
+}
+
+function listen(app, port) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+  });
+}
+
+function closeServer(server) {
+  return new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+}
+
+// Start the site and miBA. Returns { url, mibaUrl, solicitudes(), setSolicitudState(), close() }.
+// port/mibaPort 0 pick free ports; users are the miBA accounts ({ email, password, name }).
+export async function startMockBaColaborativa({ port = 0, mibaPort = 0, users = [DEFAULT_USER], latencyMs = 4000, log = console.log } = {}) {
+  const sessions = new Map(); // token -> { user, code, address }
+  const loginCodes = new Map(); // one-time code miBA hands back -> user
+  const drafts = new Map(); // id -> draft saved by the form, until confirmed
+  const solicitudes = []; // confirmed, in order
+  let nextNumber = FIRST_SOLICITUD_NUMBER;
+  let nextDraft = 1;
+
+  const slow = (req, res, next) => setTimeout(next, latencyMs);
+
+  // --- miBA ---
+  const miba = express();
+  miba.use(express.urlencoded({ extended: false }));
+  const mibaServer = await listen(miba, mibaPort);
+  const mibaUrl = `http://localhost:${mibaServer.address().port}`;
+
+  const mibaLoginPage = (redirectUri, error = null) => `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>miBA</title></head>
+<body>
+<h1>miBA</h1>
+<p><button type="button" id="ingresar-email" class="btn btn-outline">Ingresar con CUIL o email</button></p>
+<form method="post" action="/login" id="formulario" style="display: ${error ? 'block' : 'none'}">
+  ${error ? `<div class="alert alert-danger">${escapeHtml(error)}</div>` : ''}
+  <input type="hidden" name="redirect_uri" value="${escapeHtml(redirectUri)}">
+  <input type="text" name="email" placeholder="CUIL o correo electrónico">
+  <input type="password" name="password" placeholder="Contraseña">
+  <button type="submit" id="login" class="btn btn-primary">Ingresar</button>
+</form>
+<script>
+document.getElementById('ingresar-email').addEventListener('click', function () {
+  document.getElementById('formulario').style.display = 'block';
+});
+</script>
+</body>
+</html>`;
+
+  miba.get('/login', (req, res) => {
+    res.send(mibaLoginPage(req.query.redirect_uri || ''));
+  });
+
+  miba.post('/login', slow, (req, res) => {
+    const { email, password, redirect_uri: redirectUri = '' } = req.body;
+    const user = users.find(u => u.email === email && u.password === password);
+    if (!user || !redirectUri.startsWith(siteUrl)) {
+      log(`[Mock] miBA login rejected for ${email}`);
+      return res.status(401).send(mibaLoginPage(redirectUri, 'El usuario o la contraseña no son correctos.'));
+    }
+    const code = crypto.randomBytes(12).toString('hex');
+    loginCodes.set(code, user);
+    res.redirect(`${redirectUri}?code=${code}`);
+  });
+
+  // --- BA Colaborativa ---
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+  const siteServer = await listen(app, port);
+  const siteUrl = `http://127.0.0.1:${siteServer.address().port}`;
+
+  app.use((req, res, next) => {
+    const token = cookiesOf(req).SESSION;
+    req.session = token ? sessions.get(token) || null : null;
+    next();
+  });
+
+  const requireSession = (req, res, next) => {
+    if (!req.session) return res.redirect('/prestaciones');
+    next();
+  };
+
+  const send = (res, { status, html }) => res.status(status).send(html);
+
+  app.get('/', (req, res) => res.redirect('/prestaciones'));
+
+  app.get('/auth/callback', (req, res) => {
+    const user = loginCodes.get(req.query.code);
+    if (!user) return send(res, messagePage(null, 'Error de ingreso', 'El código de ingreso no es válido.', 401));
+    loginCodes.delete(req.query.code);
+    const token = crypto.randomBytes(16).toString('hex');
+    sessions.set(token, { user, code: null, address: null });
+    log(`[Mock] ${user.email} logged in`);
+    res.setHeader('Set-Cookie', `SESSION=${token}; Path=/; HttpOnly`);
+    res.redirect('/prestaciones');
+  });
+
+  app.get('/prestaciones', (req, res) => {
+    res.send(prestacionesPage(req.session?.user, siteUrl, mibaUrl));
+  });
+
+  app.get('/api/prestaciones/:code', (req, res) => {
+    const prestacion = PRESTACIONES.find(p => p.code === req.params.code);
+    if (!prestacion) return res.status(404).json({ error: 'Prestación inexistente' });
+    res.json({
+      codigo: prestacion.code,
+      nombre: prestacion.name,
+      categoria: prestacion.category,
+      cuestionario: (prestacion.questions || []).map(q => ({ pregunta: q.text, tipo: q.type, opciones: (q.options || []).map(o => ({ texto: o.text })) }))
+    });
+  });
+
+  app.get('/confirmacion/:code', (req, res) => {
+    const prestacion = PRESTACIONES.find(p => p.code === req.params.code);
+    if (!prestacion) return send(res, messagePage(req.session?.user, 'Prestación inexistente', 'La prestación que buscás no existe.', 404));
+    res.send(confirmacionPage(req.session?.user, prestacion));
+  });
+
+  app.post('/confirmacion/:code', slow, requireSession, (req, res) => {
+    if (!PRESTACIONES.some(p => p.code === req.params.code)) return res.redirect('/prestaciones');
+    req.session.code = req.params.code;
+    req.session.address = null;
+    res.redirect('/ubicacion');
+  });
+
+  app.get('/ubicacion', requireSession, (req, res) => {
+    if (!req.session.code) return res.redirect('/prestaciones');
+    res.send(ubicacionPage(req.session.user));
+  });
+
+  app.get('/api/sugerencias', (req, res) => {
+    res.json(suggestionsFor(String(req.query.q || '')));
+  });
+
+  app.post('/ubicacion', slow, requireSession, (req, res) => {
+    if (!req.session.code || !req.body.address) return res.redirect('/ubicacion');
+    req.session.address = req.body.address;
+    res.redirect('/solicitud/nueva');
+  });
+
+  app.get('/solicitud/nueva', requireSession, (req, res) => {
+    const prestacion = PRESTACIONES.find(p => p.code === req.session.code);
+    if (!prestacion || !req.session.address) return res.redirect('/prestaciones');
+    res.send(solicitudPage(req.session.user, prestacion, req.session.address));
+  });
+
+  app.post('/api/solicitudes', slow, (req, res) => {
+    const session = req.session;
+    if (!session) return res.status(401).json({ error: 'Tu sesión expiró. Volvé a ingresar.' });
+    const prestacion = PRESTACIONES.find(p => p.code === session.code);
+    if (!prestacion || !session.address) return res.status(400).json({ error: 'Elegí la prestación y la ubicación.' });
+
+    const { answers = [], description = '', photos = [], contact = null } = req.body || {};
+    const questions = prestacion.questions || [];
+    if (answers.length !== questions.length || answers.some(a => !a?.answer)) {
+      return res.status(422).json({ error: 'Respondé todas las preguntas del cuestionario.' });
+    }
+    if (photos.length < (prestacion.minPhotos || 0)) {
+      return res.status(422).json({ error: `Adjuntá al menos ${prestacion.minPhotos} foto(s).` });
+    }
+    if (!contact) {
+      return res.status(422).json({ error: 'Elegí cómo querés recibir las novedades.' });
+    }
+
+    const id = `borrador-${nextDraft++}`;
+    drafts.set(id, {
+      id, code: prestacion.code, prestacion: prestacion.name, address: session.address,
+      answers, description, photos, contact, email: session.user.email, number: null
+    });
+    res.json({ id });
+  });
+
+  app.get('/confirmacionSolicitud/:id', requireSession, (req, res) => {
+    const draft = drafts.get(req.params.id);
+    if (!draft || draft.email !== req.session.user.email) return res.redirect('/prestaciones');
+    if (draft.number) return res.redirect(`/solicitudIngresada/${draft.id}`);
+    res.send(reviewPage(req.session.user, draft));
+  });
+
+  app.post('/confirmacionSolicitud/:id', slow, requireSession, (req, res) => {
+    const draft = drafts.get(req.params.id);
+    if (!draft || draft.email !== req.session.user.email) return res.redirect('/prestaciones');
+    // A second Confirmar lands on the same solicitud
+    if (!draft.number) {
+      draft.number = `${(nextNumber++).toString().padStart(8, '0')}/${new Date().getFullYear().toString().slice(-2)}`;
+      solicitudes.push({ ...draft, state: 'Abierta', history: [{ date: today(), text: 'Solicitud ingresada' }], createdAt: new Date().toISOString() });
+      log(`[Mock] Solicitud ${draft.number}: ${draft.prestacion} en ${draft.address}`);
+    }
+    res.redirect(`/solicitudIngresada/${draft.id}`);
+  });
+
+  app.get('/solicitudIngresada/:id', requireSession, (req, res) => {
+    const solicitud = solicitudes.find(s => s.id === req.params.id && s.email === req.session.user.email);
+    if (!solicitud) return res.redirect('/prestaciones');
+    res.send(successPage(req.session.user, solicitud));
+  });
+
+  app.get('/detalleSolicitud/:number', requireSession, (req, res) => {
+    const number = req.params.number.replace('&', '/');
+    const solicitud = solicitudes.find(s => s.number === number && s.email === req.session.user.email);
+    if (!solicitud) return send(res, messagePage(req.session.user, 'Solicitud inexistente', `No se encontró la solicitud ${number}.`, 404));
+    res.send(detailPage(req.session.user, solicitud));
+  });
+
+  return {
+    url: siteUrl,
+    mibaUrl,
+    // Confirmed solicitudes: { number, code, prestacion, address, answers, description, photos, contact, email, state, history }
+    solicitudes: () => solicitudes.map(s => ({ ...s })),
+    // Move a solicitud along, as the city would (detalleSolicitud shows it)
+    setSolicitudState(number, state, text = state) {
+      const solicitud = solicitudes.find(s => s.number === number);
+      if (!solicitud) throw new Error(`[Mock] No existe la solicitud ${number}`);
+      solicitud.state = state;
+      solicitud.history.push({ date: today(), text });
+    },
+    close: () => Promise.all([closeServer(siteServer), closeServer(mibaServer)])
+  };
+}
+
+if (IS_MAIN) {
+  const mock = await startMockBaColaborativa({
+    port: parseInt(process.env.MOCK_PORT) || 4100,
+    mibaPort: parseInt(process.env.MOCK_MIBA_PORT) || 4101
+  });
+  console.log(`[Mock] BA Colaborativa: ${mock.url} (miBA: ${mock.mibaUrl})`);
+  console.log(`[Mock] Usuario: ${DEFAULT_USER.email} / ${DEFAULT_USER.password}`);
+}
+
+export default { startMockBaColaborativa, DEFAULT_USER };
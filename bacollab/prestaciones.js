@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Reading the BA Colaborativa catalog out of the JSON its Angular app loads
+// (the prestaciones sync in index.js). The keys the parsers look for are
+// guesses until checked against real payloads: a sync run with
+// PRESTACIONES_CAPTURE_DIR set saves every JSON body it saw, one file per page:
+//   prestaciones.json   the /prestaciones page
+//   <code>.json         the confirmation page of a prestación
+// each as { url, capturedAt, bodies: [...] }. Committed to prestaciones-captures/,
+// they are what test-prestaciones.js parses.
+export const DEFAULT_CAPTURE_DIR = path.join(__dirname, 'prestaciones-captures');
+
+function firstString(obj, keys) {
+  for (const key of keys) {
+    const value = obj[key];
+    if (typeof value === 'string' && value.trim()) return value.trim();
+    if (value && typeof value === 'object' && typeof (value.nombre || value.descripcion) === 'string') return (value.nombre || value.descripcion).trim();
+  }
+  return null;
+}
+
+// Prestaciones found in the page's JSON: objects with a numeric code and a name.
+// The category is their own or that of the object they're listed under.
+export function prestacionesFromJson(value, found = new Map(), parentCategory = null) {
+  if (Array.isArray(value)) {
+    value.forEach(item => prestacionesFromJson(item, found, parentCategory));
+  } else if (value && typeof value === 'object') {
+    const code = String(value.codigo ?? value.code ?? value.idPrestacion ?? value.id ?? '');
+    const name = firstString(value, ['nombre', 'name', 'titulo', 'descripcion']);
+    const category = firstString(value, ['categoria', 'rubro', 'area', 'tema']) || parentCategory;
+    if (/^\d{5,}$/.test(code) && name) {
+      found.set(code, { code, name, category });
+    }
+    Object.values(value).forEach(child => prestacionesFromJson(child, found, category));
+  }
+  return found;
+}
+
+// Questions of a questionnaire found in the confirmation page's JSON
+export function questionsFromJson(value, questions = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => questionsFromJson(item, questions));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (/cuestionario|preguntas/i.test(key) && Array.isArray(child)) {
+        for (const item of child) {
+          if (!item || typeof item !== 'object') continue;
+          const question = firstString(item, ['pregunta', 'texto', 'descripcion', 'label', 'nombre']);
+          if (!question) continue;
+          const options = item.opciones || item.respuestas || item.options || [];
+          questions.push({
+            question,
+            type: firstString(item, ['tipo', 'tipoRespuesta', 'type']),
+            options: Array.isArray(options) ? options.map(o => typeof o === 'string' ? o : firstString(o, ['texto', 'descripcion', 'nombre', 'label'])).filter(Boolean) : []
+          });
+        }
+      } else {
+        questionsFromJson(child, questions);
+      }
+    }
+  }
+  return questions;
+}
+
+// Hash of what the bot depends on in a form; a change means the questionnaire steps
+// may no longer match. null when no questionnaire was found: the shape is unknown,
+// and comparing it would flag (or hide) changes that are really parsing failures.
+export function formShapeHash(form) {
+  if (!form.questions?.length) return null;
+  const shape = {
+    fields: form.fields.map(f => `${f.type}:${f.label}`),
+    questions: form.questions.map(q => ({ question: q.question, type: q.type, options: q.options }))
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(shape)).digest('hex').slice(0, 12);
+}
+
+export function saveCapture(dir, name, capture) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({ ...capture, capturedAt: new Date().toISOString() }, null, 2) + '\n');
+}
+
+export function loadCapture(dir, name) {
+  const file = path.join(dir, `${name}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+export default { DEFAULT_CAPTURE_DIR, prestacionesFromJson, questionsFromJson, formShapeHash, saveCapture, loadCapture };
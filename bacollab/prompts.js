@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { renderPromptTemplate } from './report-types.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Versioned system prompts. system-prompt.txt is still the file you edit, but
+// every distinct content the bot reads is first saved as prompt-versions/vN.txt,
+// so each extraction can be tagged with the version it used and a bad edit can
+// be rolled back (the bot's !prompt command) or a group pinned to a version
+// ("promptVersion" in groups.json) without touching the file. Versions hold the
+// prompt as sent, with the report-types.json sections filled in, so a registry
+// change is a new version too.
+export const PROMPT_FILE = path.join(__dirname, 'system-prompt.txt');
+const VERSIONS_DIR = process.env.PROMPT_VERSIONS_DIR || path.join(__dirname, 'prompt-versions');
+const INDEX_FILE = path.join(VERSIONS_DIR, 'index.json');
+
+const DEFAULT_PROMPT = 'Extract addresses from messages and respond in JSON format.';
+
+let index = null; // { versions: [{ id, hash, createdAt, chars, lines }] }
+
+function hashOf(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+function loadIndex() {
+  if (index) return index;
+  try {
+    index = fs.existsSync(INDEX_FILE) ? JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8')) : { versions: [] };
+  } catch (e) {
+    console.error(`[Prompts] Error leyendo ${INDEX_FILE}: ${e.message}`);
+    index = { versions: [] };
+  }
+  return index;
+}
+
+function saveIndex() {
+  const tmpPath = `${INDEX_FILE}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(index, null, 2));
+  fs.renameSync(tmpPath, INDEX_FILE);
+}
+
+function versionFile(id) {
+  return path.join(VERSIONS_DIR, `${id}.txt`);
+}
+
+// Version for the current content of system-prompt.txt, saving it if it's new.
+// Content identical to an older version (e.g. an edit that was undone) reuses that id.
+function snapshotPromptFile() {
+  let text;
+  try {
+    text = renderPromptTemplate(fs.readFileSync(PROMPT_FILE, 'utf-8'));
+  } catch (e) {
+    console.error('Error loading system-prompt.txt:', e.message);
+    return null;
+  }
+  if (!text.trim()) return null;
+
+  const hash = hashOf(text);
+  const { versions } = loadIndex();
+  const existing = versions.find(v => v.hash === hash);
+  if (existing) return { id: existing.id, text };
+
+  if (!fs.existsSync(VERSIONS_DIR)) {
+    fs.mkdirSync(VERSIONS_DIR, { recursive: true });
+  }
+  const id = `v${versions.length + 1}`;
+  fs.writeFileSync(versionFile(id), text);
+  versions.push({ id, hash, createdAt: new Date().toISOString(), chars: text.length, lines: text.split('\n').length });
+  saveIndex();
+  console.log(`[Prompts] Nueva versión ${id} de system-prompt.txt (${text.length} caracteres)`);
+  return { id, text };
+}
+
+export function hasVersion(id) {
+  return loadIndex().versions.some(v => v.id === id) && fs.existsSync(versionFile(id));
+}
+
+// { id, text } of the prompt to use. `version` (a pin or a rollback) wins over
+// the file; an unknown version is logged and ignored. SYSTEM_PROMPT_FILE reads
+// another file as is, unversioned (test-prompts.js --compare).
+export function getPrompt({ version = null } = {}) {
+  if (process.env.SYSTEM_PROMPT_FILE) {
+    try {
+      return { id: `file:${path.basename(process.env.SYSTEM_PROMPT_FILE)}`, text: renderPromptTemplate(fs.readFileSync(process.env.SYSTEM_PROMPT_FILE, 'utf-8')) };
+    } catch (e) {
+      console.error(`Error loading ${process.env.SYSTEM_PROMPT_FILE}:`, e.message);
+    }
+  }
+
+  const current = snapshotPromptFile();
+  if (version && version !== current?.id) {
+    if (hasVersion(version)) {
+      return { id: version, text: fs.readFileSync(versionFile(version), 'utf-8') };
+    }
+    console.error(`[Prompts] No existe la versión ${version} - uso system-prompt.txt`);
+  }
+  return current || { id: 'default', text: DEFAULT_PROMPT };
+}
+
+// Saved versions, newest first
+export function listVersions() {
+  snapshotPromptFile();
+  return [...loadIndex().versions].reverse();
+}
+
+// Path of a saved version's text, or null (for test-prompts.js --compare v3)
+export function promptVersionFile(id) {
+  return hasVersion(id) ? versionFile(id) : null;
+}
+
+export default { getPrompt, listVersions, hasVersion, promptVersionFile, PROMPT_FILE };
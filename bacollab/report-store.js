@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JournalStore } from './store.js';
+import { isReportType } from './report-types.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Submitted solicitudes, one record per report (replaces reports.csv).
+// The bot is the only writer; index.js opens it read-only for GET /reports.
+export const REPORTS_FILE = path.join(__dirname, 'reports.jsonl');
+export const LEGACY_CSV_FILE = path.join(__dirname, 'reports.csv');
+
+// Split one CSV line, honouring double quotes ("" inside quotes is a literal quote)
+export function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// dd/mm/yyyy -> yyyy-mm-dd
+function csvDateToIso(date) {
+  const match = (date || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return null;
+  return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+// yyyy-mm-dd of a timestamp in local time (the day reports and usage are grouped by)
+export function localIsoDate(timestamp) {
+  const d = new Date(timestamp);
+  return `${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${d.getDate().toString().padStart(2, '0')}`;
+}
+
+// Parse reports.csv in any of its historical layouts:
+//   numero,fecha,"direccion",link,timestamp
+//   numero,fecha,"direccion",reportType,link,timestamp
+//   numero,fecha,"direccion",reportType,patente,link,timestamp
+// Addresses that were written without quotes (and contain commas) are rejoined.
+export function parseReportsCsv(content) {
+  const reports = [];
+  const lines = content.split('\n').slice(1); // Skip header
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const parts = splitCsvLine(line.trim());
+    if (parts.length < 4) continue;
+
+    const solicitudNumber = parts[0].trim() || null;
+    const timestamp = parseInt(parts[parts.length - 1]) || null;
+    let linkIndex = parts.length - 2;
+    while (linkIndex > 2 && !parts[linkIndex].startsWith('http')) linkIndex--;
+    const url = parts[linkIndex].startsWith('http') ? parts[linkIndex] : null;
+
+    // Fields between the date and the link: address, then optional reportType and patente
+    const middle = parts.slice(2, url ? linkIndex : parts.length - 1);
+    let reportType = 'recoleccion';
+    let patente = null;
+    if (middle.length >= 3 && isReportType(middle[middle.length - 2])) {
+      patente = middle.pop() || null;
+      reportType = middle.pop();
+    } else if (middle.length >= 2 && isReportType(middle[middle.length - 1])) {
+      reportType = middle.pop();
+    }
+
+    reports.push({
+      solicitudNumber,
+      date: csvDateToIso(parts[1]) || (timestamp ? localIsoDate(timestamp) : null),
+      address: middle.join(',').trim(),
+      reportType,
+      patente: patente ? patente.toUpperCase() : null,
+      url,
+      timestamp,
+      senderId: null,
+      senderName: null,
+      chatId: null,
+      channel: 'group',
+      source: 'csv'
+    });
+  }
+  return reports;
+}
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+export class ReportStore {
+  // readOnly: open without writing (and without running the CSV migration)
+  constructor({ filePath = REPORTS_FILE, csvPath = LEGACY_CSV_FILE, readOnly = false } = {}) {
+    this.csvPath = csvPath;
+    this.store = new JournalStore(filePath, { readOnly });
+    this.readOnly = readOnly;
+    if (!readOnly) {
+      this.migrateCsv();
+    }
+  }
+
+  // One-time import of reports.csv. The CSV is left in place as a backup.
+  migrateCsv() {
+    if (this.store.get('meta', 'csvMigration') || !fs.existsSync(this.csvPath)) return 0;
+
+    const reports = parseReportsCsv(fs.readFileSync(this.csvPath, 'utf-8'));
+    let imported = 0;
+    reports.forEach((report, i) => {
+      const id = report.solicitudNumber || `csv-${report.timestamp || 0}-${i}`;
+      if (!this.store.has('reports', id)) {
+        this.store.put('reports', id, { id, ...report });
+        imported++;
+      }
+    });
+    this.store.put('meta', 'csvMigration', { file: path.basename(this.csvPath), imported, at: new Date().toISOString() });
+    console.log(`[Reports] Migrated ${imported} report(s) from ${path.basename(this.csvPath)}`);
+    return imported;
+  }
+
+  add(report) {
+    const timestamp = report.timestamp || Date.now();
+    const id = report.solicitudNumber || `bot-${timestamp}-${Math.random().toString(36).slice(2, 6)}`;
+    const record = {
+      id,
+      solicitudNumber: report.solicitudNumber || null,
+      date: localIsoDate(timestamp),
+      address: report.address,
+      reportType: report.reportType || 'recoleccion',
+      patente: report.patente ? report.patente.toUpperCase() : null,
+      url: report.url || null,
+      timestamp,
+      senderId: report.senderId || null,
+      senderName: report.senderName || null,
+      chatId: report.chatId || null,
+      account: report.account || 'default',
+      channel: report.channel || 'group', // 'group' or 'dm'
+      usageRef: report.usageRef || null, // Claude calls billed to this report (usage.js)
+      promptVersion: report.promptVersion || null, // System prompt version that extracted it (prompts.js)
+      source: 'bot'
+    };
+    this.store.put('reports', id, record);
+    return record;
+  }
+
+  get(solicitudNumber) {
+    this.store.refresh();
+    return this.store.get('reports', solicitudNumber);
+  }
+
+  // All reports, oldest first. A read-only store whose writer hasn't migrated
+  // the CSV yet falls back to reading it directly.
+  all() {
+    this.store.refresh();
+    let reports = this.store.values('reports');
+    if (this.readOnly && !this.store.get('meta', 'csvMigration') && fs.existsSync(this.csvPath)) {
+      reports = reports.concat(parseReportsCsv(fs.readFileSync(this.csvPath, 'utf-8')));
+    }
+    return reports.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  }
+
+  // Filters: from/to (YYYY-MM-DD, inclusive), reportType, address (substring,
+  // accent-insensitive), patente, reporter (senderId, phone or name substring),
+  // channel ('group' or 'dm'), account (BA Colaborativa account that filed it)
+  query({ from, to, reportType, address, patente, reporter, channel, account } = {}) {
+    const addressNeedle = address ? normalizeText(address) : null;
+    const reporterNeedle = reporter ? normalizeText(reporter) : null;
+
+    return this.all().filter(r => {
+      if (from && (!r.date || r.date < from)) return false;
+      if (to && (!r.date || r.date > to)) return false;
+      if (reportType && r.reportType !== reportType) return false;
+      if (channel && (r.channel || 'group') !== channel) return false;
+      if (account && (r.account || 'default') !== account) return false;
+      if (patente && (r.patente || '') !== patente.toUpperCase().replace(/\s/g, '')) return false;
+      if (addressNeedle && !normalizeText(r.address).includes(addressNeedle)) return false;
+      if (reporterNeedle) {
+        const haystack = normalizeText(`${r.senderId || ''} ${r.senderName || ''}`);
+        if (!haystack.includes(reporterNeedle)) return false;
+      }
+      return true;
+    });
+  }
+}
+
+export default ReportStore;
@@ -0,0 +1,188 @@
+// The registry and the site URL are read at import, so .env has to be loaded first
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Registry of the BA Colaborativa prestaciones the bot can report (report-types.json).
+// Each entry has the prestación code, the labels used in messages, tweets and
+// logs, the fields it requires, how many photos it needs, how its questionnaire
+// is answered, and its section of the system prompt ({{TIPOS_DE_REPORTE}} in
+// system-prompt.txt). Adding a prestación is a new entry in the file.
+//
+// photos: { "required": true, "min": 2, "question": "..." } - the bot asks for the
+// missing ones before filing; without "required" the type needs none.
+//
+// questionnaire steps, tried in order against the visible question (index.js):
+//   { "field": "containerType", "control": "radio", "match": ["tipo de contenedor"], "answers": { "verde": "reciclables" }, "default": "negro" }
+//   { "field": "schedule", "control": "textarea", "default": "No especificado" }   // no "match": any empty textarea
+//   { "field": "infractionTime", "control": "time" }                               // "HH:MM"
+// A textarea step whose field has no value and no default fails the submission
+// with "error". Date inputs are filled with today and Sí/No questions answered "No"
+// for every type.
+const REPORT_TYPES_FILE = process.env.REPORT_TYPES_FILE || path.join(__dirname, 'report-types.json');
+// The site every URL is built on; tests point it at the local replica (mock-bacolaborativa.js)
+export const BA_COLABORATIVA_URL = (process.env.BA_COLABORATIVA_URL || 'https://bacolaborativa.buenosaires.gob.ar').replace(/\/+$/, '');
+const CONFIRMATION_URL = `${BA_COLABORATIVA_URL}/confirmacion/`;
+const CONTROLS = ['radio', 'textarea', 'time'];
+
+export const DEFAULT_REPORT_TYPE = 'recoleccion';
+
+function validate(registry) {
+  const errors = [];
+  const seen = new Set();
+  for (const def of registry.types || []) {
+    const where = def.type || '(sin type)';
+    if (!def.type || !/^[a-z_]+$/.test(def.type)) errors.push(`${where}: "type" debe ser minúsculas y guiones bajos`);
+    if (seen.has(def.type)) errors.push(`${where}: repetido`);
+    seen.add(def.type);
+    if (!/^\d+$/.test(def.code || '')) errors.push(`${where}: falta el código de prestación`);
+    for (const key of ['label', 'description', 'shortLabel']) {
+      if (!def[key]) errors.push(`${where}: falta "${key}"`);
+    }
+    for (const field of Object.keys(def.fields || {})) {
+      if (!registry.fields?.[field]) errors.push(`${where}: campo desconocido "${field}"`);
+    }
+    if (def.photos?.required && def.photos.min !== undefined && !(def.photos.min >= 1)) {
+      errors.push(`${where}: "photos.min" debe ser al menos 1 si las fotos son obligatorias`);
+    }
+    for (const step of def.questionnaire || []) {
+      if (!CONTROLS.includes(step.control)) errors.push(`${where}: control desconocido "${step.control}"`);
+      if (step.control === 'radio' && !step.answers) errors.push(`${where}: la pregunta de ${step.field} no tiene "answers"`);
+    }
+  }
+  if (!seen.has(DEFAULT_REPORT_TYPE)) errors.push(`falta el tipo por defecto "${DEFAULT_REPORT_TYPE}"`);
+  return errors;
+}
+
+function loadRegistry() {
+  const registry = JSON.parse(fs.readFileSync(REPORT_TYPES_FILE, 'utf-8'));
+  const errors = validate(registry);
+  if (errors.length > 0) {
+    throw new Error(`[ReportTypes] ${path.basename(REPORT_TYPES_FILE)} no es válido:\n  ${errors.join('\n  ')}`);
+  }
+  return registry;
+}
+
+// Read once: the extraction schema and the group defaults are built from it at startup
+const registry = loadRegistry();
+const byType = new Map(registry.types.map(def => [def.type, def]));
+
+export const REPORT_TYPES = registry.types.map(def => def.type);
+
+export function isReportType(type) {
+  return byType.has(type);
+}
+
+// Entry for a type; unknown types get the default one, like the form always did
+export function getReportType(type) {
+  return byType.get(type) || byType.get(DEFAULT_REPORT_TYPE);
+}
+
+// label: "Mejora de barrido" (logs, form), description: "mejora de barrido" (messages, tweets),
+// shortLabel: "barrido" (duplicates), photoDescription: what the photo showed (message history)
+export function reportTypeLabel(type, kind = 'label') {
+  const def = getReportType(type);
+  return def[kind] || def.label;
+}
+
+export function confirmationUrl(code) {
+  return `${CONFIRMATION_URL}${code}`;
+}
+
+export function prestacionUrl(type) {
+  return confirmationUrl(getReportType(type).code);
+}
+
+// Type configured for a prestación code, or null (the catalog sync in index.js)
+export function reportTypeForCode(code) {
+  return registry.types.find(def => def.code === code)?.type || null;
+}
+
+export function requiresField(type, field) {
+  return Boolean(byType.get(type)?.fields?.[field]?.required);
+}
+
+// The question for a missing field, with {address} filled in; null if the type has none
+export function fieldQuestion(type, field, { address = '' } = {}) {
+  const question = byType.get(type)?.fields?.[field]?.question;
+  return question ? question.replace(/\{address\}/g, address) : null;
+}
+
+export function fieldDefault(type, field) {
+  return byType.get(type)?.fields?.[field]?.default ?? null;
+}
+
+// Allowed values of a field (e.g. situationType), or null for free text
+export function fieldValues(field) {
+  return registry.fields[field]?.values || null;
+}
+
+// Types that use a field, for "solo para ..." descriptions
+export function typesWithField(field) {
+  return registry.types.filter(def => def.fields?.[field]).map(def => def.type);
+}
+
+// Photos a type needs before it's filed: photos.min (1 if unset) when they're required
+export function minPhotos(type) {
+  const photos = byType.get(type)?.photos;
+  return photos?.required ? photos.min || 1 : 0;
+}
+
+// What the bot asks when a report is missing photos, with {address} filled in
+export function photoQuestion(type, { address = '' } = {}) {
+  const def = getReportType(type);
+  const min = minPhotos(type);
+  const question = def.photos?.question ||
+    `Para reportar ${def.description} en {address} necesito ${min > 1 ? `${min} fotos. ¿Podés mandarlas?` : 'una foto. ¿Podés mandarla?'}`;
+  return question.replace(/\{address\}/g, address);
+}
+
+export function questionnaireFor(type) {
+  return getReportType(type).questionnaire || [];
+}
+
+// System prompt of the reportType task (the user's answer to "¿qué tipo de reporte es?")
+export function classifierPrompt() {
+  return `Clasificá la respuesta del usuario en UNO de estos tipos de reporte:
+${registry.types.map(def => `- ${def.type}: ${def.classifier}`).join('\n')}
+
+IMPORTANTE: Si el usuario dice "NO es X" o "no manteros", entonces NO es ese tipo.
+${registry.types.filter(def => def.classifierRule).map(def => `${def.classifierRule} → ${def.type}`).join('\n')}
+
+Respondé SOLO con una de estas palabras: ${REPORT_TYPES.join(', ')}`;
+}
+
+// The numbered list of types that replaces {{TIPOS_DE_REPORTE}} in the system prompt
+function promptSection() {
+  return registry.types.map((def, i) => [
+    `${i + 1}. reportType: "${def.type}" (código: ${def.code}) - ${def.prompt?.title || def.label}:`,
+    ...(def.prompt?.lines || []).map(line => line ? `   ${line}` : '')
+  ].join('\n')).join('\n\n');
+}
+
+// The per-type fields of a request in the prompt's FORMATO ({{CAMPOS_POR_TIPO}}):
+// "situationType": "obstruccion|abandono|deterioro - solo para puesto_diarios y puesto_flores"
+function requestFieldsFormat() {
+  return Object.entries(registry.fields).map(([field, def]) => {
+    const example = def.values ? def.values.join('|') : def.example || '...';
+    return `"${field}": "${example} - solo para ${typesWithField(field).join(' y ')}"`;
+  }).join(', ');
+}
+
+// Fill the registry placeholders of a system prompt (prompts.js)
+export function renderPromptTemplate(text) {
+  return text
+    .replace('{{TIPOS_DE_REPORTE}}', () => promptSection())
+    .replace('{{LISTA_TIPOS}}', () => REPORT_TYPES.join('|'))
+    .replace('{{CAMPOS_POR_TIPO}}', () => requestFieldsFormat());
+}
+
+export default {
+  BA_COLABORATIVA_URL, REPORT_TYPES, DEFAULT_REPORT_TYPE, isReportType, getReportType, reportTypeLabel, prestacionUrl, confirmationUrl, reportTypeForCode,
+  requiresField, fieldQuestion, fieldDefault, fieldValues, typesWithField, minPhotos, photoQuestion, questionnaireFor,
+  classifierPrompt, renderPromptTemplate
+};
@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+
+// Append-only JSONL journal. Every change is one line:
+//   {"op":"put","collection":"queue","id":"...","data":{...},"ts":1700000000000}
+//   {"op":"del","collection":"queue","id":"...","ts":1700000000000}
+// State is rebuilt on startup by replaying the file, so a crash (or pkill -9)
+// loses at most the line being written. compact() rewrites the file with one
+// "put" per live record once enough superseded lines pile up.
+
+const DEFAULT_COMPACT_AFTER = 500;
+
+export class JournalStore {
+  // readOnly: for processes that only read a journal another process writes
+  constructor(filePath, { compactAfter = DEFAULT_COMPACT_AFTER, readOnly = false } = {}) {
+    this.filePath = filePath;
+    this.compactAfter = compactAfter;
+    this.readOnly = readOnly;
+    this.collections = new Map(); // collection -> Map(id -> data)
+    this.offset = 0; // Bytes of the journal already applied
+    this.staleLines = 0; // Lines superseded since last compaction
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.load();
+  }
+
+  load() {
+    this.collections.clear();
+    this.offset = 0;
+    this.staleLines = 0;
+    this.refresh();
+
+    // Drop a line cut off by a crash so the next append starts on a clean line
+    if (!this.readOnly && fs.existsSync(this.filePath) && fs.statSync(this.filePath).size > this.offset) {
+      console.log(`[Store] Truncating incomplete last line of ${path.basename(this.filePath)}`);
+      fs.truncateSync(this.filePath, this.offset);
+    }
+  }
+
+  // Apply lines appended since the last read (by this or another process).
+  // Readers in other processes call this before querying.
+  refresh() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const size = fs.statSync(this.filePath).size;
+    if (size < this.offset) {
+      // File was compacted by its writer - replay from scratch
+      this.collections.clear();
+      this.offset = 0;
+    }
+    if (size === this.offset) return;
+
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(size - this.offset);
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+
+      // Only consume complete lines - a trailing partial line is either being
+      // written right now or was cut off by a crash
+      const lastNewline = buffer.lastIndexOf(0x0a);
+      if (lastNewline === -1) return;
+
+      const lines = buffer.subarray(0, lastNewline).toString('utf-8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          this.apply(JSON.parse(line));
+        } catch (e) {
+          console.error(`[Store] Skipping corrupt line in ${path.basename(this.filePath)}: ${e.message}`);
+        }
+      }
+      this.offset += lastNewline + 1;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  apply(record) {
+    const records = this.collection(record.collection);
+    if (records.has(record.id)) this.staleLines++;
+    if (record.op === 'put') {
+      records.set(record.id, record.data);
+    } else if (record.op === 'del') {
+      records.delete(record.id);
+      this.staleLines++;
+    }
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  append(record) {
+    if (this.readOnly) {
+      throw new Error(`Journal ${path.basename(this.filePath)} is read-only in this process`);
+    }
+    const line = JSON.stringify(record) + '\n';
+    // Catch up with other writers first so our offset stays consistent
+    this.refresh();
+    fs.appendFileSync(this.filePath, line);
+    this.offset += Buffer.byteLength(line);
+    this.apply(record);
+
+    if (this.staleLines >= this.compactAfter) {
+      this.compact();
+    }
+  }
+
+  put(collection, id, data) {
+    this.append({ op: 'put', collection, id: String(id), data, ts: Date.now() });
+  }
+
+  remove(collection, id) {
+    if (!this.collection(collection).has(String(id))) return false;
+    this.append({ op: 'del', collection, id: String(id), ts: Date.now() });
+    return true;
+  }
+
+  get(collection, id) {
+    return this.collection(collection).get(String(id)) ?? null;
+  }
+
+  has(collection, id) {
+    return this.collection(collection).has(String(id));
+  }
+
+  entries(collection) {
+    return [...this.collection(collection).entries()];
+  }
+
+  values(collection) {
+    return [...this.collection(collection).values()];
+  }
+
+  // Rewrite the journal with only live records (atomic rename). Catches up first,
+  // or lines another writer appended since our last read would be dropped.
+  compact() {
+    this.refresh();
+    const tmpPath = `${this.filePath}.tmp`;
+    const now = Date.now();
+    const lines = [];
+    for (const [collection, records] of this.collections) {
+      for (const [id, data] of records) {
+        lines.push(JSON.stringify({ op: 'put', collection, id, data, ts: now }));
+      }
+    }
+    const content = lines.length > 0 ? lines.join('\n') + '\n' : '';
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, this.filePath);
+    this.offset = Buffer.byteLength(content);
+    this.staleLines = 0;
+  }
+}
+
+// Map that writes every set/delete through to a JournalStore collection.
+// Values are passed through `serialize` first, so live objects (chats, timers)
+// can be stripped. Call persist(key) after mutating a stored value in place.
+export class JournaledMap extends Map {
+  constructor(store, collection, serialize = value => value) {
+    super();
+    this.store = store;
+    this.collectionName = collection;
+    this.serialize = serialize;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.store.put(this.collectionName, key, this.serialize(value));
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) {
+      this.store.remove(this.collectionName, key);
+    }
+    return existed;
+  }
+
+  clear() {
+    for (const key of [...this.keys()]) {
+      this.delete(key);
+    }
+  }
+
+  // Re-journal a value that was mutated in place
+  persist(key) {
+    if (super.has(key)) {
+      this.store.put(this.collectionName, key, this.serialize(super.get(key)));
+    }
+  }
+
+  // Load a value recovered from the journal without writing it back
+  restore(key, value) {
+    super.set(key, value);
+  }
+}
+
+export default { JournalStore, JournaledMap };
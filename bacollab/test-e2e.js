@@ -0,0 +1,289 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startMockBaColaborativa, DEFAULT_USER } from './mock-bacolaborativa.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// End-to-end runner: starts the local BA Colaborativa replica (mock-bacolaborativa.js),
+// runs the API server against it and submits each case through POST /solicitud,
+// so login, submitSolicitud and the accordions are exercised by a real browser
+// without network and without filing real solicitudes.
+//
+//   node test-e2e.js
+//   node test-e2e.js --filter vehiculo --verbose     # --verbose shows the server's log
+//
+// A case passes when the job ends in the expected state and the solicitud the
+// replica recorded has the expected prestación, address, answers and photos
+// (answers are matched by substring, in order). A dry run passes when nothing
+// was confirmed and the job's fields have the expected answers. The API server uses the fake LLM
+// provider with no fixtures, so a run that needs Claude fails instead of billing.
+
+const API_PORT = parseInt(process.env.E2E_API_PORT) || 3990;
+const API_URL = `http://127.0.0.1:${API_PORT}`;
+const STARTUP_TIMEOUT_MS = 30000;
+const CASE_TIMEOUT_MS = 5 * 60 * 1000;
+
+const CASES = [
+  {
+    name: 'recoleccion: contenedor verde',
+    request: { address: 'Uspallata 3160', reportType: 'recoleccion', containerType: 'verde' },
+    expected: { state: 'done', code: '1462821007742', answers: ['reciclables', 'No'] }
+  },
+  {
+    name: 'barrido: solo la pregunta de información adicional',
+    request: { address: 'Pasteur 415', reportType: 'barrido' },
+    expected: { state: 'done', code: '096059', answers: ['No'] }
+  },
+  {
+    name: 'manteros: horario en el cuestionario',
+    request: { address: 'Florida 100', reportType: 'manteros', schedule: 'Todos los días de 10 a 18' },
+    expected: { state: 'done', code: '1334597891562', answers: ['Todos los días de 10 a 18', 'No'] }
+  },
+  {
+    name: 'puesto_diarios: abandono con foto',
+    request: { address: 'Corrientes 1500', reportType: 'puesto_diarios', situationType: 'abandono', photos: 1 },
+    expected: { state: 'done', code: '1408631404212', answers: ['abandono', 'No'], photos: 1 }
+  },
+  {
+    name: 'vehiculo_mal_estacionado: patente, hora y dos fotos',
+    request: { address: 'Callao 800', reportType: 'vehiculo_mal_estacionado', patente: 'AB123CD', infractionTime: '14:30', photos: 2 },
+    expected: { state: 'done', code: '1476814313550', answers: ['AB123CD', '14:30'], photos: 2 }
+  },
+  {
+    name: 'cuentas: round-robin registra la cuenta que la ingresó',
+    request: { address: 'Rivadavia 4000', reportType: 'barrido', account: 'round-robin' },
+    expected: { state: 'done', code: '096059', answers: ['No'], account: 'segunda' }
+  },
+  {
+    name: 'puesto_flores: sin foto no se envía',
+    request: { address: 'Santa Fe 2000', reportType: 'puesto_flores' },
+    expected: { state: 'failed', error: 'requiere foto' }
+  },
+  {
+    name: 'dry run: recorre el formulario sin confirmar',
+    request: { address: 'Uspallata 3160', reportType: 'recoleccion', containerType: 'verde', dryRun: true },
+    expected: { state: 'done', dryRun: true, answers: ['reciclables', 'No'] }
+  },
+  {
+    name: 'login: contraseña incorrecta',
+    request: { address: 'Rivadavia 5000', reportType: 'barrido', account: 'intruso' },
+    expected: { state: 'failed', error: 'Login failed' }
+  }
+];
+
+// Photo for the uploads (the replica only records name and size)
+const PHOTO = Buffer.from(
+  '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA=',
+  'base64'
+);
+
+function parseArgs(argv) {
+  const args = { filter: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--filter') args.filter = argv[++i];
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+  return args;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function normalize(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function startApiServer(mock, workDir, verbose) {
+  const fixturesFile = path.join(workDir, 'llm-fixtures.jsonl');
+  fs.writeFileSync(fixturesFile, '');
+  // cwd is the work dir: index.js writes its debug screenshots there and reads no .env;
+  // every file it keeps (log, journals, sessions) is pointed there too
+  return spawn(process.execPath, [path.join(__dirname, 'index.js')], {
+    cwd: workDir,
+    stdio: verbose ? 'inherit' : 'ignore',
+    env: {
+      ...process.env,
+      PORT: String(API_PORT),
+      BA_COLABORATIVA_URL: mock.url,
+      EMAIL: DEFAULT_USER.email,
+      PASSWORD: DEFAULT_USER.password,
+      EMAIL_SEGUNDA: DEFAULT_USER.email,
+      PASSWORD_SEGUNDA: DEFAULT_USER.password,
+      EMAIL_INTRUSO: DEFAULT_USER.email,
+      PASSWORD_INTRUSO: 'otra-clave',
+      ROUND_ROBIN_ACCOUNTS: 'segunda',
+      LOG_FILE: path.join(workDir, 'index.log'),
+      JOBS_FILE: path.join(workDir, 'jobs.jsonl'),
+      STATUS_FILE: path.join(workDir, 'solicitud-status.jsonl'),
+      PRESTACIONES_FILE: path.join(workDir, 'prestaciones.jsonl'),
+      DRY_RUN_DIR: path.join(workDir, 'dry-runs'),
+      MIBA_SESSIONS_FILE: path.join(workDir, 'miba-sessions.jsonl'),
+      STATUS_POLL_INTERVAL_MS: '0',
+      PRESTACIONES_SYNC_INTERVAL_MS: '0',
+      LLM_PROVIDER: 'fake',
+      LLM_FIXTURES_FILE: fixturesFile,
+      LLM_USAGE_FILE: path.join(workDir, 'llm-usage.jsonl')
+    }
+  });
+}
+
+async function waitForApi(server) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error(`El servidor terminó al arrancar (código ${server.exitCode})`);
+    try {
+      const response = await fetch(`${API_URL}/health`);
+      if (response.ok) return;
+    } catch (e) {
+      // Not listening yet
+    }
+    await delay(500);
+  }
+  throw new Error(`El servidor no respondió en ${STARTUP_TIMEOUT_MS / 1000}s`);
+}
+
+function stopApiServer(server) {
+  if (server.exitCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    const timer = setTimeout(() => server.kill('SIGKILL'), 10000);
+    server.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    // index.js closes the browser on SIGINT
+    server.kill('SIGINT');
+  });
+}
+
+async function submit(testCase, workDir, index) {
+  const { photos = 0, ...request } = testCase.request;
+  const photoPaths = [];
+  for (let i = 0; i < photos; i++) {
+    const photoPath = path.join(workDir, `foto-${index}-${i + 1}.jpg`);
+    fs.writeFileSync(photoPath, PHOTO);
+    photoPaths.push(photoPath);
+  }
+
+  const response = await fetch(`${API_URL}/solicitud`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...request, photos: photoPaths, wait: true }),
+    signal: AbortSignal.timeout(CASE_TIMEOUT_MS)
+  });
+  const body = await response.json();
+  if (!body.jobId) return { state: 'rejected', error: body.error || `HTTP ${response.status}` };
+  return (await fetch(`${API_URL}/solicitud/jobs/${body.jobId}`)).json();
+}
+
+// Same count, each expected answer a substring of the actual one at its position
+function sameAnswers(expected, actual) {
+  return actual.length === expected.length && expected.every((a, i) => normalize(actual[i]).includes(normalize(a)));
+}
+
+function checkCase(testCase, job, created) {
+  const { expected, request } = testCase;
+  const problems = [];
+
+  if (job.state !== expected.state) {
+    problems.push(`estado: esperaba ${expected.state}, vino ${job.state}${job.error ? ` (${job.error})` : ''}`);
+  }
+  if (expected.error && !normalize(job.error).includes(normalize(expected.error))) {
+    problems.push(`error: esperaba "${expected.error}", vino "${job.error || ''}"`);
+  }
+  if (expected.account && job.account !== expected.account) {
+    problems.push(`cuenta: esperaba ${expected.account}, vino ${job.account}`);
+  }
+
+  if (expected.dryRun) {
+    if (created.length > 0) problems.push(`el dry run ingresó ${created.map(s => s.number).join(', ')}`);
+    if (!job.result?.dryRun) problems.push('el job no volvió como dry run');
+    const answers = (job.result?.fields?.answers || []).map(a => a.answer);
+    if (!sameAnswers(expected.answers, answers)) {
+      problems.push(`respuestas: esperaba ${JSON.stringify(expected.answers)}, vino ${JSON.stringify(answers)}`);
+    }
+    return problems;
+  }
+  if (expected.state !== 'done') {
+    if (created.length > 0) problems.push(`se ingresó ${created.map(s => s.number).join(', ')} igual`);
+    return problems;
+  }
+  if (created.length !== 1) {
+    problems.push(`esperaba 1 solicitud en el sitio, hay ${created.length}`);
+    return problems;
+  }
+
+  const [solicitud] = created;
+  if (job.solicitudNumber !== solicitud.number) {
+    problems.push(`número: el sitio dio ${solicitud.number}, el job tiene ${job.solicitudNumber}`);
+  }
+  if (solicitud.code !== expected.code) {
+    problems.push(`prestación: esperaba ${expected.code}, vino ${solicitud.code} (${solicitud.prestacion})`);
+  }
+  const [street, number] = [request.address.replace(/\s*\d+$/, ''), request.address.match(/\d+$/)?.[0]];
+  const address = normalize(solicitud.address);
+  if (!address.includes(normalize(street)) || (number && !address.split(/[\s,]+/).includes(number))) {
+    problems.push(`dirección: esperaba ${request.address}, vino ${solicitud.address}`);
+  }
+  const answers = solicitud.answers.map(a => a.answer);
+  if (!sameAnswers(expected.answers, answers)) {
+    problems.push(`respuestas: esperaba ${JSON.stringify(expected.answers)}, vino ${JSON.stringify(answers)}`);
+  }
+  if (solicitud.photos.length !== (expected.photos || 0)) {
+    problems.push(`fotos: esperaba ${expected.photos || 0}, vino ${solicitud.photos.length}`);
+  }
+  return problems;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cases = CASES.filter(c => !args.filter || normalize(c.name).includes(normalize(args.filter)));
+  if (cases.length === 0) {
+    console.log('Ningún caso coincide con el filtro');
+    return 0;
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bacollab-e2e-'));
+  const mock = await startMockBaColaborativa({ log: args.verbose ? console.log : () => {} });
+  const server = startApiServer(mock, workDir, args.verbose);
+  console.log(`=== ${cases.length} caso(s) contra ${mock.url} ===`);
+
+  const results = [];
+  try {
+    await waitForApi(server);
+    for (let i = 0; i < cases.length; i++) {
+      const testCase = cases[i];
+      const before = mock.solicitudes().length;
+      const startedAt = Date.now();
+      let problems;
+      try {
+        const job = await submit(testCase, workDir, i);
+        problems = checkCase(testCase, job, mock.solicitudes().slice(before));
+      } catch (e) {
+        problems = [`ERROR: ${e.message}`];
+      }
+      results.push({ name: testCase.name, passed: problems.length === 0 });
+      const seconds = Math.round((Date.now() - startedAt) / 1000);
+      console.log(`${problems.length === 0 ? '✓' : '✗'} ${testCase.name} (${seconds}s)${problems.length ? `\n    ${problems.join('\n    ')}` : ''}`);
+    }
+  } finally {
+    await stopApiServer(server);
+    await mock.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  const passed = results.filter(r => r.passed).length;
+  console.log(`\n${passed}/${cases.length} casos OK`);
+  return passed === cases.length ? 0 : 1;
+}
+
+main().then(code => process.exit(code)).catch(e => {
+  console.error(e.message);
+  process.exit(2);
+});
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_CAPTURE_DIR, prestacionesFromJson, questionsFromJson, loadCapture } from './prestaciones.js';
+import { REPORT_TYPES, getReportType, questionnaireFor } from './report-types.js';
+
+// Checks the catalog parsers (prestaciones.js) against payloads captured from the
+// real site, instead of the replica's JSON, which was written to fit them.
+//
+//   node test-prestaciones.js                       # prestaciones-captures/
+//   node test-prestaciones.js --dir otra-captura
+//
+// To capture: run the API server with PRESTACIONES_CAPTURE_DIR=prestaciones-captures
+// and POST /prestaciones/sync, then commit the files. For every configured report
+// type it checks that its form has a questionnaire and that each questionnaire
+// step with "match" keywords (report-types.json) matches one of the questions.
+// The catalog is only reported: the sync also reads it from the page's links.
+
+function parseArgs(argv) {
+  const args = { dir: DEFAULT_CAPTURE_DIR };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir') args.dir = path.resolve(argv[++i]);
+    else throw new Error(`Argumento desconocido: ${argv[i]}`);
+  }
+  return args;
+}
+
+function checkType(dir, type) {
+  const { code } = getReportType(type);
+  const problems = [];
+
+  const capture = loadCapture(dir, code);
+  if (!capture) {
+    return { type, code, skipped: true, problems };
+  }
+  const questions = questionsFromJson(capture.bodies);
+  if (questions.length === 0) {
+    problems.push('no se encontró el cuestionario (la forma quedaría "unknown")');
+  }
+  const text = questions.flatMap(q => [q.question, ...q.options]).join('\n').toLowerCase();
+  for (const step of questionnaireFor(type)) {
+    if (step.match && questions.length > 0 && !step.match.some(keyword => text.includes(keyword.toLowerCase()))) {
+      problems.push(`ninguna pregunta coincide con el paso de ${step.field} (${step.match.join(', ')})`);
+    }
+  }
+  return { type, code, skipped: false, questions: questions.length, problems };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!fs.existsSync(args.dir) || fs.readdirSync(args.dir).filter(f => f.endsWith('.json')).length === 0) {
+    console.log(`No hay capturas en ${args.dir} (ver PRESTACIONES_CAPTURE_DIR en prestaciones.js)`);
+    return 1;
+  }
+
+  const listing = loadCapture(args.dir, 'prestaciones');
+  const catalog = listing ? prestacionesFromJson(listing.bodies) : null;
+  if (catalog) {
+    const configured = REPORT_TYPES.filter(type => catalog.has(getReportType(type).code)).length;
+    console.log(`Catálogo (${listing.capturedAt}): ${catalog.size} prestaciones en el JSON, ${configured}/${REPORT_TYPES.length} de los tipos configurados`);
+  } else {
+    console.log('Sin captura de /prestaciones: no se chequea el catálogo');
+  }
+
+  const results = REPORT_TYPES.map(type => checkType(args.dir, type));
+  for (const result of results) {
+    const mark = result.problems.length > 0 ? '✗' : (result.skipped ? '-' : '✓');
+    const detail = result.skipped ? 'sin captura' : `${result.questions} pregunta(s)`;
+    console.log(`${mark} ${result.type} (${result.code}): ${detail}${result.problems.length ? `\n    ${result.problems.join('\n    ')}` : ''}`);
+  }
+
+  const checked = results.filter(r => !r.skipped).length;
+  const failed = results.filter(r => r.problems.length > 0).length;
+  console.log(`\n${checked}/${results.length} tipos con captura, ${failed} con problemas`);
+  return failed > 0 || checked === 0 ? 1 : 0;
+}
+
+try {
+  process.exit(main());
+} catch (e) {
+  console.error(e.message);
+  process.exit(2);
+}
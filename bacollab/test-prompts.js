@@ -0,0 +1,253 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { addressKey } from './gazetteer.js';
+import { promptVersionFile } from './prompts.js';
+import { resetFakeProvider } from './llm.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Prompt regression runner: feeds every case of the corpus through the bot's
+// extractRequests and scores reportType / address / patente / msgIndex.
+//
+//   node test-prompts.js                          # current system-prompt.txt
+//   node test-prompts.js --prompt otro-prompt.txt
+//   node test-prompts.js --compare otro-prompt.txt   # system-prompt.txt vs otro, with diffs
+//   node test-prompts.js --prompt v3 --compare v4    # saved versions (prompt-versions/)
+//   node test-prompts.js --filter vehiculo --verbose
+//
+// Each case is a JSON file in prompt-corpus/ (photos relative to the file):
+//   { "name": "...", "messages": [{ "text": "...", "photo": "fotos/x.jpg" }],
+//     "expected": [{ "reportType": "barrido", "address": "Uriburu 577", "msgIndex": 1 }],
+//     "expectQuestion": false }
+// Only the fields an expected request lists are scored. "expectQuestion": true
+// means the bot should ask instead of reporting. With LLM_PROVIDER=fake the
+// runner replays recorded answers (see llm.js), which checks the pipeline, not the prompt.
+// The photos in prompt-corpus/fotos/ are drawn stand-ins; real WhatsApp photos
+// of the same scenes make the scores against the API more meaningful.
+
+const DEFAULT_CORPUS_DIR = path.join(__dirname, 'prompt-corpus');
+const DEFAULT_PROMPT_FILE = path.join(__dirname, 'system-prompt.txt');
+const SCORED_FIELDS = ['reportType', 'address', 'patente', 'msgIndex'];
+
+function parseArgs(argv) {
+  const args = { corpus: DEFAULT_CORPUS_DIR, prompt: DEFAULT_PROMPT_FILE, compare: null, filter: null, verbose: false, json: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--verbose') args.verbose = true;
+    else if (['--corpus', '--prompt', '--compare', '--filter', '--json'].includes(arg)) args[arg.slice(2)] = argv[++i];
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+  return args;
+}
+
+// A file path, or a saved version id like "v3"
+function resolvePromptFile(ref) {
+  return promptVersionFile(ref) || path.resolve(ref);
+}
+
+function loadCorpus(dir, filter) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`No existe el corpus ${dir}`);
+  }
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => {
+      const testCase = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'));
+      return { ...testCase, id: path.basename(f, '.json'), dir };
+    })
+    .filter(c => !filter || c.id.includes(filter) || (c.name || '').toLowerCase().includes(filter.toLowerCase()));
+}
+
+// The shape processPendingMessages hands to extractRequests
+function toPending(testCase, index) {
+  const baseTime = Date.now() - 60000;
+  return {
+    senderName: testCase.senderName || 'Vecino de prueba',
+    chatId: testCase.chatId || null,
+    messages: testCase.messages.map((m, i) => ({
+      text: m.text || '',
+      photo: m.photo ? path.resolve(testCase.dir, m.photo) : null,
+      photoTakenAt: m.photoTakenAt || null,
+      photoGpsAddress: m.photoGpsAddress || null,
+      timestamp: new Date(baseTime + i * 1000),
+      msgId: `test-${index}-${i}`
+    }))
+  };
+}
+
+function sameValue(field, expected, actual) {
+  if (field === 'address') return addressKey(expected || '') === addressKey(actual || '');
+  if (field === 'patente') return (expected || null) === (actual ? actual.toUpperCase().replace(/\s/g, '') : null);
+  return (expected ?? null) === (actual ?? null);
+}
+
+// Pair each expected request with a predicted one: same address first, then same message
+function matchRequests(expected, actual) {
+  const unmatched = [...actual];
+  const take = predicate => {
+    const i = unmatched.findIndex(predicate);
+    return i === -1 ? null : unmatched.splice(i, 1)[0];
+  };
+  const pairs = expected.map(exp => ({ expected: exp, actual: null }));
+  for (const pair of pairs) {
+    pair.actual = take(a => sameValue('address', pair.expected.address, a.address));
+  }
+  for (const pair of pairs.filter(p => !p.actual && p.expected.msgIndex)) {
+    pair.actual = take(a => a.msgIndex === pair.expected.msgIndex);
+  }
+  for (const pair of pairs.filter(p => !p.actual)) {
+    pair.actual = take(() => true);
+  }
+  return { pairs, extra: unmatched };
+}
+
+function scoreCase(testCase, extraction) {
+  const actual = extraction.requests || [];
+  const expected = testCase.expected || [];
+  const { pairs, extra } = matchRequests(expected, actual);
+  const fields = {};
+  const problems = [];
+
+  for (const field of SCORED_FIELDS) fields[field] = { hit: 0, total: 0 };
+  for (const { expected: exp, actual: act } of pairs) {
+    if (!act) {
+      problems.push(`falta ${exp.reportType || ''} en ${exp.address || '?'}`);
+    }
+    for (const field of SCORED_FIELDS) {
+      if (exp[field] === undefined) continue;
+      fields[field].total++;
+      if (act && sameValue(field, exp[field], act[field])) {
+        fields[field].hit++;
+      } else if (act) {
+        problems.push(`${field}: esperaba ${JSON.stringify(exp[field])}, vino ${JSON.stringify(act[field] ?? null)}`);
+      }
+    }
+  }
+  for (const act of extra) {
+    problems.push(`sobra ${act.reportType} en ${act.address}`);
+  }
+
+  const asked = Boolean(extraction.shouldRespond && extraction.response && actual.length === 0);
+  if (testCase.expectQuestion !== undefined && asked !== testCase.expectQuestion) {
+    problems.push(testCase.expectQuestion ? 'esperaba una pregunta' : `preguntó: "${extraction.response}"`);
+  }
+
+  return {
+    id: testCase.id,
+    name: testCase.name || testCase.id,
+    passed: problems.length === 0,
+    countMatches: actual.length === expected.length,
+    fields,
+    problems,
+    requests: actual.map(r => ({ reportType: r.reportType, address: r.address, patente: r.patente || null, msgIndex: r.msgIndex ?? null })),
+    response: extraction.response || null
+  };
+}
+
+async function runCorpus(bot, corpus, promptFile, verbose) {
+  process.env.SYSTEM_PROMPT_FILE = promptFile;
+  // Each run (--compare makes two) replays the fixtures from the start
+  resetFakeProvider();
+  const results = [];
+  const log = console.log;
+  for (let i = 0; i < corpus.length; i++) {
+    const testCase = corpus[i];
+    if (!verbose) console.log = () => {};
+    let extraction;
+    try {
+      extraction = await bot.extractRequests(toPending(testCase, i), `prompt-test-${i}@c.us`);
+    } catch (e) {
+      extraction = { requests: [], response: `ERROR: ${e.message}` };
+    } finally {
+      console.log = log;
+    }
+    const result = scoreCase(testCase, extraction);
+    results.push(result);
+    console.log(`${result.passed ? '✓' : '✗'} ${result.name}${result.problems.length ? `\n    ${result.problems.join('\n    ')}` : ''}`);
+  }
+  return results;
+}
+
+function summarize(results) {
+  const summary = { cases: results.length, passed: results.filter(r => r.passed).length, requestCount: results.filter(r => r.countMatches).length };
+  for (const field of SCORED_FIELDS) {
+    const hit = results.reduce((sum, r) => sum + r.fields[field].hit, 0);
+    const total = results.reduce((sum, r) => sum + r.fields[field].total, 0);
+    summary[field] = { hit, total };
+  }
+  return summary;
+}
+
+function percent(hit, total) {
+  return total ? `${Math.round(hit / total * 100)}%`.padStart(4) : '  - ';
+}
+
+function printSummary(label, summary) {
+  console.log(`\n${label}: ${summary.passed}/${summary.cases} casos OK, cantidad de reportes ${percent(summary.requestCount, summary.cases)}`);
+  for (const field of SCORED_FIELDS) {
+    const { hit, total } = summary[field];
+    console.log(`  ${field.padEnd(11)} ${percent(hit, total)} (${hit}/${total})`);
+  }
+}
+
+function printComparison(base, other, baseLabel, otherLabel) {
+  console.log(`\n=== ${baseLabel} vs ${otherLabel} ===`);
+  const baseSummary = summarize(base);
+  const otherSummary = summarize(other);
+  console.log(`  ${'casos OK'.padEnd(11)} ${baseSummary.passed}/${baseSummary.cases} -> ${otherSummary.passed}/${otherSummary.cases}`);
+  for (const field of SCORED_FIELDS) {
+    console.log(`  ${field.padEnd(11)} ${percent(baseSummary[field].hit, baseSummary[field].total)} -> ${percent(otherSummary[field].hit, otherSummary[field].total)}`);
+  }
+
+  let changed = 0;
+  base.forEach((b, i) => {
+    const o = other[i];
+    if (JSON.stringify(b.requests) === JSON.stringify(o.requests) && b.passed === o.passed) return;
+    changed++;
+    const mark = b.passed === o.passed ? '~' : (o.passed ? '+' : '-');
+    console.log(`\n${mark} ${b.name}`);
+    console.log(`    ${baseLabel}: ${JSON.stringify(b.requests)}${b.requests.length === 0 && b.response ? ` "${b.response}"` : ''}`);
+    console.log(`    ${otherLabel}: ${JSON.stringify(o.requests)}${o.requests.length === 0 && o.response ? ` "${o.response}"` : ''}`);
+  });
+  console.log(`\n${changed} caso(s) cambiaron`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const corpus = loadCorpus(args.corpus, args.filter);
+  if (corpus.length === 0) {
+    console.log('El corpus está vacío');
+    return 0;
+  }
+
+  // Imported, the bot doesn't start WhatsApp and only reads its journals
+  const { TrashReportBot } = await import('./whatsapp-bot.js');
+  const bot = new TrashReportBot();
+
+  const baseLabel = path.basename(args.prompt);
+  console.log(`=== ${baseLabel} (${corpus.length} casos) ===`);
+  const base = await runCorpus(bot, corpus, resolvePromptFile(args.prompt), args.verbose);
+  printSummary(baseLabel, summarize(base));
+
+  let other = null;
+  if (args.compare) {
+    const otherLabel = path.basename(args.compare);
+    console.log(`\n=== ${otherLabel} (${corpus.length} casos) ===`);
+    other = await runCorpus(bot, corpus, resolvePromptFile(args.compare), args.verbose);
+    printSummary(otherLabel, summarize(other));
+    printComparison(base, other, baseLabel, otherLabel);
+  }
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify({ base, other }, null, 2));
+  }
+  return (other || base).every(r => r.passed) ? 0 : 1;
+}
+
+main().then(code => process.exit(code)).catch(e => {
+  console.error(e.message);
+  process.exit(2);
+});
@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { localIsoDate } from './report-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Token and cost accounting for every Claude call (written by llm.js).
+// One JSONL line per call; the bot and the API server both append to it, so
+// either process sees the day's total spend when checking the budget.
+//   {"ts":..., "date":"2025-03-14", "task":"extraction", "model":"...", "inputTokens":1234,
+//    "outputTokens":210, "images":2, "latencyMs":5400, "costUsd":0.0068, "ref":"batch-..."}
+// ref ties the call to a report: the bot stamps it on the requests an extraction
+// produced and sends it to the API server with the job (see usageRef).
+// Replayed calls (LLM_PROVIDER=fake) go to llm-usage.fake.jsonl, away from the real spend.
+// Both settings are read when used, not at import, which may come before .env is loaded.
+export function usageFile() {
+  return process.env.LLM_USAGE_FILE ||
+    path.join(__dirname, process.env.LLM_PROVIDER === 'fake' ? 'llm-usage.fake.jsonl' : 'llm-usage.jsonl');
+}
+// Spend per day (USD) above which tasks switch to their fallback model; 0 = no budget
+export function dailyBudgetUsd() {
+  return parseFloat(process.env.LLM_DAILY_BUDGET_USD) || 0;
+}
+
+// USD per million tokens. Cache writes cost 1.25x input, cache reads 0.1x.
+const MODEL_PRICES = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-haiku-4-5-20251001': { input: 1, output: 5 }
+};
+
+let readFile = null; // file the totals below were read from
+let offset = 0;
+let days = new Map(); // date -> totals (with byTask / byModel)
+let refs = new Map(); // ref -> totals
+const unknownModels = new Set();
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, images: 0, latencyMs: 0, costUsd: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.calls++;
+  totals.inputTokens += entry.inputTokens || 0;
+  totals.outputTokens += entry.outputTokens || 0;
+  totals.images += entry.images || 0;
+  totals.latencyMs += entry.latencyMs || 0;
+  totals.costUsd += entry.costUsd || 0;
+}
+
+function roundTotals(totals) {
+  return { ...totals, costUsd: Math.round(totals.costUsd * 10000) / 10000 };
+}
+
+export function costOf(model, usage = {}) {
+  const prices = MODEL_PRICES[model];
+  if (!prices) {
+    if (!unknownModels.has(model)) {
+      unknownModels.add(model);
+      console.log(`[Usage] Sin precio para ${model} - se cuenta como $0`);
+    }
+    return 0;
+  }
+  const input = (usage.input_tokens || 0)
+    + (usage.cache_creation_input_tokens || 0) * 1.25
+    + (usage.cache_read_input_tokens || 0) * 0.1;
+  return (input * prices.input + (usage.output_tokens || 0) * prices.output) / 1e6;
+}
+
+// Images sent in a messages.create request (follow-up turns included)
+export function countImages(messages = []) {
+  let images = 0;
+  for (const message of messages) {
+    if (!Array.isArray(message.content)) continue;
+    images += message.content.filter(block => block.type === 'image').length;
+  }
+  return images;
+}
+
+function apply(entry) {
+  if (!days.has(entry.date)) days.set(entry.date, { ...emptyTotals(), byTask: {}, byModel: {} });
+  const day = days.get(entry.date);
+  addTo(day, entry);
+  if (!day.byTask[entry.task]) day.byTask[entry.task] = emptyTotals();
+  if (!day.byModel[entry.model]) day.byModel[entry.model] = emptyTotals();
+  addTo(day.byTask[entry.task], entry);
+  addTo(day.byModel[entry.model], entry);
+  if (entry.ref) {
+    if (!refs.has(entry.ref)) refs.set(entry.ref, emptyTotals());
+    addTo(refs.get(entry.ref), entry);
+  }
+}
+
+// Apply lines appended since the last read (by either process)
+function refresh() {
+  const file = usageFile();
+  if (file !== readFile) {
+    readFile = file;
+    offset = 0;
+    days = new Map();
+    refs = new Map();
+  }
+  if (!fs.existsSync(file)) return;
+  const size = fs.statSync(file).size;
+  if (size < offset) {
+    offset = 0;
+    days = new Map();
+    refs = new Map();
+  }
+  if (size === offset) return;
+
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(size - offset);
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+    const lastNewline = buffer.lastIndexOf(0x0a);
+    if (lastNewline === -1) return;
+    for (const line of buffer.subarray(0, lastNewline).toString('utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch (e) {
+        console.error(`[Usage] Skipping corrupt line in ${path.basename(file)}: ${e.message}`);
+      }
+    }
+    offset += lastNewline + 1;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+export function recordUsage({ task, model, usage, images = 0, latencyMs = 0, ref = null, degraded = false }) {
+  const now = Date.now();
+  const entry = {
+    ts: now,
+    date: localIsoDate(now),
+    task,
+    model,
+    inputTokens: (usage?.input_tokens || 0) + (usage?.cache_creation_input_tokens || 0) + (usage?.cache_read_input_tokens || 0),
+    outputTokens: usage?.output_tokens || 0,
+    images,
+    latencyMs,
+    costUsd: costOf(model, usage),
+    ref
+  };
+  if (degraded) entry.degraded = true;
+  try {
+    fs.appendFileSync(usageFile(), JSON.stringify(entry) + '\n');
+  } catch (e) {
+    console.error(`[Usage] No se pudo registrar el uso: ${e.message}`);
+  }
+  return entry;
+}
+
+export function spentToday() {
+  refresh();
+  return days.get(localIsoDate(Date.now()))?.costUsd || 0;
+}
+
+export function isOverBudget() {
+  const budget = dailyBudgetUsd();
+  return budget > 0 && spentToday() >= budget;
+}
+
+// Totals per day, oldest first. from/to are YYYY-MM-DD, inclusive.
+export function dailyUsage({ from, to } = {}) {
+  refresh();
+  return [...days.entries()]
+    .filter(([date]) => (!from || date >= from) && (!to || date <= to))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, totals]) => ({
+      date,
+      ...roundTotals(totals),
+      byTask: Object.fromEntries(Object.entries(totals.byTask).map(([k, v]) => [k, roundTotals(v)])),
+      byModel: Object.fromEntries(Object.entries(totals.byModel).map(([k, v]) => [k, roundTotals(v)]))
+    }));
+}
+
+// Totals of one usageRef, or null if no call was recorded under it
+export function usageForRef(ref) {
+  refresh();
+  const totals = refs.get(ref);
+  return totals ? roundTotals(totals) : null;
+}
+
+export function createUsageRef() {
+  return `batch-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export default { recordUsage, spentToday, isOverBudget, dailyUsage, usageForRef, createUsageRef, costOf, countImages, usageFile, dailyBudgetUsd };
@@ -1,19 +1,34 @@
+// Loaded first: modules read their settings from process.env when imported
+import 'dotenv/config';
 import pkg from 'whatsapp-web.js';
 const { Client, LocalAuth, NoAuth } = pkg;
 import qrcode from 'qrcode-terminal';
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
+import http from 'http';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import dotenv from 'dotenv';
 import puppeteer from 'puppeteer';
 import { postToX, initXPoster, closeXBrowser } from './x-poster.js';
-
-dotenv.config();
+import { JournalStore, JournaledMap } from './store.js';
+import { ReportStore } from './report-store.js';
+import { findGroupConfig, findGroupConfigById, isReportTypeAllowed, describeMonitoredGroups, channelForChatId, loadGroups, accountForReporter, GROUP_DEFAULTS } from './groups.js';
+import { reverseGeocode, warnIfCallejeroMissing } from './callejero.js';
+import { readPhotoExif } from './exif.js';
+import { resolveAddress, describeAddressProblem, parseAddress, addressKey } from './gazetteer.js';
+import llm from './llm.js';
+import { createUsageRef } from './usage.js';
+import { getPrompt, listVersions, hasVersion } from './prompts.js';
+import { REPORT_TYPES, isReportType, getReportType, reportTypeLabel, requiresField, fieldQuestion, minPhotos, photoQuestion, classifierPrompt, DEFAULT_REPORT_TYPE } from './report-types.js';
+import { EXTRACTION_TOOL, validateExtraction, normalizeExtraction, findToolUse, repairMessages, dropInvalidRequests } from './extraction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Imported by tools (test-prompts.js) instead of run as the bot: no log file,
+// no WhatsApp session, and the journals are opened read-only
+const IS_MAIN = process.argv[1] ? path.resolve(process.argv[1]) === __filename : false;
+
 // Setup file logging
 const LOG_FILE = path.join(__dirname, 'whatsapp-bot.log');
 
@@ -25,20 +40,41 @@ function formatLog(...args) {
   return `[${timestamp}] ${args.map(a => typeof a === 'object' ? JSON.stringify(a) : a).join(' ')}\n`;
 }
 
-console.log = (...args) => {
-  originalLog(...args);
-  fs.appendFileSync(LOG_FILE, formatLog(...args));
-};
+if (IS_MAIN) {
+  console.log = (...args) => {
+    originalLog(...args);
+    fs.appendFileSync(LOG_FILE, formatLog(...args));
+  };
 
-console.error = (...args) => {
-  originalError(...args);
-  fs.appendFileSync(LOG_FILE, formatLog('ERROR:', ...args));
-};
+  console.error = (...args) => {
+    originalError(...args);
+    fs.appendFileSync(LOG_FILE, formatLog('ERROR:', ...args));
+  };
+}
 
 // Configuration
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const GROUP_NAME = process.env.WHATSAPP_GROUP_NAME || 'Trash';
 const API_URL = process.env.API_URL || 'http://localhost:3000';
+// Optional: the API server POSTs finished jobs here instead of us only polling.
+// The server listens on BOT_CALLBACK_HOST (set it when the API server runs on another
+// machine) and only takes callbacks carrying the token of the URL the API server was
+// given: BOT_CALLBACK_SECRET, or a random one per run.
+const BOT_CALLBACK_PORT = process.env.BOT_CALLBACK_PORT || null;
+const BOT_CALLBACK_HOST = process.env.BOT_CALLBACK_HOST || '127.0.0.1';
+const BOT_CALLBACK_SECRET = process.env.BOT_CALLBACK_SECRET || crypto.randomBytes(16).toString('hex');
+const BOT_CALLBACK_URL = process.env.BOT_CALLBACK_URL || (BOT_CALLBACK_PORT ? `http://127.0.0.1:${BOT_CALLBACK_PORT}/api-callback` : null);
+
+function callbackUrlWithToken() {
+  if (!BOT_CALLBACK_URL) return null;
+  const url = new URL(BOT_CALLBACK_URL);
+  url.searchParams.set('token', BOT_CALLBACK_SECRET);
+  return url.toString();
+}
+
+function hasCallbackToken(token) {
+  const expected = Buffer.from(BOT_CALLBACK_SECRET);
+  const given = Buffer.from(token || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
 const PHOTOS_DIR = path.join(__dirname, 'photos');
 
 // Ensure photos directory exists
@@ -46,25 +82,60 @@ if (!fs.existsSync(PHOTOS_DIR)) {
   fs.mkdirSync(PHOTOS_DIR, { recursive: true });
 }
 
-// Reports log file
-const REPORTS_LOG = path.join(__dirname, 'reports.csv');
-
-// Initialize reports log with header if it doesn't exist
-if (!fs.existsSync(REPORTS_LOG)) {
-  fs.writeFileSync(REPORTS_LOG, 'numero,fecha,direccion,reportType,patente,link,timestamp\n');
-}
+// Submitted reports (reports.jsonl) - imports the old reports.csv on first run
+const reportStore = new ReportStore({ readOnly: !IS_MAIN });
 
 // Errors log file
 const ERRORS_LOG = path.join(__dirname, 'errors.log');
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: ANTHROPIC_API_KEY
-});
+// Durable bot state (queue, retries, pending questions) - survives restarts
+const STATE_FILE = path.join(__dirname, 'bot-state.jsonl');
+const jobStore = new JournalStore(STATE_FILE, { readOnly: !IS_MAIN });
 
-// Request queue - processes one solicitud at a time
+// Strip live objects (chat, debounce timer) so a request can be journaled.
+// The chat is re-resolved from chatId when the bot restarts.
+function toStoredRequest(request) {
+  const { chat, timer, ...rest } = request;
+  return { ...rest, chatId: chat?.id?._serialized || rest.chatId || null };
+}
+
+// Whether a photo belongs to a request kept for a later retry (scheduled, or a
+// failed one a coordinator can !reintentar), so it must outlive the message history
+function isPhotoKeptForRetry(photoPath) {
+  return ['retries', 'failed'].some(collection =>
+    jobStore.values(collection).some(r => r.photo === photoPath || r.photos?.includes(photoPath)));
+}
+
+function createJobId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// API jobs - POST /solicitud returns a job id, then we poll until it finishes
+const FINAL_JOB_STATES = ['done', 'needs-info', 'failed'];
+const JOB_POLL_MS = 5000;
+const JOB_MAX_WAIT_MS = 20 * 60 * 1000; // Give up (and schedule a retry) after 20 minutes
+const API_REQUEST_TIMEOUT_MS = 15000;
+
+// Submitted solicitudes are journaled under 'tracked' (by number) until the city
+// resolves or closes them; then the reporter is notified in the group
+const CLOSED_STATES = ['resuelta', 'cerrada'];
+const STATUS_CHECK_MS = 30 * 60 * 1000;
+const TRACKING_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000; // Stop tracking after 90 days
+// Ask "¿Se resolvió de verdad?" after a resolution (set STATUS_FOLLOWUP=false to disable)
+const STATUS_FOLLOWUP = process.env.STATUS_FOLLOWUP !== 'false';
+// Key: API job id, Value: callback that resolves the waiting submitRequest
+const jobWaiters = new Map();
+
+// Claude calls go through llm.js (models per task, retries, fake provider)
+const EXTRACTION_MAX_TOKENS = 2000;
+
+// Request queue - up to QUEUE_CONCURRENCY solicitudes in flight on the API server
+// (which runs them on its browser pool, see BROWSER_POOL_SIZE in index.js).
+// Every entry is also journaled under 'queue' (by jobId) until it is submitted
 const requestQueue = [];
+const QUEUE_CONCURRENCY = Math.max(1, parseInt(process.env.QUEUE_CONCURRENCY) || 1);
 let isProcessingQueue = false;
+let wakeQueue = null; // Set while processQueue waits on in-flight submissions
 
 // In-memory tracker to prevent duplicate submissions within same session
 // Key: address (normalized), Value: timestamp when queued/submitted
@@ -78,11 +149,11 @@ const userProcessingLocks = new Map();
 // Pending messages buffer - collects messages before processing
 // Key: senderId, Value: { messages: [], timer: null, senderName: string }
 // messages format: { text: string|null, photo: string|null, timestamp: Date }
-const pendingMessages = new Map();
+const pendingMessages = new JournaledMap(jobStore, 'pendingMessages', toStoredRequest);
 
 // Queue for vehicle reports awaiting patente confirmation (startup only)
 // Key: senderId, Value: array of vehicle report objects
-const vehiclePatenteQueue = new Map();
+const vehiclePatenteQueue = new JournaledMap(jobStore, 'vehicleQueue', vehicles => vehicles.map(toStoredRequest));
 
 // Group message history - per user, kept for 2 hours
 // Key: senderId, Value: [{ text, photo, timestamp }]
@@ -96,20 +167,32 @@ const DEBOUNCE_MS = 3000;
 const DEBOUNCE_PHOTO_MS = 8000;
 // Max messages to wait before asking for address
 const MAX_MESSAGES_BEFORE_ASK = 5;
+// Photos whose EXIF capture time is older than this are not reported
+const PHOTO_MAX_AGE_DAYS = parseInt(process.env.PHOTO_MAX_AGE_DAYS) || 3;
+
+// In-group commands (!ayuda, !tipos, ...) are answered directly, without Claude
+const COMMAND_PATTERN = /^!([a-záéíóúñ-]+)\s*(.*)$/i;
+const MY_REPORTS_LIMIT = 5;
 
-// System prompt file path - loaded on each request for hot-reload
-const SYSTEM_PROMPT_FILE = path.join(__dirname, 'system-prompt.txt');
+// Coordinators allowed to run admin commands (comma-separated phone numbers, e.g. 5491123456789)
+const ADMIN_PHONES = (process.env.ADMIN_PHONES || '').split(',').map(p => p.replace(/\D/g, '')).filter(Boolean);
+const ADMIN_COMMANDS = ['cola', 'reintentar', 'pausar', 'reanudar', 'recargar-prompt', 'prompt', 'bloquear', 'desbloquear'];
+// Every admin command (allowed or not) is appended here as one JSON line
+const AUDIT_LOG = path.join(__dirname, 'admin-audit.jsonl');
 
-// Function to load system prompt from file (allows hot-reload without restart)
-function getSystemPrompt() {
+function isAdminPhone(phone) {
+  return ADMIN_PHONES.includes(phone);
+}
+
+function auditAdminAction(entry) {
   try {
-    return fs.readFileSync(SYSTEM_PROMPT_FILE, 'utf-8');
+    fs.appendFileSync(AUDIT_LOG, JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n');
   } catch (e) {
-    console.error('Error loading system-prompt.txt:', e.message);
-    return 'Extract addresses from messages and respond in JSON format.';
+    console.error('[Admin] Error writing audit log:', e.message);
   }
 }
 
+
 class TrashReportBot {
   constructor() {
     // Determine platform-specific settings
@@ -152,6 +235,8 @@ class TrashReportBot {
 
     this.chatCache = new Map();
     this.scheduledRetries = new Map(); // Map of timeoutId -> request
+    // Questions waiting for a user answer - Key: senderId, Value: partial request
+    this.pendingInfoRequests = new JournaledMap(jobStore, 'pendingInfo', toStoredRequest);
     this.setupEventHandlers();
   }
 
@@ -173,17 +258,32 @@ class TrashReportBot {
 
     console.log(`[Retry] Scheduling retry ${retryCount + 1}/3 for ${request.address} in ${delayMinutes} minutes`);
 
+    const jobId = request.jobId || createJobId();
+    const retryRequest = { ...request, jobId };
+    const dueAt = Date.now() + delayMs;
+    jobStore.put('retries', jobId, { ...toStoredRequest(retryRequest), dueAt });
+    this.armRetry(retryRequest, dueAt);
+  }
+
+  // Start the timer for a journaled retry (also used to re-arm retries after a restart)
+  armRetry(request, dueAt) {
+    const retryCount = request.retryCount || 0;
     const timeoutId = setTimeout(async () => {
       this.scheduledRetries.delete(timeoutId);
+      jobStore.remove('retries', request.jobId);
       console.log(`\n[Retry] Executing retry ${retryCount + 1}/3 for ${request.address}`);
       await this.submitRequest({ ...request, retryCount: retryCount + 1 }, true);
-    }, delayMs);
+    }, Math.max(0, dueAt - Date.now()));
 
-    this.scheduledRetries.set(timeoutId, request);
+    this.scheduledRetries.set(timeoutId, { ...request, dueAt });
   }
 
   async notifyFinalFailure(request) {
     const { address, chat, senderId } = request;
+
+    // Kept, photos included, so a coordinator can still !reintentar it
+    const jobId = request.jobId || createJobId();
+    jobStore.put('failed', jobId, { ...toStoredRequest(request), jobId, failedAt: Date.now() });
     const senderInfo = this.senderIdCache?.get(senderId);
     const mentions = senderInfo ? [senderInfo.senderId] : [senderId];
     const mentionText = senderInfo ? `@${senderInfo.senderPhone}` : `@${senderId.split('@')[0]}`;
@@ -196,10 +296,39 @@ class TrashReportBot {
     } catch (e) {
       console.error('[Retry] Error notifying final failure:', e.message);
     }
+  }
+
+  // A job cut off by an API server restart may or may not have filed the solicitud,
+  // and retrying it could file it twice. It's kept with the failed ones, marked, and
+  // the reporter and the coordinators are told to check "Mis solicitudes" before a
+  // !reintentar. Its dedup entry stays, so the reporter can't resend it meanwhile.
+  async notifyInterrupted(request) {
+    const { address, chat, senderId } = request;
+    const reportTypeName = reportTypeLabel(request.reportType);
+
+    const jobId = request.jobId || createJobId();
+    jobStore.put('failed', jobId, { ...toStoredRequest(request), jobId, interrupted: true, failedAt: Date.now() });
+    console.log(`  [Bot] Envío cortado por un reinicio del servidor: ${address} (sin reintento automático)`);
 
-    // Clean up photo
-    if (request.photo) {
-      try { fs.unlinkSync(request.photo); } catch (e) {}
+    const senderInfo = this.senderIdCache?.get(senderId);
+    const mentions = senderInfo ? [senderInfo.senderId] : [senderId];
+    const mentionText = senderInfo ? `@${senderInfo.senderPhone}` : `@${senderId.split('@')[0]}`;
+    try {
+      await chat.sendMessage(
+        `${mentionText} Se cortó el envío de la solicitud de ${reportTypeName.toLowerCase()} para ${address} y no sé si llegó a mandarse. No la reintento sola para no duplicarla: un coordinador la va a revisar.`,
+        { mentions }
+      );
+    } catch (e) {
+      console.error('[Bot] Error avisando el envío cortado:', e.message);
+    }
+
+    for (const phone of ADMIN_PHONES) {
+      try {
+        await this.client.sendMessage(`${phone}@c.us`,
+          `Se cortó el envío de ${reportTypeName.toLowerCase()} para ${address} (reinicio del servidor) y puede haberse mandado. Revisá "Mis solicitudes" en BA Colaborativa; si no está, *!reintentar ${address}*.`);
+      } catch (e) {
+        console.error(`[Bot] Error avisando a ${phone}:`, e.message);
+      }
     }
   }
 
@@ -223,11 +352,20 @@ class TrashReportBot {
     this.client.on('ready', async () => {
       console.log('\n========================================');
       console.log('  Bot de WhatsApp listo!');
-      console.log(`  Monitoreando grupo: "${GROUP_NAME}"`);
+      console.log(`  Monitoreando grupos: ${describeMonitoredGroups()}`);
       console.log('========================================\n');
 
+      // Reload queued solicitudes, retries and pending questions from before the restart
+      await this.restoreState();
+
       // Check past 50 messages for any unprocessed requests
       await this.checkPastMessages();
+
+      // Watch submitted solicitudes for resolutions ('ready' can fire again on reconnect)
+      if (!this.statusCheckTimer) {
+        this.statusCheckTimer = setInterval(() => this.checkTrackedSolicitudes(), STATUS_CHECK_MS);
+        this.checkTrackedSolicitudes();
+      }
     });
 
     this.client.on('authenticated', () => {
@@ -250,8 +388,10 @@ class TrashReportBot {
 
       const chat = await msg.getChat();
 
-      // Only respond to messages in the target group
-      if (!chat.isGroup || chat.name !== GROUP_NAME) {
+      // Only respond to messages in the configured groups (matched by chat id),
+      // plus private chats when ALLOW_DIRECT_MESSAGES is on
+      const group = findGroupConfig(chat);
+      if (!group) {
         return;
       }
 
@@ -260,6 +400,12 @@ class TrashReportBot {
       // Extract phone number from senderId for mentions (e.g., "5491123456789" from "5491123456789@c.us")
       const senderPhone = senderId.split('@')[0];
 
+      // Ignore numbers blocked by a coordinator (!bloquear)
+      if (jobStore.has('blocked', senderPhone)) {
+        console.log(`[Bloqueado] Ignorando mensaje de ${senderPhone}`);
+        return;
+      }
+
       try {
         const contact = await msg.getContact();
         senderName = contact.pushname || contact.name || senderPhone;
@@ -273,20 +419,31 @@ class TrashReportBot {
       this.senderIdCache = this.senderIdCache || new Map();
       this.senderIdCache.set(senderId, { senderId, senderPhone, senderName });
 
+      // Location pins carry a thumbnail in msg.body, so they get their own text
+      const location = this.locationFromMessage(msg);
+
       console.log(`\n[${new Date().toLocaleTimeString()}] Mensaje de ${senderName}:`);
-      console.log(`  Texto: ${msg.body || '(sin texto)'}`);
+      console.log(`  Texto: ${location ? location.text : (msg.body || '(sin texto)')}`);
       console.log(`  Tiene media: ${msg.hasMedia}`);
 
+      // Commands are answered right away and never reach the report flow
+      const command = !msg.hasMedia && !location && (msg.body || '').trim().match(COMMAND_PATTERN);
+      if (command) {
+        await this.handleCommand(command[1].toLowerCase(), command[2].trim(), { msg, chat, group, senderId, senderPhone });
+        return;
+      }
+
       // Create message object with text and/or photo
       const messageObj = {
-        text: msg.body || null,
+        text: location ? location.text : (msg.body || null),
         photo: null,
+        location: location ? { latitude: location.latitude, longitude: location.longitude, address: location.address } : null,
         timestamp: new Date(),
         msgId: msg.id._serialized  // Store message ID for quote replies
       };
 
       // Handle photo or video
-      if (msg.hasMedia) {
+      if (msg.hasMedia && !location) {
         try {
           const media = await msg.downloadMedia();
           if (!media) {
@@ -295,6 +452,7 @@ class TrashReportBot {
             const photoPath = await this.savePhoto(media, senderId);
             messageObj.photo = photoPath;
             console.log(`  Foto guardada: ${photoPath}`);
+            this.applyPhotoExif(messageObj);
           } else if (media.mimetype.startsWith('video/')) {
             // Extract first frame from video using ffmpeg
             console.log(`  Video detectado, extrayendo frame...`);
@@ -311,6 +469,17 @@ class TrashReportBot {
         } catch (mediaError) {
           console.log(`  ⚠️ Error downloading media: ${mediaError.message}`);
         }
+
+        if (this.isStalePhoto(messageObj)) {
+          const takenAt = new Date(messageObj.photoTakenAt);
+          await chat.sendMessage(
+            `@${senderPhone} Esta foto es del ${takenAt.toLocaleDateString('es-AR')}. Solo reporto fotos de los últimos ${PHOTO_MAX_AGE_DAYS} días: si el problema sigue, mandá una foto nueva.`,
+            { mentions: [senderId], quotedMessageId: msg.id._serialized }
+          );
+          try { fs.unlinkSync(messageObj.photo); } catch (e) {}
+          messageObj.photo = null;
+          if (!messageObj.text) return;
+        }
       }
 
       // Add to user's message history
@@ -328,7 +497,7 @@ class TrashReportBot {
         const age = now - oldest.timestamp.getTime();
         if (age > MESSAGE_RETENTION_MS || userHistory.length > MAX_HISTORY_PER_USER) {
           const removed = userHistory.shift();
-          if (removed.photo) {
+          if (removed.photo && !isPhotoKeptForRetry(removed.photo)) {
             try { fs.unlinkSync(removed.photo); } catch (e) {}
           }
         } else {
@@ -356,6 +525,7 @@ class TrashReportBot {
 
       // Add this message to pending
       pending.messages.push(messageObj);
+      pendingMessages.persist(senderId);
 
       // Smart debounce: wait longer if we have photos but no text with potential address
       const hasPhotos = pending.messages.some(m => m.photo);
@@ -378,6 +548,333 @@ class TrashReportBot {
     }
   }
 
+  async handleCommand(name, args, { msg, chat, group, senderId, senderPhone }) {
+    console.log(`  [Comando] !${name}${args ? ` ${args}` : ''}`);
+    const reply = text => chat.sendMessage(`@${senderPhone} ${text}`, { mentions: [senderId], quotedMessageId: msg.id._serialized });
+
+    try {
+      if (ADMIN_COMMANDS.includes(name)) {
+        const allowed = isAdminPhone(senderPhone);
+        const result = allowed
+          ? await this.handleAdminCommand(name, args, senderPhone)
+          : 'Ese comando es solo para coordinadores.';
+        auditAdminAction({ admin: senderPhone, command: name, args, allowed, result });
+        return await reply(result);
+      }
+
+      switch (name) {
+        case 'ayuda':
+        case 'help':
+          return await reply(this.commandHelpText(isAdminPhone(senderPhone)));
+        case 'tipos':
+          return await reply(this.reportTypesText(group));
+        case 'mis-reportes':
+        case 'misreportes':
+          return await reply(this.myReportsText(senderId));
+        case 'estado':
+          return await reply(await this.solicitudStatusText(args, senderId));
+        case 'cancelar':
+          return await reply(this.cancelPendingForSender(senderId));
+        default:
+          return await reply(`No conozco el comando !${name}. Mandá *!ayuda* para ver los comandos.`);
+      }
+    } catch (e) {
+      console.error(`  [Comando] Error en !${name}:`, e.message);
+    }
+  }
+
+  commandHelpText(isAdmin = false) {
+    const lines = [
+      'Para reportar algo, mandá una foto con la dirección (ej: "Pasteur 415") y yo hago la solicitud en BA Colaborativa.',
+      '',
+      'Comandos:',
+      '*!mis-reportes* - tus últimas solicitudes',
+      '*!estado 01377880/25* - en qué estado está una solicitud',
+      '*!cancelar* - cancelo la pregunta que te hice y lo que tenías pendiente',
+      '*!tipos* - qué tipos de problema puedo reportar',
+      '*!ayuda* - este mensaje'
+    ];
+    if (isAdmin) {
+      lines.push(
+        '',
+        'Coordinación:',
+        '*!cola* - solicitudes en cola y reintentos programados',
+        '*!reintentar <dirección>* - reintentar ya una solicitud con reintento o que falló',
+        '*!pausar* / *!reanudar* - frenar o retomar los envíos',
+        '*!recargar-prompt* - releer system-prompt.txt',
+        '*!prompt* - versiones del prompt; *!prompt usar v3* vuelve a una anterior, *!prompt ultima* sigue el archivo',
+        '*!bloquear <número>* / *!desbloquear <número>* - ignorar a un número'
+      );
+    }
+    return lines.join('\n');
+  }
+
+  isPaused() {
+    return jobStore.has('settings', 'paused');
+  }
+
+  // Prompt version a group's extractions use: the group's pin, else a
+  // coordinator's rollback, else null (the current system-prompt.txt)
+  promptVersionFor(group) {
+    return group?.promptVersion || jobStore.get('settings', 'promptVersion')?.version || null;
+  }
+
+  // Admin commands return the reply text (also written to the audit log)
+  async handleAdminCommand(name, args, adminPhone) {
+    switch (name) {
+      case 'cola':
+        return this.queueStatusText();
+
+      case 'reintentar':
+        return this.retryNow(args);
+
+      case 'pausar':
+        if (this.isPaused()) return 'Los envíos ya estaban pausados.';
+        jobStore.put('settings', 'paused', { by: adminPhone, at: new Date().toISOString() });
+        console.log(`[Admin] Envíos pausados por ${adminPhone}`);
+        return 'Envíos pausados. Las solicitudes nuevas quedan en cola hasta *!reanudar*.';
+
+      case 'reanudar':
+        if (!this.isPaused()) return 'Los envíos no estaban pausados.';
+        jobStore.remove('settings', 'paused');
+        console.log(`[Admin] Envíos reanudados por ${adminPhone}`);
+        this.processQueue();
+        return `Envíos reanudados (${requestQueue.length} en cola).`;
+
+      case 'recargar-prompt': {
+        // The prompt is read on every request; this checks the file is usable and versions it
+        const prompt = getPrompt();
+        if (prompt.id === 'default') {
+          return 'system-prompt.txt no existe o está vacío - sigo usando el prompt por defecto.';
+        }
+        console.log(`[Admin] Prompt recargado por ${adminPhone} (${prompt.id}, ${prompt.text.length} caracteres)`);
+        const rollback = jobStore.get('settings', 'promptVersion');
+        const note = rollback ? ` Ojo: está fijada la ${rollback.version} (*!prompt ultima* para usar el archivo).` : ' Se usa desde el próximo mensaje.';
+        return `Prompt recargado: ${prompt.id}, ${prompt.text.split('\n').length} líneas, ${prompt.text.length} caracteres.${note}`;
+      }
+
+      case 'prompt':
+        return this.promptCommand(args, adminPhone);
+
+      case 'bloquear':
+      case 'desbloquear': {
+        const phone = args.replace(/\D/g, '');
+        if (phone.length < 8) {
+          return `Pasame el número completo, por ejemplo: *!${name} 5491123456789*`;
+        }
+        if (name === 'desbloquear') {
+          return jobStore.remove('blocked', phone) ? `Desbloqueé a ${phone}.` : `${phone} no estaba bloqueado.`;
+        }
+        if (isAdminPhone(phone)) {
+          return 'No se puede bloquear a un coordinador.';
+        }
+        jobStore.put('blocked', phone, { by: adminPhone, at: new Date().toISOString() });
+        this.cancelPendingForSender(`${phone}@c.us`);
+        console.log(`[Admin] ${phone} bloqueado por ${adminPhone}`);
+        return `Bloqueé a ${phone}. Ignoro sus mensajes hasta *!desbloquear ${phone}*.`;
+      }
+    }
+  }
+
+  // !prompt: list versions / !prompt usar vN (rollback) / !prompt ultima (follow the file again)
+  promptCommand(args, adminPhone) {
+    const [action, version] = args.trim().toLowerCase().split(/\s+/);
+    const current = jobStore.get('settings', 'promptVersion');
+
+    if (action === 'usar') {
+      if (!version || !hasVersion(version)) {
+        return `No existe la versión "${version || ''}". Mandá *!prompt* para ver las versiones.`;
+      }
+      jobStore.put('settings', 'promptVersion', { version, by: adminPhone, at: new Date().toISOString() });
+      console.log(`[Admin] Prompt fijado en ${version} por ${adminPhone}`);
+      return `Listo, uso la ${version} del prompt hasta *!prompt ultima* (los grupos con versión propia en groups.json no cambian).`;
+    }
+
+    if (action === 'ultima' || action === 'última') {
+      if (!current) return 'Ya estaba usando la última versión de system-prompt.txt.';
+      jobStore.remove('settings', 'promptVersion');
+      const latest = getPrompt();
+      console.log(`[Admin] Prompt vuelve a system-prompt.txt (${latest.id}) por ${adminPhone}`);
+      return `Listo, vuelvo a usar system-prompt.txt (${latest.id}).`;
+    }
+
+    const versions = listVersions();
+    if (versions.length === 0) return 'Todavía no hay versiones guardadas del prompt.';
+    const active = current?.version || versions[0].id;
+    const lines = [`Prompt en uso: *${active}*${current ? ` (fijado por ${current.by})` : ' (system-prompt.txt)'}`, ''];
+    for (const v of versions.slice(0, 8)) {
+      const when = new Date(v.createdAt).toLocaleString('es-AR', { timeStyle: 'short', dateStyle: 'short' });
+      lines.push(`${v.id === active ? '▶' : '•'} ${v.id} - ${when}, ${v.lines} líneas`);
+    }
+    const pinned = (loadGroups() || []).filter(g => g.promptVersion);
+    if (pinned.length > 0) {
+      lines.push('', ...pinned.map(g => `${g.name || g.id}: fijado en ${g.promptVersion} (groups.json)`));
+    }
+    return lines.join('\n');
+  }
+
+  queueStatusText() {
+    const lines = [];
+    if (this.isPaused()) {
+      const paused = jobStore.get('settings', 'paused');
+      lines.push(`⏸ Envíos pausados desde ${new Date(paused.at).toLocaleString('es-AR', { timeStyle: 'short', dateStyle: 'short' })} (${paused.by})`);
+    }
+
+    lines.push(`En cola: ${requestQueue.length}${isProcessingQueue ? ' (enviando)' : ''}`);
+    for (const r of requestQueue) {
+      lines.push(`• ${r.address} - ${r.reportType || 'recoleccion'} (${r.senderName || r.senderId?.split('@')[0]})`);
+    }
+
+    lines.push(`Reintentos programados: ${this.scheduledRetries.size}`);
+    for (const r of this.scheduledRetries.values()) {
+      const minutes = Math.max(0, Math.round((r.dueAt - Date.now()) / 60000));
+      lines.push(`• ${r.address} - intento ${(r.retryCount || 0) + 1}/3 en ${minutes} min`);
+    }
+
+    const failed = jobStore.values('failed');
+    if (failed.length > 0) {
+      lines.push(`Fallidas (sin más reintentos): ${failed.length}`);
+      for (const r of failed.slice(-5)) {
+        lines.push(`• ${r.address} - ${r.reportType || 'recoleccion'}${r.interrupted ? ' (cortada: revisar si se mandó)' : ''}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  // Run a scheduled (or given-up) retry right away, matched by address
+  async retryNow(addressQuery) {
+    if (!addressQuery) {
+      return 'Decime la dirección, por ejemplo: *!reintentar Pasteur 415*';
+    }
+    const needle = this.normalizeAddressForComparison(addressQuery);
+    const matches = address => this.normalizeAddressForComparison(address).includes(needle);
+
+    for (const [timeoutId, request] of this.scheduledRetries) {
+      if (!matches(request.address)) continue;
+      clearTimeout(timeoutId);
+      this.scheduledRetries.delete(timeoutId);
+      jobStore.remove('retries', request.jobId);
+      const { dueAt, ...rest } = request;
+      this.enqueueRequest({ ...rest, retryCount: (rest.retryCount || 0) + 1 });
+      this.processQueue();
+      return `Reintentando ${request.address} ahora.`;
+    }
+
+    for (const [jobId, stored] of jobStore.entries('failed')) {
+      if (!matches(stored.address)) continue;
+      const request = await this.hydrateRequest(stored);
+      jobStore.remove('failed', jobId);
+      if (!request) return `No pude recuperar el chat de ${stored.address}.`;
+      const { failedAt, interrupted, ...rest } = request;
+      this.enqueueRequest({ ...rest, retryCount: 0 });
+      this.processQueue();
+      const why = stored.interrupted ? 'se había cortado el envío' : 'había fallado después de 3 intentos';
+      return `Reintentando ${stored.address} ahora (${why}).`;
+    }
+
+    return `No encontré reintentos ni solicitudes fallidas para "${addressQuery}".`;
+  }
+
+  reportTypesText(group) {
+    const types = REPORT_TYPES.filter(type => isReportTypeAllowed(group, type)).map(getReportType);
+    const lines = types.map(t => `• *${t.label}*: ${t.help}`);
+    const where = group?.channel === 'dm' ? 'Acá' : 'En este grupo';
+    return `${where} puedo reportar estos ${types.length} tipos de problema:\n${lines.join('\n')}`;
+  }
+
+  // Group settings for a (possibly restored) request
+  groupForRequest(request) {
+    return findGroupConfig(request.chat) || findGroupConfigById(request.chatId) || GROUP_DEFAULTS;
+  }
+
+  // BA Colaborativa account to file a request under: the reporter's own if they
+  // opted in ("reporterAccounts" in groups.json), else the group's
+  accountForRequest(request) {
+    const phone = this.senderIdCache?.get(request.senderId)?.senderPhone || request.senderId?.split('@')[0];
+    return accountForReporter(phone) || this.groupForRequest(request).account;
+  }
+
+  myReportsText(senderId) {
+    const reports = reportStore.all().filter(r => r.senderId === senderId).reverse().slice(0, MY_REPORTS_LIMIT);
+    if (reports.length === 0) {
+      return 'No tengo solicitudes tuyas registradas todavía.';
+    }
+
+    const lines = reports.map(r => {
+      const [year, month, day] = (r.date || '').split('-');
+      const label = isReportType(r.reportType) ? reportTypeLabel(r.reportType) : r.reportType;
+      const tracked = r.solicitudNumber ? jobStore.get('tracked', r.solicitudNumber) : null;
+      const state = tracked?.state ? ` (${tracked.state})` : '';
+      const number = r.solicitudNumber ? `#${r.solicitudNumber}` : 'sin número';
+      return `• ${day}/${month}/${year} ${number} - ${label} en ${r.address}${state}${r.url ? `\n  ${r.url}` : ''}`;
+    });
+    return `Tus últimas solicitudes:\n${lines.join('\n')}`;
+  }
+
+  // Status from the API's tracker. Without a number, uses the sender's latest report.
+  async solicitudStatusText(args, senderId) {
+    let number = args.replace(/^#/, '').replace(/[&-]/g, '/').trim();
+    if (!number) {
+      const latest = reportStore.all().filter(r => r.senderId === senderId && r.solicitudNumber).pop();
+      if (!latest) {
+        return 'Decime el número de solicitud, por ejemplo: *!estado 01377880/25*';
+      }
+      number = latest.solicitudNumber;
+    }
+    if (!/^\d{6,}\/\d{2}$/.test(number)) {
+      return `"${args}" no parece un número de solicitud. El formato es 01377880/25.`;
+    }
+
+    const response = await fetch(`${API_URL}/solicitud/${encodeURIComponent(number)}/status`, {
+      signal: AbortSignal.timeout(API_REQUEST_TIMEOUT_MS)
+    }).catch(() => null);
+    const status = response?.ok ? await response.json() : null;
+
+    if (!status?.state) {
+      return reportStore.get(number)
+        ? `La solicitud #${number} todavía no tiene estado verificado. Lo reviso cada tanto y aviso cuando cambie.`
+        : `No encontré la solicitud #${number} entre las que mandé.`;
+    }
+
+    const checkedAt = new Date(status.lastCheckedAt).toLocaleString('es-AR', { dateStyle: 'short', timeStyle: 'short' });
+    const lastEvent = status.history?.[status.history.length - 1];
+    let text = `La solicitud #${number} está *${status.state}* (verificado ${checkedAt}).`;
+    if (lastEvent) {
+      text += `\nÚltimo movimiento: ${lastEvent.date} ${lastEvent.text}`;
+    }
+    return `${text}\n${status.url}`;
+  }
+
+  // Drop the question we are waiting on and anything still buffered for this sender
+  cancelPendingForSender(senderId) {
+    const cancelled = [];
+
+    const pendingRequest = this.pendingInfoRequests.get(senderId);
+    if (pendingRequest) {
+      this.pendingInfoRequests.delete(senderId);
+      cancelled.push(pendingRequest.address ? `la pregunta sobre ${pendingRequest.address}` : 'la pregunta pendiente');
+    }
+
+    const vehicles = vehiclePatenteQueue.get(senderId);
+    if (vehicles?.length) {
+      vehiclePatenteQueue.delete(senderId);
+      cancelled.push(`${vehicles.length} vehículo(s) esperando confirmación`);
+    }
+
+    const pending = pendingMessages.get(senderId);
+    if (pending) {
+      if (pending.timer) clearTimeout(pending.timer);
+      pendingMessages.delete(senderId);
+      cancelled.push('los mensajes que estaba por procesar');
+    }
+
+    if (cancelled.length === 0) {
+      return 'No tenías nada pendiente.';
+    }
+    console.log(`  [Comando] Cancelado para ${senderId.split('@')[0]}: ${cancelled.join(', ')}`);
+    return `Listo, cancelé ${cancelled.join(', ')}.`;
+  }
+
   async processPendingMessages(senderId) {
     // Acquire per-user processing lock to prevent concurrent batch processing
     const existingLock = userProcessingLocks.get(senderId);
@@ -413,6 +910,7 @@ class TrashReportBot {
       pendingMessages.delete(senderId);
       return;
     }
+    const group = findGroupConfig(chat) || GROUP_DEFAULTS;
 
     // Check if there's a pending info request waiting for user response
     if (this.pendingInfoRequests?.has(senderId)) {
@@ -446,7 +944,23 @@ class TrashReportBot {
         // Continue to normal flow below (don't return)
       } else {
         // Handle based on what field we're waiting for
-        if (awaitingField === 'photo') {
+        if (awaitingField === 'resolutionConfirmation') {
+          // Answer to "¿Se resolvió de verdad?" after the city closed a solicitud
+          const answer = (lastMessage?.text || '').toLowerCase().trim();
+          const confirmed = /^(si|sí|sep|sip|ok|dale|listo|ya est[aá]|se resolvi[oó]|s[ií],.*)$/i.test(answer);
+          const denied = /^no\b|sigue|todav[ií]a|para nada|mentira|no se resolvi/i.test(answer) || pending.messages.some(m => m.photo);
+
+          if (confirmed || denied) {
+            this.pendingInfoRequests.delete(senderId);
+            pendingMessages.delete(senderId);
+            await this.handleResolutionAnswer(pendingRequest, confirmed && !denied, pending.messages);
+            return;
+          }
+
+          // Not an answer - drop the follow-up and treat the message as usual
+          console.log(`[Status] Respuesta no reconocida para #${pendingRequest.solicitudNumber}, procesando como mensaje normal`);
+          this.pendingInfoRequests.delete(senderId);
+        } else if (awaitingField === 'photo') {
         // Looking for a photo - first check new messages
         let photoMsg = pending.messages.find(m => m.photo);
 
@@ -492,7 +1006,7 @@ class TrashReportBot {
           // Keep waiting for photo
           return;
         }
-      } else if (awaitingField === 'photos' && pendingRequest.reportType === 'vehiculo_mal_estacionado') {
+      } else if (awaitingField === 'photos' && minPhotos(pendingRequest.reportType) > 1) {
         // Looking for additional photos for vehicle report
         const newPhotos = pending.messages.filter(m => m.photo).map(m => m.photo);
         if (newPhotos.length > 0) {
@@ -501,7 +1015,10 @@ class TrashReportBot {
           pendingRequest.photos = [...existingPhotos, ...newPhotos];
           console.log(`[Pending Info] Vehicle report now has ${pendingRequest.photos.length} photo(s)`);
 
-          if (pendingRequest.photos.length >= 2) {
+          if (pendingRequest.photos.length >= minPhotos(pendingRequest.reportType)) {
+            if (!pendingRequest.infractionTime) {
+              pendingRequest.infractionTime = this.photoCaptureTime(pendingRequest.photos);
+            }
             // We have enough photos now, check for other missing fields
             if (!pendingRequest.patente) {
               // Still need patente
@@ -514,6 +1031,7 @@ class TrashReportBot {
               await chat.sendMessage(`${mentionText} ${patenteQuestion}`.trim(), { mentions });
               pendingRequest.awaitingField = 'patente';
               pendingRequest.awaitingQuestion = patenteQuestion;
+              this.pendingInfoRequests.persist(senderId);
               pendingMessages.delete(senderId);
               return;
             } else if (!pendingRequest.infractionTime) {
@@ -527,6 +1045,7 @@ class TrashReportBot {
               await chat.sendMessage(`${mentionText} ${timeQuestion}`.trim(), { mentions });
               pendingRequest.awaitingField = 'infractionTime';
               pendingRequest.awaitingQuestion = timeQuestion;
+              this.pendingInfoRequests.persist(senderId);
               pendingMessages.delete(senderId);
               return;
             }
@@ -541,6 +1060,8 @@ class TrashReportBot {
               vehicles.shift(); // Remove the first (submitted) vehicle
               if (vehicles.length === 0) {
                 vehiclePatenteQueue.delete(senderId);
+              } else {
+                vehiclePatenteQueue.persist(senderId);
               }
               console.log(`[Pending Info] Removed submitted vehicle from queue (${vehicles.length} remaining)`);
             }
@@ -556,6 +1077,7 @@ class TrashReportBot {
             const mentionText = senderInfo ? `@${senderInfo.senderPhone}` : '';
 
             await chat.sendMessage(`${mentionText} Necesito una foto más para el reporte. ¿Podés mandar otra donde se vea la patente?`.trim(), { mentions });
+            this.pendingInfoRequests.persist(senderId);
             pendingMessages.delete(senderId);
             return;
           }
@@ -565,7 +1087,22 @@ class TrashReportBot {
       } else if (awaitingField === 'address' && lastMessage?.text) {
         // Looking for address - extract clean address from user's response
         console.log(`[Pending Info] User provided address response: "${lastMessage.text}"`);
-        const cleanAddress = await this.extractCleanAddress(lastMessage.text);
+        const extracted = await this.extractCleanAddress(lastMessage.text, pendingRequest.usageRef);
+        const resolution = resolveAddress(extracted);
+        const addressProblem = describeAddressProblem(resolution);
+        if (addressProblem) {
+          // Keep waiting for an address we can find in the callejero
+          const senderInfo = this.senderIdCache?.get(senderId);
+          const mentions = senderInfo ? [senderInfo.senderId] : [];
+          const mentionText = senderInfo ? `@${senderInfo.senderPhone}` : '';
+          console.log(`[Pending Info] Address "${extracted}" failed validation (${resolution.status})`);
+          await pendingRequest.chat.sendMessage(`${mentionText} ${addressProblem}`.trim(), { mentions });
+          pendingRequest.awaitingQuestion = addressProblem;
+          this.pendingInfoRequests.persist(senderId);
+          pendingMessages.delete(senderId);
+          return;
+        }
+        const cleanAddress = resolution.status === 'unparsed' ? extracted : resolution.address;
         pendingRequest.address = cleanAddress;
 
         this.pendingInfoRequests.delete(senderId);
@@ -579,7 +1116,7 @@ class TrashReportBot {
         // Looking for report type clarification - use Claude to interpret natural language
         console.log(`[Pending Info] User provided report type: "${lastMessage.text}"`);
 
-        const reportType = await this.extractReportType(lastMessage.text);
+        const reportType = await this.extractReportType(lastMessage.text, pendingRequest.usageRef);
         pendingRequest.reportType = reportType;
         console.log(`[Pending Info] Claude mapped to reportType: ${reportType}`);
 
@@ -588,9 +1125,9 @@ class TrashReportBot {
         const mentions = senderInfo ? [senderInfo.senderId] : [];
         const mentionText = senderInfo ? `@${senderInfo.senderPhone}` : '';
 
-        // If manteros, we need to ask for schedule before submitting
-        if (reportType === 'manteros' && !pendingRequest.schedule) {
-          const scheduleQuestion = `¿Qué días y horarios están los vendedores ambulantes en ${pendingRequest.address}?`;
+        // If the type needs a schedule (manteros), we need to ask for it before submitting
+        if (requiresField(reportType, 'schedule') && !pendingRequest.schedule) {
+          const scheduleQuestion = fieldQuestion(reportType, 'schedule', { address: pendingRequest.address });
 
           // Try to find and quote the original photo message from history
           const userHistory = userMessageHistory.get(senderId) || [];
@@ -606,6 +1143,7 @@ class TrashReportBot {
           pendingRequest.awaitingField = 'schedule';
           pendingRequest.awaitingQuestion = scheduleQuestion;
           // Keep it in pendingInfoRequests (don't delete)
+          this.pendingInfoRequests.persist(senderId);
           pendingMessages.delete(senderId);
           return;
         }
@@ -613,19 +1151,7 @@ class TrashReportBot {
         this.pendingInfoRequests.delete(senderId);
         pendingMessages.delete(senderId);
 
-        const reportLabels = {
-          recoleccion: 'recolección de residuos',
-          barrido: 'mejora de barrido',
-          obstruccion: 'obstrucción de vereda',
-          ocupacion_comercial: 'ocupación por local comercial',
-          ocupacion_gastronomica: 'ocupación gastronómica',
-          manteros: 'vendedores ambulantes',
-          puesto_diarios: 'irregularidades en puesto de diarios',
-          puesto_flores: 'irregularidades en puesto de flores',
-          vehiculo_mal_estacionado: 'vehículo mal estacionado'
-        };
-
-        await chat.sendMessage(`${mentionText} Ya mando la solicitud de ${reportLabels[reportType]} en ${pendingRequest.address}...`.trim(), { mentions });
+        await chat.sendMessage(`${mentionText} Ya mando la solicitud de ${reportTypeLabel(reportType, 'description')} en ${pendingRequest.address}...`.trim(), { mentions });
         console.log(`[Pending Info] Submitting with reportType: ${reportType}`);
         await this.submitRequest(pendingRequest);
         return;
@@ -725,6 +1251,7 @@ class TrashReportBot {
           const vehicles = vehiclePatenteQueue.get(senderId);
           // Remove the one we just submitted (first in queue)
           vehicles.shift();
+          vehiclePatenteQueue.persist(senderId);
 
           if (vehicles.length > 0) {
             // Set up the next vehicle
@@ -797,6 +1324,7 @@ class TrashReportBot {
           // Can cancel - request is still in queue
           const oldAddress = requestQueue[pendingRequestIdx].address;
           requestQueue[pendingRequestIdx].address = extraction.correctedAddress;
+          this.persistQueuedRequest(requestQueue[pendingRequestIdx]);
           console.log(`  [Bot] Corrección: "${oldAddress}" → "${extraction.correctedAddress}"`);
           await chat.sendMessage(`${mentionText} Dale, cambio la dirección a ${extraction.correctedAddress}.`.trim(), { mentions });
         } else if (pendingRequestIdx !== -1) {
@@ -806,8 +1334,9 @@ class TrashReportBot {
 
           // Queue the corrected address as a new request
           const existingReq = requestQueue[pendingRequestIdx];
-          requestQueue.push({
+          this.enqueueRequest({
             ...existingReq,
+            jobId: null,
             address: extraction.correctedAddress
           });
         } else {
@@ -871,6 +1400,8 @@ class TrashReportBot {
                 reportType: partialInfo.reportType || null,  // Save reportType if Claude already identified it
                 patente: partialInfo.patente || null,  // Save patente if Claude extracted it
                 infractionTime: partialInfo.infractionTime || null,  // Save time if Claude extracted it
+                usageRef: partialInfo.usageRef || null,
+                promptVersion: partialInfo.promptVersion || null,
                 awaitingField,
                 awaitingQuestion: extraction.response
               });
@@ -897,17 +1428,19 @@ class TrashReportBot {
         const mentions = senderInfo ? [senderInfo.senderId] : [];
         const mentionText = senderInfo ? `@${senderInfo.senderPhone}` : '';
 
-        // Check for duplicates in last 12 hours (per address + report type)
+        // Check for duplicates within the group's dedup window (per address + report type)
         const processedAddresses = this.getProcessedSolicitudes();
         const newRequests = [];
         const duplicates = [];
+        const notAllowed = []; // Report types this group doesn't handle
         const invalidAddresses = [];
+        const unknownAddresses = []; // Not in the callejero (or number out of range)
 
         // Helper to validate addresses
         const isValidAddress = (address) => {
           if (!address || typeof address !== 'string') return false;
-          // Must have at least one number (street number)
-          if (!/\d+/.test(address)) return false;
+          // Must be "street number", a corner ("Corrientes y Callao") or "Calle N entre X e Y"
+          if (!parseAddress(address)) return false;
           // Must not be placeholder text
           const invalidPatterns = [
             /pendiente/i,
@@ -943,19 +1476,42 @@ class TrashReportBot {
             continue;
           }
 
-          const recentDupe = this.isRecentDuplicate(req.address, req.reportType, processedAddresses, req.patente);
+          // Canonical street name from the callejero; unknown streets are asked about
+          const resolution = resolveAddress(req.address);
+          const addressProblem = describeAddressProblem(resolution);
+          if (addressProblem) {
+            console.log(`  [Callejero] "${req.address}": ${resolution.status}`);
+            unknownAddresses.push({ ...req, addressProblem });
+            continue;
+          }
+          if (resolution.status !== 'unparsed' && resolution.address !== req.address) {
+            console.log(`  [Callejero] "${req.address}" -> "${resolution.address}"`);
+            req.address = resolution.address;
+          }
+
+          if (!isReportTypeAllowed(group, req.reportType)) {
+            console.log(`  [Grupo] ${req.reportType} no habilitado en "${group.name || chat.name}", ignorando ${req.address}`);
+            notAllowed.push(req);
+            continue;
+          }
+
+          const recentDupe = this.isRecentDuplicate(req.address, req.reportType, processedAddresses, req.patente, group.dedupWindowHours);
           if (recentDupe) {
             duplicates.push({ address: req.address, reportType: req.reportType, solicitudNumber: recentDupe.solicitudNumber, patente: req.patente });
-          } else if (req.reportType === 'manteros' && (!req.schedule || req.schedule === 'No especificado')) {
+          } else if (requiresField(req.reportType, 'schedule') && (!req.schedule || req.schedule === 'No especificado')) {
             // Manteros requests need a schedule - ask for it instead of queueing
             needsSchedule.push(req);
-          } else if ((req.reportType === 'puesto_diarios' || req.reportType === 'puesto_flores') && !req.situationType) {
+          } else if (requiresField(req.reportType, 'situationType') && !req.situationType) {
             // Puesto requests need a situation type - ask for it instead of queueing
             needsSituationType.push(req);
-          } else if (req.reportType === 'vehiculo_mal_estacionado') {
+          } else if (requiresField(req.reportType, 'patente')) {
+            if (!req.infractionTime) {
+              req.infractionTime = this.photoCaptureTime(pending.messages.filter(m => m.photo).map(m => m.photo));
+              if (req.infractionTime) console.log(`  [Vehicle] infractionTime from EXIF: ${req.infractionTime}`);
+            }
             // Vehicle reports need: 2 photos, patente, infractionTime, AND patente confirmation
-            if (photoCount < 2) {
-              console.log(`  [Vehicle] Only ${photoCount} photo(s), need 2`);
+            if (photoCount < minPhotos(req.reportType)) {
+              console.log(`  [Vehicle] Only ${photoCount} photo(s), need ${minPhotos(req.reportType)}`);
               needsVehicleInfo.push({ ...req, missingField: 'photos' });
             } else if (!req.patente) {
               console.log(`  [Vehicle] Missing patente`);
@@ -973,12 +1529,40 @@ class TrashReportBot {
           }
         }
 
+        // Tell the sender which types this group doesn't report
+        if (notAllowed.length > 0) {
+          const labels = [...new Set(notAllowed.map(r => reportTypeLabel(r.reportType)))];
+          const mentionText = senderInfo ? `@${senderInfo.senderPhone}` : '';
+          await chat.sendMessage(`${mentionText} En este grupo no hago reportes de ${labels.join(', ').toLowerCase()}. Mandá *!tipos* para ver cuáles sí.`.trim(), { mentions });
+        }
+
+        // Ask about addresses the callejero doesn't know, before they fail in the browser
+        for (const req of unknownAddresses) {
+          await chat.sendMessage(`${mentionText} ${req.addressProblem}`.trim(), { mentions });
+        }
+        if (unknownAddresses.length > 0 && !this.pendingInfoRequests.has(senderId)) {
+          // The answer goes through the awaitingField 'address' flow, which keeps the photo
+          const req = unknownAddresses[0];
+          const photoMsg = (req.msgIndex && pending.messages[req.msgIndex - 1]?.photo) ? pending.messages[req.msgIndex - 1] : pending.messages.find(m => m.photo);
+          const { addressProblem, ...request } = req;
+          this.pendingInfoRequests.set(senderId, {
+            ...request,
+            senderId,
+            senderName: pending.senderName,
+            photo: photoMsg?.photo || null,
+            photoMsgId: photoMsg?.msgId || null,
+            chat,
+            awaitingField: 'address',
+            awaitingQuestion: addressProblem
+          });
+        }
+
         // Handle manteros requests that need schedule info
         if (needsSchedule.length > 0 && newRequests.length === 0 && duplicates.length === 0) {
           const req = needsSchedule[0]; // Handle first one
           const photoMsg = pending.messages.find(m => m.photo);
           const photo = photoMsg?.photo || null;
-          const scheduleQuestion = `¿Qué días y horarios están los vendedores ambulantes en ${req.address}?`;
+          const scheduleQuestion = fieldQuestion(req.reportType, 'schedule', { address: req.address });
 
           // Quote the photo message if available
           const msgToQuote = photoMsg || pending.messages.find(m => m.text?.toLowerCase().includes('mantero'));
@@ -999,7 +1583,9 @@ class TrashReportBot {
             address: req.address,
             photo,
             chat,
-            reportType: 'manteros',
+            reportType: req.reportType,
+            usageRef: req.usageRef || null,
+            promptVersion: req.promptVersion || null,
             awaitingField: 'schedule',
             awaitingQuestion: scheduleQuestion
           });
@@ -1013,8 +1599,7 @@ class TrashReportBot {
           const req = needsSituationType[0]; // Handle first one
           const photoMsg = pending.messages.find(m => m.photo);
           const photo = photoMsg?.photo || null;
-          const typeLabel = req.reportType === 'puesto_diarios' ? 'puesto de diarios' : 'puesto de flores';
-          const situationQuestion = `¿Cuál es el problema con el ${typeLabel} en ${req.address}? ¿Obstruye la vereda, está abandonado, o está deteriorado?`;
+          const situationQuestion = fieldQuestion(req.reportType, 'situationType', { address: req.address });
 
           // Quote the photo message if available
           const msgToQuote = photoMsg || pending.messages[pending.messages.length - 1];
@@ -1036,6 +1621,8 @@ class TrashReportBot {
             photo,
             chat,
             reportType: req.reportType,
+            usageRef: req.usageRef || null,
+            promptVersion: req.promptVersion || null,
             awaitingField: 'situationType',
             awaitingQuestion: situationQuestion
           });
@@ -1077,8 +1664,8 @@ class TrashReportBot {
             // Vehicle reports require at least 2 photos (infraction + patente)
             // If we don't have 2 photos, override missingField to ask for more
             let effectiveMissingField = req.missingField;
-            if (vehiclePhotos.length < 2) {
-              console.log(`  [Vehicle] ⚠️ Only ${vehiclePhotos.length} photo(s), need at least 2. Setting missingField to 'photos'`);
+            if (vehiclePhotos.length < minPhotos(req.reportType)) {
+              console.log(`  [Vehicle] ⚠️ Only ${vehiclePhotos.length} photo(s), need at least ${minPhotos(req.reportType)}. Setting missingField to 'photos'`);
               effectiveMissingField = 'photos';
             }
 
@@ -1088,12 +1675,14 @@ class TrashReportBot {
               address: req.address,
               photos: vehiclePhotos,
               chat,
-              reportType: 'vehiculo_mal_estacionado',
+              reportType: req.reportType,
               patente: req.patente || null,
               infractionTime: req.infractionTime || null,
               missingField: effectiveMissingField,
               photoMsgId: primaryPhotoMsgId,
-              postToX: req.postToX || false
+              postToX: req.postToX || false,
+              usageRef: req.usageRef || null,
+              promptVersion: req.promptVersion || null
             };
 
             // Add to vehicle patente queue
@@ -1101,6 +1690,7 @@ class TrashReportBot {
               vehiclePatenteQueue.set(senderId, []);
             }
             vehiclePatenteQueue.get(senderId).push(vehicleReport);
+            vehiclePatenteQueue.persist(senderId);
             console.log(`  [Vehicle] Queued ${req.patente || 'unknown'} for ${req.missingField} (${vehiclePatenteQueue.get(senderId).length} in queue)`);
           }
 
@@ -1148,22 +1738,11 @@ class TrashReportBot {
 
         // Notify about duplicates
         if (duplicates.length > 0) {
-          const reportLabelsForDupe = {
-            recoleccion: 'recolección',
-            barrido: 'barrido',
-            obstruccion: 'obstrucción',
-            ocupacion_comercial: 'ocupación comercial',
-            ocupacion_gastronomica: 'ocupación gastronómica',
-            manteros: 'manteros',
-            puesto_diarios: 'puesto de diarios',
-            puesto_flores: 'puesto de flores',
-            vehiculo_mal_estacionado: 'vehículo mal estacionado'
-          };
           for (const dupe of duplicates) {
             const dupeUrl = `https://bacolaborativa.buenosaires.gob.ar/detalleSolicitud/${dupe.solicitudNumber.replace(/\//g, '&')}?vieneDeMisSolicitudes=false`;
-            const typeLabel = reportLabelsForDupe[dupe.reportType] || 'recolección';
+            const typeLabel = reportTypeLabel(dupe.reportType, 'shortLabel');
             await chat.sendMessage(
-              `${mentionText} Ya mandé una solicitud de ${typeLabel} para ${dupe.address} en las últimas 12 horas (#${dupe.solicitudNumber}).\n${dupeUrl}`.trim(),
+              `${mentionText} Ya mandé una solicitud de ${typeLabel} para ${dupe.address} en las últimas ${group.dedupWindowHours} horas (#${dupe.solicitudNumber}).\n${dupeUrl}`.trim(),
               { mentions }
             );
             console.log(`  [Bot] Duplicado detectado: ${dupe.address} [${dupe.reportType}] (#${dupe.solicitudNumber})`);
@@ -1173,20 +1752,9 @@ class TrashReportBot {
         // Process new (non-duplicate) requests
         if (newRequests.length > 0) {
           // Build descriptive message for each request type
-          const reportLabels = {
-            recoleccion: 'recolección de residuos',
-            barrido: 'mejora de barrido',
-            obstruccion: 'obstrucción de vereda',
-            ocupacion_comercial: 'ocupación por local comercial',
-            ocupacion_gastronomica: 'ocupación gastronómica',
-            manteros: 'vendedores ambulantes',
-            puesto_diarios: 'irregularidades en puesto de diarios',
-            puesto_flores: 'irregularidades en puesto de flores',
-            vehiculo_mal_estacionado: 'vehículo mal estacionado'
-          };
           const requestDescriptions = newRequests.map(r => {
             const addr = r.address;
-            const label = reportLabels[r.reportType] || 'recolección de residuos';
+            const label = reportTypeLabel(r.reportType, 'description');
             return `${label} en ${addr}`;
           });
 
@@ -1199,7 +1767,7 @@ class TrashReportBot {
 
           // Get all vehicle request msgIndex values to know boundaries (avoid mixing photos)
           const vehicleMsgIndexes = newRequests
-            .filter(r => r.reportType === 'vehiculo_mal_estacionado' && r.msgIndex)
+            .filter(r => minPhotos(r.reportType) > 1 && r.msgIndex)
             .map(r => r.msgIndex)
             .sort((a, b) => a - b);
 
@@ -1209,7 +1777,7 @@ class TrashReportBot {
             // Use normalizeAddressForComparison for consistent key generation
             // For vehicle reports, include patente in the key (different vehicles at same address are different reports)
             let addrKey = this.normalizeAddressForComparison(req.address);
-            if (req.reportType === 'vehiculo_mal_estacionado' && req.patente) {
+            if (requiresField(req.reportType, 'patente') && req.patente) {
               addrKey = `${addrKey}|${req.patente.toUpperCase()}`;
             }
             const recentlyQueued = recentlyQueuedAddresses.get(addrKey);
@@ -1235,7 +1803,7 @@ class TrashReportBot {
 
             // For vehiculo_mal_estacionado, collect photos that belong to THIS report only
             // Stop before the next vehicle's msgIndex to avoid mixing photos
-            if (req.reportType === 'vehiculo_mal_estacionado') {
+            if (minPhotos(req.reportType) > 1) {
               photos = [];
               const startIdx = primaryMsgIndex !== null ? primaryMsgIndex : 0;
 
@@ -1271,7 +1839,7 @@ class TrashReportBot {
               console.log(`  [X] Request marked for X/Twitter posting: ${req.address}`);
             }
 
-            requestQueue.push({
+            this.enqueueRequest({
               senderId,
               senderName: pending.senderName,
               address: req.address,
@@ -1284,7 +1852,9 @@ class TrashReportBot {
               photo,
               photos, // For vehiculo_mal_estacionado: all photos
               chat,
-              postToX: shouldPostToX
+              postToX: shouldPostToX,
+              usageRef: req.usageRef || null,
+              promptVersion: req.promptVersion || null
             });
             queuedCount++;
           }
@@ -1354,280 +1924,683 @@ class TrashReportBot {
   }
 
   async extractRequests(pending, senderId, includeBotContext = false) {
-      // Always include recent context so Claude understands the full picture
-      // This ensures different issues from the same user are properly distinguished
-
-      const hasPendingInfoRequest = this.pendingInfoRequests?.has(senderId);
-      const askedQuestionRecently = pending.askedQuestion === true;
-      const userHistory = senderId ? (userMessageHistory.get(senderId) || []) : [];
-
-      // Always provide context from last 10 messages, but mark which are NEW vs HISTORY
-      const historyMessages = userHistory.slice(-10);
-      const newMessageIds = new Set(pending.messages.map(m => m.timestamp?.getTime()));
-
-      // Build context summary of recent history (excluding current batch)
-      const historyContext = historyMessages
-        .filter(m => !newMessageIds.has(m.timestamp?.getTime()))
-        .map(m => {
-          let desc = m.text || '';
-          if (m.photo) {
-            if (m.photoDescription) {
-              desc += desc ? ` [FOTO: ${m.photoDescription}]` : `[FOTO: ${m.photoDescription}]`;
-            } else {
-              desc += desc ? ' [FOTO]' : '[FOTO]';
-            }
+    // Every call for this batch of messages is billed to one usageRef, which
+    // travels with the requests it produces (see usage.js)
+    if (!pending.usageRef) pending.usageRef = createUsageRef();
+    const usageRef = pending.usageRef;
+    const group = findGroupConfigById(pending.chatId) || findGroupConfig(this.chatCache.get(senderId)) || GROUP_DEFAULTS;
+    // system-prompt.txt is read (and versioned) on every request, unless the
+    // group is pinned to a version or a coordinator rolled back with !prompt
+    const basePrompt = getPrompt({ version: this.promptVersionFor(group) });
+    let systemPrompt = basePrompt.text;
+    if (group.promptNote) {
+      systemPrompt += `\n\n${group.promptNote}`;
+    }
+    if (group.tone) {
+      systemPrompt += `\n\nTono de las respuestas en esta conversación: ${group.tone}`;
+    }
+    // Always include recent context so Claude understands the full picture
+    // This ensures different issues from the same user are properly distinguished
+
+    const hasPendingInfoRequest = this.pendingInfoRequests?.has(senderId);
+    const askedQuestionRecently = pending.askedQuestion === true;
+    const userHistory = senderId ? (userMessageHistory.get(senderId) || []) : [];
+
+    // Always provide context from last 10 messages, but mark which are NEW vs HISTORY
+    const historyMessages = userHistory.slice(-10);
+    const newMessageIds = new Set(pending.messages.map(m => m.timestamp?.getTime()));
+
+    // Build context summary of recent history (excluding current batch)
+    const historyContext = historyMessages
+      .filter(m => !newMessageIds.has(m.timestamp?.getTime()))
+      .map(m => {
+        let desc = m.text || '';
+        if (m.photo) {
+          if (m.photoDescription) {
+            desc += desc ? ` [FOTO: ${m.photoDescription}]` : `[FOTO: ${m.photoDescription}]`;
+          } else {
+            desc += desc ? ' [FOTO]' : '[FOTO]';
           }
-          return desc;
-        })
-        .filter(d => d.length > 0);
-
-      // Messages to actually process (with images) - use history if needed, otherwise just new
-      let messagesToProcess;
-      if (hasPendingInfoRequest || askedQuestionRecently) {
-        // Use recent history for full context when waiting for info
-        messagesToProcess = historyMessages.slice(-5);
-        const reason = hasPendingInfoRequest ? 'pending info request' : 'asked question recently';
-        console.log(`  [Context] Using history (${reason}) - ${messagesToProcess.length} messages`);
-
-        if (askedQuestionRecently) {
-          pending.askedQuestion = false;
-        }
-      } else {
-        // Normal mode: process NEW messages, but Claude sees history context
-        messagesToProcess = pending.messages;
-        console.log(`  [Context] Processing ${messagesToProcess.length} NEW message(s) from ${senderId?.split('@')[0] || 'unknown'}`);
-        if (historyContext.length > 0) {
-          console.log(`  [Context] Including ${historyContext.length} recent history messages as context`);
         }
+        return desc;
+      })
+      .filter(d => d.length > 0);
+
+    // Messages to actually process (with images) - use history if needed, otherwise just new
+    let messagesToProcess;
+    if (hasPendingInfoRequest || askedQuestionRecently) {
+      // Use recent history for full context when waiting for info
+      messagesToProcess = historyMessages.slice(-5);
+      const reason = hasPendingInfoRequest ? 'pending info request' : 'asked question recently';
+      console.log(`  [Context] Using history (${reason}) - ${messagesToProcess.length} messages`);
+
+      if (askedQuestionRecently) {
+        pending.askedQuestion = false;
       }
-
-      // Build bot context if provided (for startup recovery)
-      let botContextText = '';
-      if (includeBotContext && pending.botContext && pending.botContext.length > 0) {
-        botContextText = '\nMENSAJES ANTERIORES DEL BOT (ya preguntaste esto, NO repitas):\n' +
-          pending.botContext.map(b => `- Bot: ${b.text}`).join('\n') + '\n';
-        console.log(`  [Context] Including ${pending.botContext.length} bot message(s) as context`);
+    } else {
+      // Normal mode: process NEW messages, but Claude sees history context
+      messagesToProcess = pending.messages;
+      console.log(`  [Context] Processing ${messagesToProcess.length} NEW message(s) from ${senderId?.split('@')[0] || 'unknown'}`);
+      if (historyContext.length > 0) {
+        console.log(`  [Context] Including ${historyContext.length} recent history messages as context`);
       }
+    }
 
-      // Build message list with text and photo indicators
-      const messagesWithPhotos = messagesToProcess.map((m, i) => {
-        let desc = '';
-        if (m.text) desc += m.text;
-        if (m.photo) desc += desc ? ' [+FOTO]' : '[FOTO sin texto]';
-        return `Msg${i + 1}: ${desc}`;
-      }).join('\n');
-
-      const photos = messagesToProcess.filter(m => m.photo).map(m => m.photo);
-      const hasPhotos = photos.length > 0;
+    // Build bot context if provided (for startup recovery)
+    let botContextText = '';
+    if (includeBotContext && pending.botContext && pending.botContext.length > 0) {
+      botContextText = '\nMENSAJES ANTERIORES DEL BOT (ya preguntaste esto, NO repitas):\n' +
+        pending.botContext.map(b => `- Bot: ${b.text}`).join('\n') + '\n';
+      console.log(`  [Context] Including ${pending.botContext.length} bot message(s) as context`);
+    }
 
-      // Build history context string if we have previous messages
-      let historyText = '';
-      if (historyContext.length > 0) {
-        historyText = `\nMENSAJES RECIENTES (ya procesados, solo para contexto):\n${historyContext.map((h, i) => `- ${h}`).join('\n')}\n`;
+    // Build message list with text and photo indicators
+    const today = new Date().toDateString();
+    const messagesWithPhotos = messagesToProcess.map((m, i) => {
+      let desc = '';
+      if (m.text) desc += m.text;
+      if (m.photo) desc += desc ? ' [+FOTO]' : '[FOTO sin texto]';
+      if (m.photo && m.photoGpsAddress) desc += ` [GPS de la foto: ${m.photoGpsAddress}]`;
+      if (m.photo && m.photoTakenAt && new Date(m.photoTakenAt).toDateString() === today) {
+        const takenAt = new Date(m.photoTakenAt);
+        desc += ` [HORA de la foto: ${takenAt.getHours().toString().padStart(2, '0')}:${takenAt.getMinutes().toString().padStart(2, '0')}]`;
       }
+      return `Msg${i + 1}: ${desc}`;
+    }).join('\n');
+
+    const photos = messagesToProcess.filter(m => m.photo).map(m => m.photo);
+    const hasPhotos = photos.length > 0;
+
+    // Build history context string if we have previous messages
+    let historyText = '';
+    if (historyContext.length > 0) {
+      historyText = `\nMENSAJES RECIENTES (ya procesados, solo para contexto):\n${historyContext.map((h, i) => `- ${h}`).join('\n')}\n`;
+    }
 
-      const prompt = `${botContextText}${historyText}MENSAJES NUEVOS DE ${pending.senderName}:
+    const prompt = `${botContextText}${historyText}MENSAJES NUEVOS DE ${pending.senderName}:
 ${messagesWithPhotos}
 
 ${hasPhotos ? `[Envió ${photos.length} foto(s) NUEVA(s) - analizalas. Cada foto corresponde al mensaje marcado con [+FOTO]]` : '[No envió fotos nuevas]'}
 
 ¿Hay algo actionable en los mensajes NUEVOS? Recordá que DEBE verse un contenedor de CABA en la foto para ser válido.${botContextText ? '\n\nIMPORTANTE: Si ya preguntaste algo arriba, NO vuelvas a preguntar lo mismo.' : ''}`;
 
-      // Build message content with images if available
-      const content = [];
-
-      // Add photos with labels for vision analysis
-      if (hasPhotos) {
-        for (let i = 0; i < messagesToProcess.length; i++) {
-          const m = messagesToProcess[i];
-          if (m.photo) {
-            // Check if photo file exists (it may have been deleted after previous submission)
-            if (!fs.existsSync(m.photo)) {
-              console.log(`  [Photo] File no longer exists (already submitted?): ${path.basename(m.photo)}`);
-              m.photo = null; // Clear the reference
-              continue;
-            }
+    // Build message content with images if available
+    const content = [];
+
+    // Add photos with labels for vision analysis
+    if (hasPhotos) {
+      for (let i = 0; i < messagesToProcess.length; i++) {
+        const m = messagesToProcess[i];
+        if (m.photo) {
+          // Check if photo file exists (it may have been deleted after previous submission)
+          if (!fs.existsSync(m.photo)) {
+            console.log(`  [Photo] File no longer exists (already submitted?): ${path.basename(m.photo)}`);
+            m.photo = null; // Clear the reference
+            continue;
+          }
 
-            try {
-              const imageData = fs.readFileSync(m.photo);
-              const base64 = imageData.toString('base64');
-              const ext = path.extname(m.photo).slice(1).toLowerCase();
-              const mediaType = ext === 'jpg' ? 'image/jpeg' : `image/${ext}`;
-
-              // Add label before image
-              content.push({
-                type: 'text',
-                text: `[Foto del Msg${i + 1}${m.text ? ': "' + m.text + '"' : ''}]`
-              });
+          try {
+            const imageData = fs.readFileSync(m.photo);
+            const base64 = imageData.toString('base64');
+            const ext = path.extname(m.photo).slice(1).toLowerCase();
+            const mediaType = ext === 'jpg' ? 'image/jpeg' : `image/${ext}`;
+
+            // Add label before image
+            content.push({
+              type: 'text',
+              text: `[Foto del Msg${i + 1}${m.text ? ': "' + m.text + '"' : ''}]`
+            });
 
-              content.push({
-                type: 'image',
-                source: {
-                  type: 'base64',
-                  media_type: mediaType,
-                  data: base64
-                }
-              });
-            } catch (e) {
-              console.error('Error loading photo:', e);
-              m.photo = null; // Clear the reference on error
-            }
+            content.push({
+              type: 'image',
+              source: {
+                type: 'base64',
+                media_type: mediaType,
+                data: base64
+              }
+            });
+          } catch (e) {
+            console.error('Error loading photo:', e);
+            m.photo = null; // Clear the reference on error
+          }
+        }
+      }
+    }
+
+    // Add text prompt
+    content.push({ type: 'text', text: prompt });
+
+    let response;
+    try {
+      // Retries on overload/5xx happen inside llm.js; each failed attempt is logged here
+      response = await llm.complete('extraction', {
+        max_tokens: EXTRACTION_MAX_TOKENS,
+        system: systemPrompt,
+        tools: [EXTRACTION_TOOL],
+        tool_choice: { type: 'tool', name: EXTRACTION_TOOL.name },
+        messages: [{ role: 'user', content }]
+      }, {
+        ref: usageRef,
+        onAttemptError: (error, attempt, maxAttempts) => {
+          const logLine = `[${new Date().toISOString()}] Attempt ${attempt}/${maxAttempts} - ${error.status || 'unknown'}: ${error.message}\n`;
+          fs.appendFileSync(ERRORS_LOG, logLine);
+          console.error(`  [Claude] Attempt ${attempt}/${maxAttempts} failed: ${error.status} ${error.message}`);
+        }
+      });
+    } catch (error) {
+      // All retries failed
+      const timestamp = new Date().toISOString();
+      fs.appendFileSync(ERRORS_LOG, `[${timestamp}] All retries failed for user message\n`);
+      console.error('  [Claude] All retries failed');
+      return { shouldRespond: true, requests: [], response: 'Disculpá, el sistema está saturado. Intentá de nuevo en unos minutos.' };
+    }
+
+    const result = await this.readExtraction(response, { systemPrompt, content, messageCount: messagesToProcess.length, usageRef });
+    if (!result) {
+      return { shouldRespond: true, requests: [], response: 'No entendí tu mensaje. ¿Podés decirme la dirección?' };
+    }
+    result.promptVersion = basePrompt.id;
+    if (Array.isArray(result.requests)) result.requests.forEach(req => { req.usageRef = usageRef; req.promptVersion = basePrompt.id; });
+    if (result.partialRequest) Object.assign(result.partialRequest, { usageRef, promptVersion: basePrompt.id });
+    console.log(`  [Claude raw] (prompt ${basePrompt.id})`, JSON.stringify(result).substring(0, 200));
+
+    // FALLBACK: If Claude returned empty requests but marked photo as invalid,
+    // and the text clearly mentions trash + has an address, create a default request
+    if (result.requests?.length === 0 && result.photoValid === false) {
+      const fullText = pending.messages.map(m => m.text || '').join(' ').toLowerCase();
+      const hasTrashKeywords = /basura|residuos|mugre|suciedad|contenedor|barrido/.test(fullText);
+      const addressMatch = fullText.match(/([a-záéíóúñ]+\s+\d+)/i);
+
+      if (hasTrashKeywords && addressMatch) {
+        console.log('  [Claude] FALLBACK: Photo marked invalid but text has trash keywords + address');
+        console.log(`  [Claude] Creating default "barrido" request for: ${addressMatch[1]}`);
+        result.requests = [{
+          address: addressMatch[1].split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' '),
+          reportType: 'barrido', // Default to barrido when photo unclear
+          containerType: 'negro',
+          msgIndex: 1
+        }];
+        result.photoValid = true; // Override
+      }
+    }
+
+    // Store image analysis descriptions in message history for future context
+    // This helps Claude understand what previous images contained
+    if (result.requests?.length > 0 || result.photoValid !== undefined) {
+      for (const m of messagesToProcess) {
+        if (m.photo && !m.photoDescription) {
+          // Find the request that matches this message
+          const matchingReq = result.requests?.find(r => r.msgIndex && messagesToProcess[r.msgIndex - 1] === m);
+          if (matchingReq) {
+            m.photoDescription = `${isReportType(matchingReq.reportType) ? reportTypeLabel(matchingReq.reportType, 'photoDescription') : matchingReq.reportType} en ${matchingReq.address}`;
+            console.log(`  [PhotoDesc] ${path.basename(m.photo)} → "${m.photoDescription}"`);
+          } else if (result.photoValid === false) {
+            m.photoDescription = 'foto no válida para reporte';
+            console.log(`  [PhotoDesc] ${path.basename(m.photo)} → "foto no válida"`);
+          } else if (result.response) {
+            // Claude asked a question, mark as pending analysis
+            m.photoDescription = 'pendiente de más info';
+            console.log(`  [PhotoDesc] ${path.basename(m.photo)} → "pendiente de más info"`);
           }
         }
       }
+    }
 
-      // Add text prompt
-      content.push({ type: 'text', text: prompt });
+    return result;
+  }
 
-      // Retry logic for Claude API
-      const MAX_RETRIES = 3;
-      let lastError = null;
+  // Tool input of an extraction response, normalized and validated against the
+  // schema in extraction.js. Invalid input gets one repair round-trip; if that
+  // also fails, only the requests that validate on their own are kept.
+  // Returns null when nothing usable came back.
+  async readExtraction(response, { systemPrompt, content, messageCount, usageRef = null }) {
+    const toolUse = findToolUse(response);
+    let input = normalizeExtraction(toolUse?.input);
+    const errors = validateExtraction(input, { messageCount });
+    if (errors.length === 0) return input;
+
+    console.log(`  [Claude] Extracción inválida (${response.stop_reason}): ${errors.join('; ')}`);
+    if (toolUse) {
+      try {
+        const repaired = await llm.complete('extraction', {
+          max_tokens: EXTRACTION_MAX_TOKENS,
+          system: systemPrompt,
+          tools: [EXTRACTION_TOOL],
+          tool_choice: { type: 'tool', name: EXTRACTION_TOOL.name },
+          messages: repairMessages(content, response, toolUse, errors)
+        }, { ref: usageRef });
+        const repairedInput = normalizeExtraction(findToolUse(repaired)?.input);
+        const repairedErrors = validateExtraction(repairedInput, { messageCount });
+        if (repairedErrors.length === 0) {
+          console.log('  [Claude] Extracción corregida');
+          return repairedInput;
+        }
+        console.log(`  [Claude] Sigue inválida tras corregir: ${repairedErrors.join('; ')}`);
+        if (repairedInput) input = repairedInput;
+      } catch (e) {
+        console.error('  [Claude] Error pidiendo la corrección:', e.message);
+      }
+    }
 
-      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        try {
-          // Use Sonnet 4 for better image analysis (3x cost of Haiku but much better vision)
-          const response = await anthropic.messages.create({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 1000, // Increased to prevent truncation
-            system: getSystemPrompt(),
-            messages: [{ role: 'user', content }]
-          });
+    if (!input || typeof input.shouldRespond !== 'boolean') return null;
+    return dropInvalidRequests(input, { messageCount });
+  }
 
-          const responseText = response.content[0].text;
-          console.log('  [Claude raw]', responseText.substring(0, 200));
-
-          // Parse JSON response - extract first complete JSON object
-          // Find the opening brace and then find the matching closing brace
-          const startIdx = responseText.indexOf('{');
-          if (startIdx !== -1) {
-            let braceCount = 0;
-            let endIdx = -1;
-            for (let i = startIdx; i < responseText.length; i++) {
-              if (responseText[i] === '{') braceCount++;
-              if (responseText[i] === '}') braceCount--;
-              if (braceCount === 0) {
-                endIdx = i;
-                break;
-              }
-            }
-            if (endIdx !== -1) {
-              const jsonStr = responseText.substring(startIdx, endIdx + 1);
-              try {
-                const result = JSON.parse(jsonStr);
-
-                // FALLBACK: If Claude returned empty requests but marked photo as invalid,
-                // and the text clearly mentions trash + has an address, create a default request
-                if (result.requests?.length === 0 && result.photoValid === false) {
-                  const fullText = pending.messages.map(m => m.text || '').join(' ').toLowerCase();
-                  const hasTrashKeywords = /basura|residuos|mugre|suciedad|contenedor|barrido/.test(fullText);
-                  const addressMatch = fullText.match(/([a-záéíóúñ]+\s+\d+)/i);
-
-                  if (hasTrashKeywords && addressMatch) {
-                    console.log('  [Claude] FALLBACK: Photo marked invalid but text has trash keywords + address');
-                    console.log(`  [Claude] Creating default "barrido" request for: ${addressMatch[1]}`);
-                    result.requests = [{
-                      address: addressMatch[1].split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' '),
-                      reportType: 'barrido', // Default to barrido when photo unclear
-                      containerType: 'negro',
-                      msgIndex: 1
-                    }];
-                    result.photoValid = true; // Override
-                  }
-                }
+  // Add a request to the submission queue and journal it so a restart doesn't drop it
+  enqueueRequest(request) {
+    const queued = { ...request, jobId: request.jobId || createJobId() };
+    requestQueue.push(queued);
+    this.persistQueuedRequest(queued);
+    return queued;
+  }
 
-                // Store image analysis descriptions in message history for future context
-                // This helps Claude understand what previous images contained
-                if (result.requests?.length > 0 || result.photoValid !== undefined) {
-                  const reportTypeLabels = {
-                    recoleccion: 'basura/residuos cerca de contenedor',
-                    barrido: 'calle sucia, necesita barrido',
-                    obstruccion: 'obstrucción en vereda',
-                    ocupacion_comercial: 'ocupación por comercio',
-                    ocupacion_gastronomica: 'ocupación gastronómica',
-                    manteros: 'vendedores ambulantes/manteros',
-                    puesto_diarios: 'puesto de diarios con irregularidades',
-                    puesto_flores: 'puesto de flores con irregularidades',
-                    vehiculo_mal_estacionado: 'vehículo mal estacionado'
-                  };
-
-                  for (const m of messagesToProcess) {
-                    if (m.photo && !m.photoDescription) {
-                      // Find the request that matches this message
-                      const matchingReq = result.requests?.find(r => r.msgIndex && messagesToProcess[r.msgIndex - 1] === m);
-                      if (matchingReq) {
-                        m.photoDescription = `${reportTypeLabels[matchingReq.reportType] || matchingReq.reportType} en ${matchingReq.address}`;
-                        console.log(`  [PhotoDesc] ${path.basename(m.photo)} → "${m.photoDescription}"`);
-                      } else if (result.photoValid === false) {
-                        m.photoDescription = 'foto no válida para reporte';
-                        console.log(`  [PhotoDesc] ${path.basename(m.photo)} → "foto no válida"`);
-                      } else if (result.response) {
-                        // Claude asked a question, mark as pending analysis
-                        m.photoDescription = 'pendiente de más info';
-                        console.log(`  [PhotoDesc] ${path.basename(m.photo)} → "pendiente de más info"`);
-                      }
-                    }
-                  }
-                }
+  persistQueuedRequest(request) {
+    jobStore.put('queue', request.jobId, toStoredRequest(request));
+  }
 
-                return result;
-              } catch (parseErr) {
-                console.error('  [Claude] JSON parse error:', parseErr.message);
-                console.error('  [Claude] Attempted to parse:', jsonStr.substring(0, 200));
-              }
-            }
-          }
+  // Re-attach the live chat object to a request loaded from the journal
+  async hydrateRequest(stored) {
+    if (!stored?.chatId) return null;
+    try {
+      const chat = await this.client.getChatById(stored.chatId);
+      if (stored.senderId) {
+        this.chatCache.set(stored.senderId, chat);
+      }
+      return { ...stored, chat };
+    } catch (e) {
+      console.log(`[Restore] Chat ${stored.chatId} no disponible: ${e.message}`);
+      return null;
+    }
+  }
 
-          return { shouldRespond: true, requests: [], response: 'No entendí tu mensaje. ¿Podés decirme la dirección?' };
+  // Reload everything that was in flight when the bot last stopped
+  async restoreState() {
+    const queued = jobStore.entries('queue');
+    const retries = jobStore.entries('retries');
+    const pendingInfo = jobStore.entries('pendingInfo');
+    const vehicles = jobStore.entries('vehicleQueue');
+    const buffered = jobStore.entries('pendingMessages');
 
-        } catch (error) {
-          lastError = error;
-          const isOverloaded = error.status === 529 || error.message?.includes('Overloaded');
-          const isRetryable = isOverloaded || error.status === 500 || error.status === 503;
+    if (queued.length + retries.length + pendingInfo.length + vehicles.length + buffered.length === 0) {
+      return;
+    }
 
-          // Log error
-          const timestamp = new Date().toISOString();
-          const logLine = `[${timestamp}] Attempt ${attempt}/${MAX_RETRIES} - ${error.status || 'unknown'}: ${error.message}\n`;
-          fs.appendFileSync(ERRORS_LOG, logLine);
-          console.error(`  [Claude] Attempt ${attempt}/${MAX_RETRIES} failed: ${error.status} ${error.message}`);
+    console.log(`[Restore] Recuperando estado: ${queued.length} en cola, ${retries.length} reintentos, ${pendingInfo.length} preguntas pendientes, ${vehicles.length} colas de vehículos, ${buffered.length} buffers de mensajes`);
 
-          if (isRetryable && attempt < MAX_RETRIES) {
-            const waitTime = attempt * 5000; // 5s, 10s, 15s
-            console.log(`  [Claude] Retrying in ${waitTime / 1000}s...`);
-            await this.delay(waitTime);
-            continue;
-          }
+    for (const [senderId, stored] of pendingInfo) {
+      const request = await this.hydrateRequest(stored);
+      if (request) {
+        this.pendingInfoRequests.restore(senderId, request);
+      } else {
+        jobStore.remove('pendingInfo', senderId);
+      }
+    }
 
-          break;
-        }
+    for (const [senderId, storedVehicles] of vehicles) {
+      const restored = [];
+      for (const stored of storedVehicles) {
+        const vehicle = await this.hydrateRequest(stored);
+        if (vehicle) restored.push(vehicle);
+      }
+      if (restored.length > 0) {
+        vehiclePatenteQueue.restore(senderId, restored);
+      } else {
+        jobStore.remove('vehicleQueue', senderId);
       }
+    }
 
-      // All retries failed
-      const timestamp = new Date().toISOString();
-      fs.appendFileSync(ERRORS_LOG, `[${timestamp}] All retries failed for user message\n`);
-      console.error('  [Claude] All retries failed');
-      return { shouldRespond: true, requests: [], response: 'Disculpá, el sistema está saturado. Intentá de nuevo en unos minutos.' };
+    // Message batches that were still debouncing - process them now
+    for (const [senderId, stored] of buffered) {
+      const pending = await this.hydrateRequest({ senderId, ...stored });
+      if (!pending || !pending.messages?.length) {
+        jobStore.remove('pendingMessages', senderId);
+        continue;
+      }
+      const { chat, ...rest } = pending;
+      rest.messages = rest.messages.map(m => ({ ...m, timestamp: new Date(m.timestamp) }));
+      rest.timer = setTimeout(() => this.processPendingMessages(senderId), DEBOUNCE_MS);
+      pendingMessages.restore(senderId, rest);
+    }
+
+    // Retries keep their original due time; overdue ones fire right away
+    for (const [jobId, stored] of retries) {
+      const { dueAt, ...storedRequest } = stored;
+      const request = await this.hydrateRequest(storedRequest);
+      if (!request) {
+        jobStore.remove('retries', jobId);
+        continue;
+      }
+      this.armRetry(request, dueAt);
+      console.log(`[Restore] Reintento para ${request.address} en ${Math.max(0, Math.round((dueAt - Date.now()) / 60000))} min`);
+    }
+
+    // Queued solicitudes - skip any that made it to the report store before the crash
+    const processedAddresses = this.getProcessedSolicitudes();
+    for (const [jobId, stored] of queued) {
+      const windowHours = (findGroupConfigById(stored.chatId) || GROUP_DEFAULTS).dedupWindowHours;
+      const recentDupe = this.isRecentDuplicate(stored.address, stored.reportType, processedAddresses, stored.patente, windowHours);
+      if (recentDupe) {
+        console.log(`[Restore] ${stored.address} ya fue enviada (#${recentDupe.solicitudNumber}), descartando`);
+        jobStore.remove('queue', jobId);
+        continue;
+      }
+      const request = await this.hydrateRequest(stored);
+      if (!request) {
+        jobStore.remove('queue', jobId);
+        continue;
+      }
+
+      let addrKey = this.normalizeAddressForComparison(request.address);
+      if (requiresField(request.reportType, 'patente') && request.patente) {
+        addrKey = `${addrKey}|${request.patente.toUpperCase()}`;
+      }
+      recentlyQueuedAddresses.set(addrKey, Date.now());
+      requestQueue.push(request);
+    }
+
+    if (requestQueue.length > 0) {
+      console.log(`[Restore] ${requestQueue.length} solicitudes recuperadas de la cola`);
+      this.processQueue();
+    }
   }
 
   async processQueue() {
-    if (isProcessingQueue || requestQueue.length === 0) {
+    if (isProcessingQueue) {
+      wakeQueue?.(); // A new request may fit next to the ones in flight
+      return;
+    }
+    if (requestQueue.length === 0 || this.isPaused()) {
       return;
     }
 
     isProcessingQueue = true;
+    const inFlight = new Set();
 
-    while (requestQueue.length > 0) {
-      const request = requestQueue.shift();
-      await this.submitRequest(request);
+    while (requestQueue.length > 0 || inFlight.size > 0) {
+      if (requestQueue.length > 0 && this.isPaused() && inFlight.size === 0) {
+        console.log(`[Queue] Envíos pausados - ${requestQueue.length} solicitud(es) esperando`);
+        break;
+      }
 
-      // Small delay between requests
-      if (requestQueue.length > 0) {
-        await this.delay(2000);
+      if (requestQueue.length > 0 && !this.isPaused() && inFlight.size < QUEUE_CONCURRENCY) {
+        const request = requestQueue.shift();
+        const run = this.submitRequest(request)
+          .catch(e => console.error(`[Queue] Error enviando ${request.address}:`, e.message))
+          .finally(() => {
+            // Submitted (or handed off to a retry / pending question) - drop from the journal
+            jobStore.remove('queue', request.jobId);
+            inFlight.delete(run);
+          });
+        inFlight.add(run);
+
+        // Small delay between requests
+        if (requestQueue.length > 0) {
+          await this.delay(2000);
+        }
+        continue;
       }
+
+      // Wait for a submission to finish or a new request to arrive
+      await new Promise(resolve => {
+        wakeQueue = resolve;
+        Promise.race(inFlight).then(resolve);
+      });
+      wakeQueue = null;
     }
 
     isProcessingQueue = false;
   }
 
+  // Start watching a submitted solicitud for state changes
+  trackSolicitud(solicitudNumber, request) {
+    const { senderId, photo } = request;
+    const history = userMessageHistory.get(senderId) || [];
+    const photoMsgId = request.photoMsgId || history.find(m => m.photo && m.photo === photo)?.msgId || null;
+
+    jobStore.put('tracked', solicitudNumber, {
+      solicitudNumber,
+      senderId,
+      senderName: request.senderName,
+      chatId: request.chat?.id?._serialized || request.chatId || null,
+      photoMsgId,
+      address: request.address,
+      reportType: request.reportType || 'recoleccion',
+      containerType: request.containerType || null,
+      schedule: request.schedule || null,
+      situationType: request.situationType || null,
+      patente: request.patente || null,
+      infractionTime: request.infractionTime || null,
+      state: null,
+      submittedAt: Date.now()
+    });
+  }
+
+  // Ask the API for the latest scraped state of every tracked solicitud
+  async checkTrackedSolicitudes() {
+    const tracked = jobStore.entries('tracked');
+    if (tracked.length === 0) return;
+
+    for (const [solicitudNumber, entry] of tracked) {
+      if (Date.now() - entry.submittedAt > TRACKING_MAX_AGE_MS) {
+        console.log(`[Status] Dejando de seguir #${solicitudNumber} (más de 90 días)`);
+        jobStore.remove('tracked', solicitudNumber);
+        continue;
+      }
+
+      try {
+        const response = await fetch(`${API_URL}/solicitud/${encodeURIComponent(solicitudNumber)}/status`, {
+          signal: AbortSignal.timeout(API_REQUEST_TIMEOUT_MS)
+        });
+        if (!response.ok) continue; // Not checked by the API yet
+        const status = await response.json();
+        if (!status.state || status.state === entry.state) continue;
+
+        console.log(`[Status] #${solicitudNumber}: ${entry.state || 'desconocido'} -> ${status.state}`);
+        if (CLOSED_STATES.includes(status.state)) {
+          jobStore.remove('tracked', solicitudNumber);
+          await this.notifySolicitudClosed({ ...entry, state: status.state });
+        } else {
+          jobStore.put('tracked', solicitudNumber, { ...entry, state: status.state });
+        }
+      } catch (e) {
+        console.log(`[Status] Error consultando #${solicitudNumber}: ${e.message}`);
+      }
+    }
+  }
+
+  // Tell the reporter (quoting their photo) that the city resolved/closed their solicitud
+  async notifySolicitudClosed(entry) {
+    const request = await this.hydrateRequest(entry);
+    if (!request) return;
+
+    const { senderId, chat, solicitudNumber, address, state } = request;
+    const senderInfo = this.senderIdCache?.get(senderId);
+    const mentions = senderInfo ? [senderInfo.senderId] : [senderId];
+    const mentionText = senderInfo ? `@${senderInfo.senderPhone}` : `@${senderId.split('@')[0]}`;
+
+    // Only ask if we aren't already waiting on another answer from this person
+    const askFollowUp = STATUS_FOLLOWUP && !this.pendingInfoRequests.has(senderId);
+    const question = '¿Se resolvió de verdad? Respondé *sí* o *no* (si no, lo vuelvo a reportar).';
+
+    let text = `${mentionText} La Ciudad marcó como *${state}* la solicitud #${solicitudNumber} en ${address}.`;
+    if (askFollowUp) {
+      text += `\n${question}`;
+    }
+
+    try {
+      try {
+        await chat.sendMessage(text, request.photoMsgId ? { mentions, quotedMessageId: request.photoMsgId } : { mentions });
+      } catch (e) {
+        // The original message may no longer be loaded - send without the quote
+        console.log(`[Status] No se pudo citar el mensaje original: ${e.message}`);
+        await chat.sendMessage(text, { mentions });
+      }
+      console.log(`[Status] Avisado @${request.senderName || senderId.split('@')[0]}: #${solicitudNumber} ${state}`);
+    } catch (e) {
+      console.error(`[Status] Error avisando #${solicitudNumber}:`, e.message);
+      return;
+    }
+
+    if (askFollowUp) {
+      this.pendingInfoRequests.set(senderId, {
+        ...request,
+        awaitingField: 'resolutionConfirmation',
+        awaitingQuestion: question
+      });
+    }
+  }
+
+  // "sí" closes the loop; "no" (or a new photo) re-reports the same problem
+  async handleResolutionAnswer(pendingRequest, resolved, messages) {
+    const { senderId, chat, solicitudNumber, address } = pendingRequest;
+    const senderInfo = this.senderIdCache?.get(senderId);
+    const mentions = senderInfo ? [senderInfo.senderId] : [senderId];
+    const mentionText = senderInfo ? `@${senderInfo.senderPhone}` : `@${senderId.split('@')[0]}`;
+
+    if (resolved) {
+      console.log(`[Status] #${solicitudNumber} confirmada como resuelta por el vecino`);
+      await chat.sendMessage(`${mentionText} ¡Buenísimo, gracias por confirmar!`, { mentions });
+      return;
+    }
+
+    console.log(`[Status] #${solicitudNumber} no resuelta según el vecino - reportando de nuevo`);
+    const newPhotos = messages.filter(m => m.photo).map(m => m.photo);
+    await chat.sendMessage(`${mentionText} Uh, qué macana. Vuelvo a reportar ${address}...`, { mentions });
+
+    this.enqueueRequest({
+      senderId,
+      senderName: pendingRequest.senderName,
+      address,
+      reportType: pendingRequest.reportType,
+      containerType: pendingRequest.containerType || 'negro',
+      schedule: pendingRequest.schedule,
+      situationType: pendingRequest.situationType,
+      patente: pendingRequest.patente,
+      infractionTime: pendingRequest.infractionTime,
+      photo: newPhotos[0] || null,
+      photos: minPhotos(pendingRequest.reportType) > 1 ? newPhotos : null,
+      photoMsgId: messages.find(m => m.photo)?.msgId || pendingRequest.photoMsgId,
+      chat,
+      postToX: false
+    });
+    this.processQueue();
+  }
+
+  // Queue a solicitud on the API server and wait for the job to finish.
+  // Resolves with the job result ({ success, solicitudNumber } / { needsInfo } / { error }).
+  async runApiJob(payload, request) {
+    const response = await fetch(`${API_URL}/solicitud`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...payload, callbackUrl: callbackUrlWithToken() }),
+      signal: AbortSignal.timeout(API_REQUEST_TIMEOUT_MS)
+    });
+    const created = await response.json();
+    if (!created.jobId) {
+      return created; // Rejected before queueing (e.g. missing address)
+    }
+
+    console.log(`  [API] Job ${created.jobId} en cola`);
+    if (request.jobId && jobStore.has('queue', request.jobId)) {
+      jobStore.put('queue', request.jobId, { ...toStoredRequest(request), apiJobId: created.jobId });
+    }
+    return this.waitForJob(created.jobId);
+  }
+
+  // Poll GET /solicitud/jobs/:id until the job reaches a final state.
+  // A callback from the API server (see startCallbackServer) short-circuits the wait.
+  waitForJob(apiJobId) {
+    return new Promise((resolve, reject) => {
+      const deadline = Date.now() + JOB_MAX_WAIT_MS;
+      let timer = null;
+      let lastProgress = null;
+      let done = false;
+
+      const finish = (job, error) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        jobWaiters.delete(apiJobId);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(job.result || { success: false, error: job.error || `Job ${job.state}` });
+        }
+      };
+
+      const poll = async () => {
+        try {
+          const response = await fetch(`${API_URL}/solicitud/jobs/${apiJobId}`, {
+            signal: AbortSignal.timeout(API_REQUEST_TIMEOUT_MS)
+          });
+          if (response.status === 404) {
+            return finish(null, new Error(`Job ${apiJobId} not found on API server`));
+          }
+          const job = await response.json();
+          if (FINAL_JOB_STATES.includes(job.state)) {
+            return finish(job);
+          }
+          const progress = `${job.state}${job.step ? ` (${job.step})` : ''}`;
+          if (progress !== lastProgress) {
+            console.log(`  [API] Job ${apiJobId}: ${progress}`);
+            lastProgress = progress;
+          }
+        } catch (e) {
+          console.log(`  [API] Error consultando job ${apiJobId}: ${e.message}`);
+        }
+
+        if (done) return;
+        if (Date.now() > deadline) {
+          return finish(null, new Error(`timeout waiting for job ${apiJobId}`));
+        }
+        timer = setTimeout(poll, JOB_POLL_MS);
+      };
+
+      jobWaiters.set(apiJobId, job => finish(job));
+      poll();
+    });
+  }
+
+  // Receive finished jobs from the API server (only if BOT_CALLBACK_PORT is set)
+  startCallbackServer() {
+    if (!BOT_CALLBACK_PORT) return;
+
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (req.method !== 'POST' || url.pathname !== '/api-callback') {
+        res.writeHead(404).end();
+        return;
+      }
+      if (!hasCallbackToken(url.searchParams.get('token'))) {
+        console.log(`[API] Callback rechazado (token inválido) de ${req.socket.remoteAddress}`);
+        res.writeHead(403).end();
+        return;
+      }
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try {
+          const job = JSON.parse(body);
+          const waiter = jobWaiters.get(job.id);
+          if (waiter && FINAL_JOB_STATES.includes(job.state)) {
+            console.log(`  [API] Callback: job ${job.id} ${job.state}`);
+            waiter(job);
+          }
+          res.writeHead(204).end();
+        } catch (e) {
+          res.writeHead(400).end();
+        }
+      });
+    });
+
+    server.on('error', err => {
+      console.error(`[API] Callback server error: ${err.message} - falling back to polling`);
+    });
+    server.listen(BOT_CALLBACK_PORT, BOT_CALLBACK_HOST, () => {
+      console.log(`[API] Escuchando callbacks de jobs en ${BOT_CALLBACK_HOST}:${BOT_CALLBACK_PORT} (${BOT_CALLBACK_URL})`);
+    });
+  }
+
   // Helper to check if messages contain a request to post to X/Twitter
   shouldPostToX(messages) {
     const xPatterns = [
@@ -1653,61 +2626,40 @@ ${hasPhotos ? `[Envió ${photos.length} foto(s) NUEVA(s) - analizalas. Cada foto
   }
 
   // Helper to extract report type from user's natural language response using Claude
-  async extractReportType(rawText) {
+  async extractReportType(rawText, usageRef = null) {
     try {
-      const response = await anthropic.messages.create({
-        model: 'claude-3-5-haiku-20241022',
+      const response = await llm.complete('reportType', {
         max_tokens: 50,
-        system: `Clasificá la respuesta del usuario en UNO de estos tipos de reporte:
-- recoleccion: basura, residuos, contenedor desbordando, bolsas en la vereda
-- barrido: calle sucia, mugre, tierra, hojas, necesita barrer
-- obstruccion: algo bloqueando la vereda o calle, caños, fierros
-- ocupacion_comercial: local/negocio/kiosco/comercio poniendo cosas en la vereda, ocupación indebida
-- ocupacion_gastronomica: restaurant/bar/café con mesas en la vereda
-- manteros: vendedores ambulantes, manteros, venta ilegal en la calle
-- puesto_diarios: kiosco de diarios, puesto de periódicos, diarios
-- puesto_flores: puesto de flores, florería, plantas
-- vehiculo_mal_estacionado: auto mal estacionado, vehículo en la vereda, estacionamiento indebido, doble fila, auto en rampa
-
-IMPORTANTE: Si el usuario dice "NO es X" o "no manteros", entonces NO es ese tipo.
-Si dice "local" u "ocupación indebida" → ocupacion_comercial
-
-Respondé SOLO con una de estas palabras: recoleccion, barrido, obstruccion, ocupacion_comercial, ocupacion_gastronomica, manteros, puesto_diarios, puesto_flores, vehiculo_mal_estacionado`,
+        system: classifierPrompt(),
         messages: [{ role: 'user', content: rawText }]
-      });
+      }, { ref: usageRef });
 
       const result = response.content[0].text.trim().toLowerCase();
-      const validTypes = ['recoleccion', 'barrido', 'obstruccion', 'ocupacion_comercial', 'ocupacion_gastronomica', 'manteros', 'puesto_diarios', 'puesto_flores', 'vehiculo_mal_estacionado'];
-
-      if (validTypes.includes(result)) {
+      if (isReportType(result)) {
         console.log(`  [ReportType] Extracted: "${rawText}" → "${result}"`);
         return result;
       }
 
-      // If Claude returned something unexpected, default to recoleccion
-      console.log(`  [ReportType] Unexpected response "${result}", defaulting to recoleccion`);
-      return 'recoleccion';
+      // If Claude returned something unexpected, use the default type (recoleccion)
+      console.log(`  [ReportType] Unexpected response "${result}", defaulting to ${DEFAULT_REPORT_TYPE}`);
+      return DEFAULT_REPORT_TYPE;
     } catch (e) {
       console.error('  [ReportType] Error extracting type:', e.message);
-      return 'recoleccion'; // Safe default
+      return DEFAULT_REPORT_TYPE; // Safe default
     }
   }
 
   // Helper to extract clean address from user's text response using Claude
-  async extractCleanAddress(rawText) {
+  async extractCleanAddress(rawText, usageRef = null) {
     try {
-      const response = await anthropic.messages.create({
-        model: 'claude-3-5-haiku-20241022',
+      const response = await llm.complete('address', {
         max_tokens: 100,
-        system: `Extraé SOLO la dirección (calle + número) del texto del usuario.
+        system: `Extraé SOLO la dirección del texto del usuario: "Calle número", una esquina ("Calle1 y Calle2") o "Calle número entre Calle2 y Calle3".
 Eliminá texto conversacional como "es", "no", "al", "quise decir", "perdón", etc.
-Aplicá estos alias:
-- "Irigoyen" / "Hipolito Irigoyen" → "Hipólito Yrigoyen"
-- "Corrientes" → "Av. Corrientes"
-- "Callao" → "Av. Callao"
+No cambies los nombres de las calles (los normaliza el callejero después).
 Respondé SOLO con la dirección limpia, nada más.`,
         messages: [{ role: 'user', content: rawText }]
-      });
+      }, { ref: usageRef });
 
       const cleanAddress = response.content[0].text.trim();
       console.log(`  [Address] Extracted: "${rawText}" → "${cleanAddress}"`);
@@ -1733,23 +2685,26 @@ Respondé SOLO con la dirección limpia, nada más.`,
   }
 
   async submitRequest(request, isRetry = false) {
+    // An API job id is only kept in the queue journal, so a restart can resume waiting on it
+    const resumeApiJobId = request.apiJobId || null;
+
+    // While a coordinator has paused submissions, park direct submissions in the queue
+    if (this.isPaused()) {
+      console.log(`[Queue] Envíos pausados - ${request.address} queda en cola`);
+      this.enqueueRequest(request);
+      return;
+    }
+
+    if (resumeApiJobId) {
+      request = { ...request };
+      delete request.apiJobId;
+    }
     const { senderId, senderName, address, reportType = 'recoleccion', containerType, schedule, situationType, patente, infractionTime, photo, photos: multiplePhotos, chat, postToX: shouldPostToX } = request;
     const senderInfo = this.senderIdCache?.get(senderId);
     const mentions = senderInfo ? [senderInfo.senderId] : [senderId];
     const mentionText = senderInfo ? `@${senderInfo.senderPhone}` : `@${senderId.split('@')[0]}`;
 
-    const REPORT_TYPE_LABELS = {
-      recoleccion: 'Recolección de residuos',
-      barrido: 'Mejora de barrido',
-      obstruccion: 'Obstrucción de calle/vereda',
-      ocupacion_comercial: 'Ocupación por local comercial',
-      ocupacion_gastronomica: 'Ocupación por área gastronómica',
-      manteros: 'Manteros/vendedores ambulantes',
-      puesto_diarios: 'Irregularidades en puesto de diarios',
-      puesto_flores: 'Irregularidades en puesto de flores',
-      vehiculo_mal_estacionado: 'Vehículo mal estacionado'
-    };
-    const reportTypeName = REPORT_TYPE_LABELS[reportType] || 'Recolección de residuos';
+    const reportTypeName = reportTypeLabel(reportType);
 
     console.log('\n========================================');
     console.log(`  ${isRetry ? 'REINTENTANDO' : 'ENVIANDO'} SOLICITUD`);
@@ -1757,16 +2712,16 @@ Respondé SOLO con la dirección limpia, nada más.`,
     console.log(`  Dirección: ${address}`);
     console.log(`  Tipo de reporte: ${reportTypeName}`);
     console.log(`  Foto: ${photo ? 'Sí' : 'No'}`);
-    if (reportType === 'recoleccion') {
+    if (containerType && getReportType(reportType).fields?.containerType) {
       console.log(`  Contenedor: ${containerType}`);
     }
-    if (reportType === 'manteros' && schedule) {
+    if (requiresField(reportType, 'schedule') && schedule) {
       console.log(`  Horario: ${schedule}`);
     }
-    if ((reportType === 'puesto_diarios' || reportType === 'puesto_flores') && request.situationType) {
+    if (requiresField(reportType, 'situationType') && request.situationType) {
       console.log(`  Situación: ${request.situationType}`);
     }
-    if (reportType === 'vehiculo_mal_estacionado') {
+    if (requiresField(reportType, 'patente')) {
       if (request.patente) console.log(`  Patente: ${request.patente}`);
       if (request.infractionTime) console.log(`  Hora infracción: ${request.infractionTime}`);
       if (multiplePhotos && multiplePhotos.length > 0) {
@@ -1778,14 +2733,14 @@ Respondé SOLO con la dirección limpia, nada más.`,
     console.log('========================================\n');
 
     try {
-      // For vehiculo_mal_estacionado, require at least 2 photos
+      // Types with required photos (puestos, vehiculo_mal_estacionado) aren't filed without them
       const photosToSend = multiplePhotos && multiplePhotos.length > 0 ? multiplePhotos : (photo ? [photo] : []);
 
-      if (reportType === 'vehiculo_mal_estacionado' && photosToSend.length < 2) {
-        console.log(`  [API] ⚠️ Vehicle report requires 2 photos, only have ${photosToSend.length}. Asking for more.`);
+      if (photosToSend.length < minPhotos(reportType)) {
+        console.log(`  [API] ⚠️ ${reportTypeName} requires ${minPhotos(reportType)} photo(s), only have ${photosToSend.length}. Asking for more.`);
 
         // Notify user and set up pending request for more photos
-        const question = `Para reportar un vehículo mal estacionado necesito dos fotos: una de la infracción y otra de la patente. ¿Podés mandar la otra foto?`;
+        const question = photoQuestion(reportType, { address });
         await chat.sendMessage(`${mentionText} ${question}`, { mentions });
 
         if (!this.pendingInfoRequests) {
@@ -1797,20 +2752,27 @@ Respondé SOLO con la dirección limpia, nada más.`,
           address,
           photos: photosToSend,
           chat,
-          reportType: 'vehiculo_mal_estacionado',
+          reportType,
+          containerType: containerType || null,
+          schedule: schedule || null,
+          situationType: situationType || null,
           patente: patente || null,
           infractionTime: infractionTime || null,
           awaitingField: 'photo',
-          postToX: shouldPostToX
+          postToX: shouldPostToX,
+          usageRef: request.usageRef || null,
+          promptVersion: request.promptVersion || null
         });
         return;
       }
 
-      console.log(`  [API] Sending ${photosToSend.length} photo(s) to API`);
-      const response = await fetch(`${API_URL}/solicitud`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      let result;
+      if (resumeApiJobId) {
+        console.log(`  [API] Resuming job ${resumeApiJobId}`);
+        result = await this.waitForJob(resumeApiJobId);
+      } else {
+        console.log(`  [API] Sending ${photosToSend.length} photo(s) to API`);
+        result = await this.runApiJob({
           address,
           reportType,
           containerType,
@@ -1818,25 +2780,35 @@ Respondé SOLO con la dirección limpia, nada más.`,
           situationType, // For puesto_diarios/puesto_flores: obstruccion/abandono/deterioro
           patente, // For vehiculo_mal_estacionado: license plate
           infractionTime, // For vehiculo_mal_estacionado: time of infraction (HH:MM)
-          photos: photosToSend
-        })
-      });
+          photos: photosToSend,
+          usageRef: request.usageRef || null, // Bills the API server's Claude calls to this report
+          account: this.accountForRequest(request), // BA Colaborativa account (reporter's, group's or "round-robin")
+          dryRun: this.groupForRequest(request).dryRun // Fill the form without confirming it
+        }, request);
+      }
 
-      const result = await response.json();
+      if (result.dryRun) {
+        // Nothing was filed: no report, no tracking, no tweet, and the address can be sent again
+        const fields = result.fields || {};
+        const lines = [`${mentionText} Prueba: completé la solicitud de ${reportTypeName.toLowerCase()} para ${address} hasta la confirmación, pero NO la envié.`];
+        if (fields.address) lines.push(`Dirección elegida: ${fields.address}`);
+        for (const { question, answer } of fields.answers || []) {
+          lines.push(`- ${question ? `${question}: ` : ''}${answer}`);
+        }
+        lines.push(`Fotos: ${fields.photos || 0}`);
+        await chat.sendMessage(lines.join('\n'), { mentions });
+        console.log(`  [Bot] Prueba completada sin confirmar (${reportTypeName}) - ${result.screenshot}`);
 
-      if (result.success && result.solicitudNumber) {
+        this.clearFromDedup(address);
+        for (const p of photosToSend) {
+          try { fs.unlinkSync(p); } catch (e) {}
+        }
+      } else if (result.success && result.solicitudNumber) {
         // Format solicitud number for URL (replace / with &)
         const solicitudUrl = `https://bacolaborativa.buenosaires.gob.ar/detalleSolicitud/${result.solicitudNumber.replace(/\//g, '&')}?vieneDeMisSolicitudes=false`;
 
-        // Log to CSV file (with reportType for per-type deduplication, and patente for vehicles)
-        const today = new Date();
-        const dateStr = `${today.getDate().toString().padStart(2, '0')}/${(today.getMonth() + 1).toString().padStart(2, '0')}/${today.getFullYear()}`;
-        const timestamp = Date.now();
-        // Include patente for vehicle reports (allows multiple vehicles at same address)
-        const patenteField = reportType === 'vehiculo_mal_estacionado' && patente ? patente.toUpperCase() : '';
-        const csvLine = `${result.solicitudNumber},${dateStr},"${address}",${reportType},${patenteField},${solicitudUrl},${timestamp}\n`;
-        fs.appendFileSync(REPORTS_LOG, csvLine);
-        console.log(`  [Log] Guardado en reports.csv (${reportType})`);
+        this.recordReport(request, result.solicitudNumber, solicitudUrl, result.account);
+        this.trackSolicitud(result.solicitudNumber, request);
 
         const successMsg = `${mentionText} Listo, mandé la solicitud de ${reportTypeName.toLowerCase()} para ${address}. #${result.solicitudNumber}\n${solicitudUrl}`;
         await chat.sendMessage(successMsg, { mentions });
@@ -1849,7 +2821,8 @@ Respondé SOLO con la dirección limpia, nada más.`,
               address,
               reportType,
               solicitudNumber: result.solicitudNumber,
-              photoPath: photo
+              photoPath: photo,
+              mentions: this.groupForRequest(request).xMentions
             });
             if (xResult.skipped) {
               console.log(`  [X] Omitido (duplicado): ${result.solicitudNumber}`);
@@ -1873,6 +2846,8 @@ Respondé SOLO con la dirección limpia, nada más.`,
           try { fs.unlinkSync(photo); } catch (e) {}
         }
       } else if (result.success) {
+        this.recordReport(request, null, null, result.account);
+
         const successMsg = `${mentionText} Listo, mandé la solicitud de ${reportTypeName.toLowerCase()} para ${address}.`;
         await chat.sendMessage(successMsg, { mentions });
         console.log(`  [Bot] Solicitud enviada (sin número) (${reportTypeName})`);
@@ -1884,7 +2859,8 @@ Respondé SOLO con la dirección limpia, nada más.`,
               address,
               reportType,
               solicitudNumber: 'sin número',
-              photoPath: photo
+              photoPath: photo,
+              mentions: this.groupForRequest(request).xMentions
             });
             if (xResult.skipped) {
               console.log(`  [X] Omitido (duplicado)`);
@@ -1919,6 +2895,10 @@ Respondé SOLO con la dirección limpia, nada más.`,
 
         // Don't clean up photo - we'll need it when we retry
         return;
+      } else if (result.interrupted) {
+        // The API server restarted mid-run: the form may already have been sent,
+        // so it isn't retried automatically (see notifyInterrupted)
+        await this.notifyInterrupted(request);
       } else {
         // Check if it's an access/login error
         const isAccessError = result.error && (
@@ -2060,6 +3040,63 @@ Respondé SOLO con la dirección limpia, nada más.`,
     }
   }
 
+  // Static and live location pins -> { latitude, longitude, address, text }.
+  // The address comes from the offline callejero (see callejero.js); the text
+  // is what Claude sees in place of the message body.
+  locationFromMessage(msg) {
+    const latitude = msg.location?.latitude ?? msg._data?.lat;
+    const longitude = msg.location?.longitude ?? msg._data?.lng;
+    if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) return null;
+
+    const match = reverseGeocode(latitude, longitude);
+    if (match) {
+      console.log(`  [Ubicación] ${latitude},${longitude} -> ${match.address} (a ${match.distanceMeters}m)`);
+    } else {
+      console.log(`  [Ubicación] ${latitude},${longitude} sin dirección en el callejero`);
+    }
+    const caption = msg.location?.description ? ` "${msg.location.description.replace(/\n/g, ' ')}"` : '';
+    return {
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      address: match?.address || null,
+      text: match
+        ? `[UBICACIÓN compartida: ${match.address}]${caption}`
+        : `[UBICACIÓN compartida, sin dirección reconocida]${caption}`
+    };
+  }
+
+  // Capture time and GPS from the photo's EXIF, when the phone kept them
+  applyPhotoExif(messageObj) {
+    const exif = readPhotoExif(messageObj.photo);
+    if (!exif) return;
+
+    if (exif.takenAt) {
+      messageObj.photoTakenAt = exif.takenAt.toISOString();
+      console.log(`  [EXIF] Sacada: ${exif.takenAt.toLocaleString('es-AR')}`);
+    }
+    if (exif.latitude !== null) {
+      const match = reverseGeocode(exif.latitude, exif.longitude);
+      messageObj.photoGpsAddress = match?.address || null;
+      console.log(`  [EXIF] GPS ${exif.latitude.toFixed(5)},${exif.longitude.toFixed(5)} -> ${match?.address || 'sin dirección'}`);
+    }
+  }
+
+  isStalePhoto(messageObj) {
+    if (!messageObj.photo || !messageObj.photoTakenAt) return false;
+    return Date.now() - new Date(messageObj.photoTakenAt).getTime() > PHOTO_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  // "HH:MM" of the newest photo taken today, for vehiculo_mal_estacionado's infractionTime
+  photoCaptureTime(photoPaths) {
+    const today = new Date().toDateString();
+    const times = (photoPaths || [])
+      .map(p => readPhotoExif(p)?.takenAt)
+      .filter(d => d && d.toDateString() === today && d.getTime() <= Date.now());
+    if (times.length === 0) return null;
+    const latest = new Date(Math.max(...times.map(d => d.getTime())));
+    return `${latest.getHours().toString().padStart(2, '0')}:${latest.getMinutes().toString().padStart(2, '0')}`;
+  }
+
   async savePhoto(media, senderId) {
     const timestamp = Date.now();
     const extension = media.mimetype.split('/')[1] || 'jpg';
@@ -2121,84 +3158,67 @@ Respondé SOLO con la dirección limpia, nada más.`,
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  // Load already processed solicitudes from CSV with timestamps
-  // Returns Map with key "normalized_address|reportType" -> { timestamp, solicitudNumber }
+  // Save a submitted solicitud to the report store (used for dedup and GET /reports)
+  // account: the one the API server filed it under (a round-robin pick is only known then)
+  recordReport(request, solicitudNumber, url, account = null) {
+    const { senderId, senderName, address, reportType = 'recoleccion', patente } = request;
+    reportStore.add({
+      solicitudNumber,
+      address,
+      reportType,
+      // Patente only matters for vehicles (allows multiple vehicles at same address)
+      patente: requiresField(reportType, 'patente') ? patente : null,
+      url,
+      senderId,
+      senderName,
+      chatId: request.chat?.id?._serialized || request.chatId || null,
+      account: account || this.accountForRequest(request),
+      channel: channelForChatId(request.chat?.id?._serialized || request.chatId),
+      usageRef: request.usageRef || null,
+      promptVersion: request.promptVersion || null
+    });
+    console.log(`  [Log] Guardado en reports.jsonl (${reportType})`);
+  }
+
+  // Most recent report per address+reportType (+patente for vehicles)
   getProcessedSolicitudes() {
     const processed = new Map();
-    if (fs.existsSync(REPORTS_LOG)) {
-      const content = fs.readFileSync(REPORTS_LOG, 'utf-8');
-      const lines = content.split('\n').slice(1); // Skip header
-      for (const line of lines) {
-        if (line.trim()) {
-          // Extract address from CSV line (handles multiple formats)
-          // Old format: numero,fecha,"direccion",link,timestamp
-          // Previous format: numero,fecha,"direccion",reportType,link,timestamp
-          // Current format: numero,fecha,"direccion",reportType,patente,link,timestamp
-          const addressMatch = line.match(/"([^"]+)"/);
-          const parts = line.split(',');
-          const timestamp = parseInt(parts[parts.length - 1]) || 0;
-          const solicitudNumber = parts[0];
-
-          if (addressMatch) {
-            const address = this.normalizeAddressForComparison(addressMatch[1]);
-
-            // Detect format: if part after address is a known reportType, use new format
-            // Find index of closing quote, then check next part
-            const quoteEnd = line.indexOf('"', line.indexOf('"') + 1);
-            const afterQuote = line.substring(quoteEnd + 2).split(',');
-            const knownTypes = ['recoleccion', 'barrido', 'obstruccion', 'ocupacion_comercial', 'ocupacion_gastronomica', 'manteros', 'puesto_diarios', 'puesto_flores', 'vehiculo_mal_estacionado'];
-            const reportType = knownTypes.includes(afterQuote[0]) ? afterQuote[0] : 'recoleccion';
-
-            // For vehicle reports, check if there's a patente field (5th field after address)
-            // Format: reportType,patente,link,timestamp - so patente is afterQuote[1] if it's not a URL
-            let patente = null;
-            if (reportType === 'vehiculo_mal_estacionado' && afterQuote[1] && !afterQuote[1].startsWith('http')) {
-              patente = afterQuote[1].toUpperCase();
-            }
-
-            // Key: normalized_address|reportType or normalized_address|reportType|PATENTE for vehicles
-            let key = `${address}|${reportType}`;
-            if (patente) {
-              key = `${key}|${patente}`;
-            }
+    for (const report of reportStore.all()) {
+      const address = this.normalizeAddressForComparison(report.address);
+      if (!address) continue;
+
+      // Key: normalized_address|reportType or normalized_address|reportType|PATENTE for vehicles
+      let key = `${address}|${report.reportType}`;
+      if (requiresField(report.reportType, 'patente') && report.patente) {
+        key = `${key}|${report.patente}`;
+      }
 
-            // Keep the most recent entry for each address+reportType+patente combo
-            if (!processed.has(key) || processed.get(key).timestamp < timestamp) {
-              processed.set(key, { timestamp, solicitudNumber });
-            }
-          }
-        }
+      // Keep the most recent entry for each address+reportType+patente combo
+      const timestamp = report.timestamp || 0;
+      if (!processed.has(key) || processed.get(key).timestamp < timestamp) {
+        processed.set(key, { timestamp, solicitudNumber: report.solicitudNumber || 'sin número' });
       }
     }
     return processed;
   }
 
   // Normalize address for duplicate comparison
-  // Strips conversational prefixes, normalizes accents, extracts just "street + number"
+  // Strips conversational prefixes, then uses the gazetteer's key: "street number",
+  // or both streets of a corner in a fixed order (see addressKey in gazetteer.js)
   normalizeAddressForComparison(address) {
     if (!address) return '';
 
-    let normalized = address.toLowerCase()
-      // Remove accents for comparison
-      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    const cleaned = address
       // Remove common conversational prefixes/suffixes
-      .replace(/^(es |es en |esta en |al |no |no es |quise decir |perdon |por favor |dale )/gi, '')
+      .replace(/^(es |es en |esta en |está en |al |no |no es |quise decir |perdon |perdón |por favor |dale )/gi, '')
       .replace(/(, ?no .*$| no .*$)/gi, '') // Remove ", no Irigoyen" etc.
-      // Normalize "al" before numbers: "yrigoyen al 3150" -> "yrigoyen 3150"
-      .replace(/\s+al\s+(\d)/gi, ' $1')
       .trim();
 
-    // Extract just street name + number pattern
-    const match = normalized.match(/([a-z\s\.]+)\s*(\d+)/i);
-    if (match) {
-      return `${match[1].trim()} ${match[2]}`;
-    }
-
-    return normalized;
+    return addressKey(cleaned);
   }
 
   // Check if address+reportType (and patente for vehicles) was submitted in last 12 hours
-  isRecentDuplicate(address, reportType, processedMap, patente = null) {
+  isRecentDuplicate(address, reportType, processedMap, patente = null, windowHours = GROUP_DEFAULTS.dedupWindowHours) {
     const normalizedNew = this.normalizeAddressForComparison(address);
     const type = reportType || 'recoleccion';
 
@@ -2212,13 +3232,13 @@ Respondé SOLO con la dirección limpia, nada más.`,
 
       if (normalizedNew === storedAddr && type === storedType) {
         // For vehicle reports, also check patente - different patentes are different reports
-        if (type === 'vehiculo_mal_estacionado' && patente && storedPatente) {
+        if (requiresField(type, 'patente') && patente && storedPatente) {
           if (patente.toUpperCase() !== storedPatente.toUpperCase()) {
             continue; // Different vehicle, not a duplicate
           }
         }
-        const twelveHoursAgo = Date.now() - (12 * 60 * 60 * 1000);
-        if (entry.timestamp > twelveHoursAgo) {
+        const windowStart = Date.now() - (windowHours * 60 * 60 * 1000);
+        if (entry.timestamp > windowStart) {
           return entry;
         }
       }
@@ -2230,15 +3250,34 @@ Respondé SOLO con la dirección limpia, nada más.`,
   async checkPastMessages() {
     console.log('[Startup] Buscando mensajes anteriores no procesados...');
 
+    let chats;
     try {
-      // Find the target group
-      const chats = await this.client.getChats();
-      const targetChat = chats.find(c => c.isGroup && c.name === GROUP_NAME);
+      chats = await this.client.getChats();
+    } catch (e) {
+      console.error('[Startup] Error obteniendo chats:', e.message);
+      return;
+    }
 
-      if (!targetChat) {
-        console.log(`[Startup] Grupo "${GROUP_NAME}" no encontrado`);
-        return;
+    // Private chats aren't replayed: with direct messages on, that would mean every contact
+    const groupChats = chats.filter(c => c.isGroup && findGroupConfig(c));
+    if (groupChats.length === 0) {
+      console.log(`[Startup] Ningún grupo configurado encontrado (${describeMonitoredGroups()})`);
+      // Help setting up groups.json: list the ids of the groups we are in
+      for (const c of chats.filter(c => c.isGroup)) {
+        console.log(`[Startup]   "${c.name}" -> ${c.id._serialized}`);
       }
+      return;
+    }
+
+    for (const targetChat of groupChats) {
+      await this.checkPastMessagesInChat(targetChat, findGroupConfig(targetChat));
+    }
+  }
+
+  async checkPastMessagesInChat(targetChat, group) {
+    console.log(`[Startup] Revisando grupo "${targetChat.name}" (${targetChat.id._serialized})`);
+
+    try {
 
       // Get last 5 messages
       const messages = await targetChat.fetchMessages({ limit: 5 });
@@ -2257,12 +3296,17 @@ Respondé SOLO con la dirección limpia, nada más.`,
         const msgAge = Date.now() - msg.timestamp * 1000;
         if (msgAge > MESSAGE_RETENTION_MS) continue;
 
+        // Commands were already answered when they arrived
+        if (!msg.fromMe && COMMAND_PATTERN.test((msg.body || '').trim())) continue;
+
         const msgTime = msg.timestamp * 1000;
         const senderId = msg.fromMe ? 'BOT' : (msg.author || msg.from);
+        const location = msg.fromMe ? null : this.locationFromMessage(msg);
 
         const messageObj = {
-          text: msg.body || null,
+          text: location ? location.text : (msg.body || null),
           photo: null,
+          location: location ? { latitude: location.latitude, longitude: location.longitude, address: location.address } : null,
           timestamp: new Date(msgTime),
           isBot: msg.fromMe,
           senderId,
@@ -2270,12 +3314,18 @@ Respondé SOLO con la dirección limpia, nada más.`,
         };
 
         // Download photo if present (only for user messages)
-        if (!msg.fromMe && msg.hasMedia) {
+        if (!msg.fromMe && msg.hasMedia && !location) {
           try {
             const media = await msg.downloadMedia();
             if (media && media.mimetype.startsWith('image/')) {
               const photoPath = await this.savePhoto(media, senderId);
               messageObj.photo = photoPath;
+              this.applyPhotoExif(messageObj);
+              if (this.isStalePhoto(messageObj)) {
+                console.log(`[Startup] Descartando foto vieja (${messageObj.photoTakenAt})`);
+                try { fs.unlinkSync(photoPath); } catch (e) {}
+                messageObj.photo = null;
+              }
             }
           } catch (e) {
             console.log(`[Startup] Error descargando foto: ${e.message}`);
@@ -2369,7 +3419,7 @@ Respondé SOLO con la dirección limpia, nada más.`,
           // Helper to validate addresses
           const isValidAddress = (address) => {
             if (!address || typeof address !== 'string') return false;
-            if (!/\d+/.test(address)) return false; // Must have street number
+            if (!parseAddress(address)) return false; // Street number, corner or entre calles
             const invalidPatterns = [
               /pendiente/i, /no proporcionada/i, /información/i,
               /no especificad/i, /sin dirección/i, /falta dirección/i
@@ -2381,7 +3431,7 @@ Respondé SOLO con la dirección limpia, nada más.`,
 
           // Get all vehicle request msgIndex values to know boundaries
           const vehicleMsgIndexes = extraction.requests
-            .filter(r => r.reportType === 'vehiculo_mal_estacionado' && r.msgIndex)
+            .filter(r => minPhotos(r.reportType) > 1 && r.msgIndex)
             .map(r => r.msgIndex)
             .sort((a, b) => a - b);
 
@@ -2391,10 +3441,14 @@ Respondé SOLO con la dirección limpia, nada más.`,
               console.log(`[Startup] Invalid/missing address, ignorando: "${req.address}"`);
               continue;
             }
-            // Skip if already processed in last 12 hours (per address + report type + patente for vehicles)
-            const recentDupe = this.isRecentDuplicate(req.address, req.reportType, processedAddresses, req.patente);
+            if (!isReportTypeAllowed(group, req.reportType)) {
+              console.log(`[Startup] ${req.reportType} no habilitado en "${targetChat.name}", ignorando ${req.address}`);
+              continue;
+            }
+            // Skip if already processed within the group's dedup window (per address + report type + patente for vehicles)
+            const recentDupe = this.isRecentDuplicate(req.address, req.reportType, processedAddresses, req.patente, group.dedupWindowHours);
             if (recentDupe) {
-              console.log(`[Startup] Ya procesado en últimas 12h: ${req.address} [${req.reportType || 'recoleccion'}] (#${recentDupe.solicitudNumber})`);
+              console.log(`[Startup] Ya procesado en últimas ${group.dedupWindowHours}h: ${req.address} [${req.reportType || 'recoleccion'}] (#${recentDupe.solicitudNumber})`);
               continue;
             }
 
@@ -2409,7 +3463,7 @@ Respondé SOLO con la dirección limpia, nada más.`,
             // Add to in-memory dedup map to prevent duplicate queuing
             // For vehicle reports, include patente in the key
             let addrKey = this.normalizeAddressForComparison(req.address);
-            if (req.reportType === 'vehiculo_mal_estacionado' && req.patente) {
+            if (requiresField(req.reportType, 'patente') && req.patente) {
               addrKey = `${addrKey}|${req.patente.toUpperCase()}`;
             }
             recentlyQueuedAddresses.set(addrKey, Date.now());
@@ -2420,7 +3474,7 @@ Respondé SOLO con la dirección limpia, nada más.`,
             // Use msgIndex to identify the starting photo, and stop before the next vehicle's msgIndex
             let photos = null;
             let primaryPhotoMsgId = null;  // For quoting the original message
-            if (req.reportType === 'vehiculo_mal_estacionado') {
+            if (minPhotos(req.reportType) > 1) {
               const startIdx = req.msgIndex ? req.msgIndex - 1 : 0;
               photos = [];
 
@@ -2453,8 +3507,8 @@ Respondé SOLO con la dirección limpia, nada más.`,
               console.log(`[Startup] Vehicle ${req.patente}: collected ${photos.length} photo(s)`);
 
               // Vehicle reports require at least 2 photos (infraction + patente)
-              if (photos.length < 2) {
-                console.log(`[Startup] ⚠️ Vehicle ${req.patente} only has ${photos.length} photo(s), need at least 2`);
+              if (photos.length < minPhotos(req.reportType)) {
+                console.log(`[Startup] ⚠️ Vehicle ${req.patente} only has ${photos.length} photo(s), need at least ${minPhotos(req.reportType)}`);
               }
             }
 
@@ -2462,13 +3516,13 @@ Respondé SOLO con la dirección limpia, nada más.`,
             const shouldPostToX = req.postToX === true;
 
             // For vehicle reports, need to confirm patente before submission
-            if (req.reportType === 'vehiculo_mal_estacionado' && req.patente) {
+            if (requiresField(req.reportType, 'patente') && req.patente) {
               // Determine what's missing - photos take priority over patente confirmation
-              const effectiveMissingField = (photos && photos.length >= 2) ? 'patenteConfirmation' : 'photos';
+              const effectiveMissingField = (photos && photos.length >= minPhotos(req.reportType)) ? 'patenteConfirmation' : 'photos';
 
               const vehicleReport = {
                 address: req.address,
-                reportType: 'vehiculo_mal_estacionado',
+                reportType: req.reportType,
                 patente: req.patente,
                 infractionTime: req.infractionTime || null,
                 photo: photo,
@@ -2479,7 +3533,9 @@ Respondé SOLO con la dirección limpia, nada más.`,
                 senderName: senderName,
                 chat: targetChat,
                 photoMsgId: primaryPhotoMsgId,  // For quoting the original message
-                missingField: effectiveMissingField
+                missingField: effectiveMissingField,
+                usageRef: req.usageRef || null,
+                promptVersion: req.promptVersion || null
               };
 
               // Add to vehicle patente queue
@@ -2487,10 +3543,11 @@ Respondé SOLO con la dirección limpia, nada más.`,
                 vehiclePatenteQueue.set(senderId, []);
               }
               vehiclePatenteQueue.get(senderId).push(vehicleReport);
+              vehiclePatenteQueue.persist(senderId);
               console.log(`[Startup] Queued vehicle ${req.patente} for patente confirmation (${vehiclePatenteQueue.get(senderId).length} in queue)`);
             } else {
               // Non-vehicle reports go directly to queue
-              requestQueue.push({
+              this.enqueueRequest({
                 senderId,
                 senderName,
                 address: req.address,
@@ -2502,7 +3559,9 @@ Respondé SOLO con la dirección limpia, nada más.`,
                 photo,
                 photos, // For vehiculo_mal_estacionado: multiple photos
                 chat: targetChat,
-                postToX: shouldPostToX
+                postToX: shouldPostToX,
+                usageRef: req.usageRef || null,
+                promptVersion: req.promptVersion || null
               });
             }
           }
@@ -2515,6 +3574,8 @@ Respondé SOLO con la dirección limpia, nada más.`,
       // Process vehicle patente confirmation queue - ask about first vehicle for each sender
       for (const [senderId, vehicles] of vehiclePatenteQueue) {
         if (vehicles.length === 0) continue;
+        // Restored from the journal with its question already asked
+        if (this.pendingInfoRequests.has(senderId)) continue;
 
         const firstVehicle = vehicles[0];
         const missingField = firstVehicle.missingField || 'patenteConfirmation';
@@ -2574,6 +3635,9 @@ Respondé SOLO con la dirección limpia, nada más.`,
 
     console.log('[DEBUG] Platform:', process.platform);
     console.log('[DEBUG] Node version:', process.version);
+    warnIfCallejeroMissing();
+
+    this.startCallbackServer();
 
     // Kill any existing whatsapp-bot processes and zombie Chrome/Chromium
     console.log('[0/4] Limpiando procesos anteriores...');
@@ -2649,14 +3713,18 @@ Respondé SOLO con la dirección limpia, nada más.`,
   }
 }
 
-// Start the bot
-const bot = new TrashReportBot();
-bot.start();
-
-// Cleanup on exit
-process.on('SIGINT', async () => {
-  console.log('\nCerrando bot...');
-  await bot.client.destroy();
-  await closeXBrowser();
-  process.exit(0);
-});
+export { TrashReportBot };
+
+if (IS_MAIN) {
+  // Start the bot
+  const bot = new TrashReportBot();
+  bot.start();
+
+  // Cleanup on exit
+  process.on('SIGINT', async () => {
+    console.log('\nCerrando bot...');
+    await bot.client.destroy();
+    await closeXBrowser();
+    process.exit(0);
+  });
+}
@@ -3,6 +3,7 @@ import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { reportTypeLabel } from './report-types.js';
 
 // Apply stealth plugin to avoid bot detection
 puppeteer.use(StealthPlugin());
@@ -29,16 +30,6 @@ let isXLoggedIn = false;
 const recentlyPosted = new Set();
 const DEDUP_EXPIRY_MS = 5 * 60 * 1000; // 5 minutes
 
-// Report type labels in Spanish
-const REPORT_TYPE_LABELS = {
-  recoleccion: 'recolección de residuos',
-  barrido: 'mejora de barrido',
-  obstruccion: 'obstrucción de vereda',
-  ocupacion_comercial: 'ocupación por local comercial',
-  ocupacion_gastronomica: 'ocupación gastronómica',
-  manteros: 'vendedores ambulantes'
-};
-
 // Human-like delay with randomization
 function delay(ms) {
   const variance = ms * 0.3; // 30% variance
@@ -406,10 +397,13 @@ async function ensureLoggedIn() {
   return await loginToX(page);
 }
 
+// Accounts tagged when a group doesn't configure its own
+const DEFAULT_MENTIONS = ['@ibaistrocchi', '@jorgemacri'];
+
 /**
- * Post a tweet to X with photo and text
+ * Post a tweet to X with photo and text, tagging `mentions`
  */
-export async function postToX({ address, reportType, solicitudNumber, photoPath }) {
+export async function postToX({ address, reportType, solicitudNumber, photoPath, mentions = DEFAULT_MENTIONS }) {
   console.log('\n[X] Posting to X/Twitter...');
   console.log(`[X] Address: ${address}`);
   console.log(`[X] Type: ${reportType}`);
@@ -453,10 +447,8 @@ export async function postToX({ address, reportType, solicitudNumber, photoPath
     }
 
     // Build tweet text
-    const reportLabel = REPORT_TYPE_LABELS[reportType] || 'recolección de residuos';
-    const tweetText = `${address} - ${reportLabel}
-@ibaistrocchi
-@jorgemacri`;
+    const reportLabel = reportTypeLabel(reportType, 'description');
+    const tweetText = [`${address} - ${reportLabel}`, ...mentions].join('\n');
 
     console.log('[X] Typing tweet...');
     await tweetTextarea.click();